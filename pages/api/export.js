@@ -0,0 +1,62 @@
+import { runQuery } from './query.js';
+import { serializeTable, tableColumns, TABLE_EXPORT_FORMATS } from '../../src/lib/tableExport.js';
+import { buildTableView, parseTableView } from '../../src/lib/tableView.js';
+
+export const config = {
+  api: {
+    // Полный результат может быть больше ограничения ответа Next.js (4 МБ)
+    responseLimit: false
+  }
+};
+
+/**
+ * Export full result table of query to CSV, XLSX or JSON
+ * Тело запроса - как у /api/query, плюс format и plan предыдущего ответа (модель повторно не вызывается)
+ * и tableView - поиск, фильтры колонок и сортировка таблицы на клиенте
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const logs = [];
+  const addLog = (message) => {
+    logs.push({ timestamp: new Date().toISOString(), message });
+    console.log(`[EXPORT] ${message}`);
+  };
+
+  const { format, plan, tableView } = req.body || {};
+  if (!TABLE_EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: 'Unsupported format',
+      message: `Неизвестный формат экспорта: ${format}, допустимые: ${TABLE_EXPORT_FORMATS.join(', ')}`
+    });
+  }
+  if (!plan) {
+    return res.status(400).json({ error: 'Plan is required', message: 'Для выгрузки нужен план запроса из ответа /api/query' });
+  }
+
+  const { status, payload } = await runQuery(req.body, { logs, addLog, fullResult: true });
+  if (status >= 400) {
+    return res.status(status).json(payload);
+  }
+  if (!Array.isArray(payload.table) || payload.table.length === 0) {
+    return res.status(404).json({ error: 'Empty result', message: 'У запроса нет таблицы результата для выгрузки', logs });
+  }
+
+  let rows = payload.table;
+  let columns = tableColumns(rows);
+  if (tableView) {
+    const options = parseTableView(tableView, columns);
+    rows = buildTableView(rows, options);
+    // Скрытые в таблице колонки в выгрузку не попадают
+    columns = options.columns;
+    addLog(`Поиск и фильтры таблицы: ${rows.length} из ${payload.table.length} строк, колонок: ${columns.length}`);
+  }
+
+  const { content, mimeType, extension } = serializeTable(rows, format, columns);
+  addLog(`Выгрузка ${rows.length} строк в ${format}`);
+  res.setHeader('Content-Type', mimeType);
+  res.setHeader('Content-Disposition', `attachment; filename="result.${extension}"`);
+  return res.status(200).send(typeof content === 'string' ? content : Buffer.from(content));
+}
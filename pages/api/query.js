@@ -1,74 +1,234 @@
 import { processNLQuery } from '../../src/lib/gemini.js';
 import {
   calculateStatistics,
-  findAnomalies,
   filterData,
   groupBy,
   aggregateGroups,
-  detectColumnTypes
+  sortGroups
 } from '../../src/lib/dataProcessor.js';
+import {
+  inferSchema,
+  applySchemaOverrides,
+  coerceRows,
+  isNumericType,
+  toStorageTypes,
+  TEMPORAL_TYPES
+} from '../../src/lib/typeInference.js';
+import { buildTimeSeries } from '../../src/lib/timeSeries.js';
+import { buildForecast } from '../../src/lib/forecasting.js';
+import { executeSQL, MAX_EXPORT_ROWS } from '../../src/lib/sqlEngine.js';
+import { getProviderInfo } from '../../src/lib/llmProvider.js';
+import { normalizeHistory, buildResultSummary } from '../../src/lib/conversation.js';
+import { extractPartialMessage, validateQueryPlan, collectTableColumns } from '../../src/lib/queryPlan.js';
+import { openEventStream } from '../../src/lib/eventStream.js';
+import { loadPreparedDataset } from '../../src/lib/datasetCache.js';
+import { refreshProfile } from '../../src/lib/profiler.js';
+import { describe, numericValues, histogram, DEFAULT_METRICS } from '../../src/lib/statistics.js';
+import { buildAnomalyTable } from '../../src/lib/anomalies.js';
+import { correlationMatrix, describeCorrelation } from '../../src/lib/correlation.js';
+import { linearRegression, regressionSummary, samplePoints } from '../../src/lib/regression.js';
+import { buildPivot, MAX_PIVOT_COLUMNS } from '../../src/lib/pivot.js';
+import { describeFilter } from '../../src/lib/filters.js';
+import {
+  buildCategorySeries,
+  buildMultiTimeSeries,
+  buildBoxPlots,
+  buildTreemap,
+  assignAxes,
+  seriesLabel,
+  MAX_CHART_SERIES
+} from '../../src/lib/chartSeries.js';
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+// Строк таблицы в ответе: сетка на клиенте виртуализирована, больше - только выгрузкой в файл
+const MAX_TABLE_ROWS = 50000;
+
+/**
+ * Source rows as result table, limited to MAX_TABLE_ROWS unless full result is requested
+ */
+function sourceTable(data, result, fullResult, addLog) {
+  if (fullResult || data.length <= MAX_TABLE_ROWS) {
+    return data;
   }
+  result.truncated = true;
+  addLog(`⚠️ Таблица обрезана до ${MAX_TABLE_ROWS} из ${data.length} строк`);
+  return data.slice(0, MAX_TABLE_ROWS);
+}
 
-  const logs = [];
-  const addLog = (message) => {
-    logs.push({ timestamp: new Date().toISOString(), message });
-    console.log(`[QUERY] ${message}`);
+/**
+ * Histogram chart payload: bins computed on server, { bin, from, to, count } per bin
+ */
+function histogramChart(bins, column) {
+  return {
+    type: 'histogram',
+    data: bins.map(bin => ({ bin: `${bin.from} – ${bin.to}`, from: bin.from, to: bin.to, count: bin.count })),
+    xKey: 'bin',
+    yKey: 'count',
+    yLabel: 'count',
+    column
   };
+}
+
+/**
+ * Run query: load dataset, get plan from LLM (or take ready plan from request), execute plan
+ * @param {Object} body - request body: query, datasetId | data + columns | tables, schemaOverrides, history, plan
+ * @param {Object} options
+ *   logs, addLog - processing log,
+ *   onTextDelta - model text while it is generated, onPlan - plan before execution,
+ *   fullResult - do not truncate result table to preview (export to file)
+ * @returns {Promise<{status: number, payload: Object}>}
+ */
+export async function runQuery(body, { logs, addLog, onTextDelta, onPlan, fullResult = false }) {
+  const respond = (status, payload) => ({ status, payload });
 
   try {
     addLog('Начало обработки запроса');
     
-    const { query, data, columns } = req.body;
+    const { query, datasetId, tableNames } = body;
+    const history = normalizeHistory(body.history);
+    // Типы колонок, исправленные пользователем: { [имя таблицы или "data"]: { колонка: тип } }
+    const schemaOverrides = body.schemaOverrides || {};
+    let { data, columns, tables } = body;
+    let typeSchema = null;
+    let storedProfile = null;
+
+    // Датасет, сохраненный на сервере при загрузке файла: строки уже приведены к типам (кэш в памяти)
+    if (datasetId) {
+      addLog(`Загрузка датасета ${datasetId}...`);
+      const { dataset, cached } = await loadPreparedDataset(datasetId, schemaOverrides);
+      if (!dataset) {
+        addLog('ОШИБКА: Датасет не найден (истек срок хранения или сервер перезапущен)');
+        return respond(404, {
+          error: 'Dataset not found',
+          message: 'Датасет не найден на сервере. Загрузите файл заново',
+          logs
+        });
+      }
+      addLog(cached ? 'Датасет взят из кэша' : 'Датасет загружен и приведен к типам колонок');
+
+      if (dataset.tables) {
+        tables = Array.isArray(tableNames) && tableNames.length > 0
+          ? dataset.tables.filter(table => tableNames.includes(table.name))
+          : dataset.tables;
+        data = null;
+      } else {
+        data = dataset.data;
+        columns = dataset.columnNames;
+        typeSchema = dataset.schema;
+        storedProfile = dataset.profile;
+      }
+    }
+
+    // Приведение значений к типам колонок (с учетом исправлений пользователя), датасет из хранилища уже приведен
+    const hasTables = Array.isArray(tables) && tables.length > 0;
+    if (!datasetId && hasTables) {
+      tables = tables.map(table => {
+        const tableSchema = applySchemaOverrides(
+          table.schema || inferSchema(table.data || [], table.columnNames),
+          schemaOverrides[table.name]
+        );
+        return { ...table, schema: tableSchema, data: coerceRows(table.data || [], tableSchema) };
+      });
+    } else if (!datasetId && Array.isArray(data)) {
+      columns = columns || Object.keys(data[0] || {});
+      typeSchema = applySchemaOverrides(typeSchema || inferSchema(data, columns), schemaOverrides.data);
+      data = coerceRows(data, typeSchema);
+    }
+
+    // SQLite база или книга Excel: первая таблица используется как основная
+    if (hasTables && (!data || data.length === 0)) {
+      data = tables[0].data;
+      columns = tables[0].columnNames;
+      typeSchema = tables[0].schema;
+    }
 
     addLog(`Получен запрос: "${query?.substring(0, 50)}..."`);
     addLog(`Данные: ${data?.length || 0} строк, колонок: ${columns?.length || 0}`);
+    if (history.length > 0) {
+      addLog(`Контекст диалога: ${history.length} предыдущих вопросов`);
+    }
+    if (hasTables) {
+      addLog(`Таблицы: ${tables.map(t => `${t.name} (${t.data?.length || 0})`).join(', ')}`);
+    }
 
-    if (!query || !query.trim()) {
+    if (!body.plan && (!query || !query.trim())) {
       addLog('ОШИБКА: Запрос пуст');
-      return res.status(400).json({ error: 'Query is required', logs });
+      return respond(400, { error: 'Query is required', logs });
     }
 
     if (!data || !Array.isArray(data) || data.length === 0) {
       addLog('ОШИБКА: Нет данных');
-      return res.status(400).json({ error: 'Data is required', logs });
+      return respond(400, { error: 'Data is required', logs });
     }
 
-    // Detect column types
-    addLog('Определение типов колонок...');
-    const columnTypes = detectColumnTypes(data, columns);
-    const numericColumns = columns.filter(col => columnTypes[col] === 'number');
+    // Column types (inferred on upload, overridden by user)
+    const columnTypes = toStorageTypes(typeSchema);
+    const numericColumns = columns.filter(col => isNumericType(typeSchema[col]?.type));
+    addLog(`Типы колонок: ${columns.map(col => `${col}=${typeSchema[col]?.type || 'text'}`).join(', ')}`);
     addLog(`Найдено числовых колонок: ${numericColumns.length}`);
 
     // Get schema from sample data
     const sampleData = data.slice(0, 10);
     const schema = columns;
 
-    // Process query through Gemini
-    addLog('Отправка запроса в Gemini API...');
-    addLog(`Проверка GEMINI_API_KEY: ${process.env.GEMINI_API_KEY ? 'Установлен (' + process.env.GEMINI_API_KEY.substring(0, 10) + '...)' : 'НЕ УСТАНОВЛЕН!'}`);
-    
+    // Process query through configured LLM provider
     let geminiResponse;
-    try {
-      addLog('Вызов processNLQuery...');
-      geminiResponse = await processNLQuery(query, schema, sampleData);
-      addLog(`✅ Получен ответ от Gemini: type=${geminiResponse?.type || 'undefined'}`);
-      addLog(`Ответ Gemini: ${JSON.stringify(geminiResponse).substring(0, 200)}...`);
-    } catch (geminiError) {
-      addLog(`❌ ОШИБКА Gemini API: ${geminiError.message}`);
-      addLog(`Тип ошибки: ${geminiError.constructor.name}`);
-      addLog(`Stack: ${geminiError.stack?.substring(0, 500)}`);
-      
-      // Check if it's an API key issue
-      if (geminiError.message.includes('API_KEY') || geminiError.message.includes('api key')) {
-        addLog('⚠️ ПРОБЛЕМА: GEMINI_API_KEY не установлен или неверный!');
-        addLog('Решение: Добавьте GEMINI_API_KEY в Environment Variables на Vercel');
+    if (body.plan) {
+      // План предыдущего ответа (выгрузка полного результата): модель не вызывается, план проверяется заново
+      const validated = validateQueryPlan(body.plan, schema, hasTables ? collectTableColumns(tables) : schema);
+      if (!validated.success) {
+        addLog(`ОШИБКА: План из запроса не прошел проверку: ${validated.errors.join('; ')}`);
+        return respond(400, { error: 'Invalid plan', message: `План не прошел проверку:\n${validated.errors.join('\n')}`, logs });
       }
+      geminiResponse = validated.plan;
+      addLog(`Используется план из запроса: type=${geminiResponse.type}`);
+    } else {
+      try {
+        const provider = getProviderInfo();
+        addLog(`Отправка запроса в LLM: ${provider.label} (${provider.modelId || 'модель не указана'})${provider.isLocal ? ', локально' : ', данные отправляются на внешний сервер'}`);
+        if (provider.name === 'gemini') {
+          addLog(`Проверка GEMINI_API_KEY: ${process.env.GEMINI_API_KEY ? 'Установлен' : 'НЕ УСТАНОВЛЕН!'}`);
+        }
+
+        // Профиль по всему датасету (диапазоны, частые значения, пропуски) сохранен при загрузке,
+        // заново считаются только колонки с исправленным типом
+        const profiles = hasTables
+          ? Object.fromEntries(tables.map(table => [table.name, refreshProfile(table.profile, table.data, table.columnNames, table.schema)]))
+          : { data: refreshProfile(storedProfile, data, columns, typeSchema) };
+
+        addLog('Вызов processNLQuery...');
+        geminiResponse = await processNLQuery(query, schema, sampleData, {
+          tables: hasTables ? tables.map(table => ({
+            name: table.name,
+            columnNames: table.columnNames,
+            columnSchema: table.columnSchema,
+            foreignKeys: table.foreignKeys,
+            schema: table.schema,
+            profile: profiles[table.name],
+            rows: table.data?.length || 0,
+            sample: (table.data || []).slice(0, 3)
+          })) : null,
+          profile: hasTables ? null : profiles.data,
+          history,
+          onTextDelta
+        });
+        addLog(`✅ Получен ответ от LLM: type=${geminiResponse?.type || 'undefined'}`);
+        addLog(`Ответ LLM: ${JSON.stringify(geminiResponse).substring(0, 200)}...`);
+        if (onPlan) {
+          onPlan(geminiResponse);
+        }
+      } catch (geminiError) {
+        addLog(`❌ ОШИБКА LLM API: ${geminiError.message}`);
+        addLog(`Тип ошибки: ${geminiError.constructor.name}`);
+        addLog(`Stack: ${geminiError.stack?.substring(0, 500)}`);
+      
+        // Check if it's an API key issue
+        if (geminiError.message.includes('API_KEY') || geminiError.message.includes('api key')) {
+          addLog('⚠️ ПРОБЛЕМА: GEMINI_API_KEY не установлен или неверный!');
+          addLog('Решение: Добавьте GEMINI_API_KEY в Environment Variables на Vercel');
+        }
       
-      throw geminiError;
+        throw geminiError;
+      }
     }
 
     let result = {
@@ -80,55 +240,313 @@ export default async function handler(req, res) {
       statistics: null
     };
 
+    // Фильтры плана: отбор строк до статистики, агрегации и графиков (SQL фильтрует сам через WHERE)
+    // Строки до фильтров: номера строк в результатах считаются по загруженному файлу
+    const sourceRows = data;
+    if (geminiResponse.filters && geminiResponse.type !== 'sql') {
+      try {
+        const totalRows = data.length;
+        data = filterData(data, geminiResponse.filters);
+        result.filters = { description: describeFilter(geminiResponse.filters), matched: data.length, total: totalRows };
+        addLog(`Фильтры: ${result.filters.description} → ${data.length} из ${totalRows} строк`);
+      } catch (filterError) {
+        addLog(`❌ ОШИБКА фильтра: ${filterError.message}`);
+        result.message = `${result.message}\n\nФильтр не применен: ${filterError.message}`;
+      }
+    }
+
     // Process based on Gemini response type
     addLog(`Обработка типа ответа: ${geminiResponse.type}`);
     
     if (geminiResponse.type === 'statistics') {
-      addLog('Вычисление статистики...');
-      // Calculate statistics for numeric columns
+      // Метрики и колонки из плана (по умолчанию - основные метрики всех числовых колонок)
+      const statsPlan = geminiResponse.statistics || {};
+      const metrics = statsPlan.metrics?.length > 0 ? statsPlan.metrics : DEFAULT_METRICS;
+      const statsColumns = statsPlan.columns?.length > 0 ? statsPlan.columns : numericColumns;
+      addLog(`Вычисление статистики: ${metrics.join(', ')}${statsPlan.percentiles?.length ? `, перцентили ${statsPlan.percentiles.join(', ')}` : ''} для ${statsColumns.join(', ')}`);
+
       const stats = {};
-      numericColumns.forEach(col => {
-        const stat = calculateStatistics(data, col);
-        if (stat) {
-          stats[col] = stat;
+      statsColumns.forEach(col => {
+        const numeric = numericColumns.includes(col);
+        const values = numeric
+          ? numericValues(data, col)
+          : data.map(row => row[col]).filter(value => value !== null && value !== undefined && value !== '');
+        if (values.length > 0) {
+          stats[col] = describe(values, {
+            metrics,
+            percentiles: statsPlan.percentiles,
+            bins: statsPlan.bins,
+            numeric
+          });
         }
       });
       addLog(`Вычислена статистика для ${Object.keys(stats).length} колонок`);
 
       result.statistics = stats;
-      result.table = Object.entries(stats).map(([col, stat]) => ({
-        column: col,
-        mean: stat.mean,
-        median: stat.median,
-        min: stat.min,
-        max: stat.max,
-        count: stat.count
-      }));
-
-      // Create bar chart for means
-      if (Object.keys(stats).length > 0) {
+      result.table = Object.entries(stats).map(([col, stat]) => {
+        const row = { column: col };
+        Object.entries(stat).forEach(([metric, value]) => {
+          if (metric === 'mode') {
+            row.mode = value.join(', ');
+          } else if (metric !== 'histogram') {
+            row[metric] = value;
+          }
+        });
+        return row;
+      });
+
+      const histogramColumn = Object.keys(stats).find(col => stats[col].histogram);
+      const chartMetric = ['mean', 'median', 'sum', 'std', 'max', 'count'].find(metric => (
+        Object.values(stats).some(stat => typeof stat[metric] === 'number')
+      ));
+      if (histogramColumn) {
+        // Распределение первой колонки с гистограммой
+        result.chart = histogramChart(stats[histogramColumn].histogram, histogramColumn);
+      } else if (chartMetric) {
         result.chart = {
           type: 'bar',
-          data: Object.entries(stats).map(([col, stat]) => ({
-            name: col,
-            value: stat.mean
-          })),
+          data: Object.entries(stats)
+            .filter(([, stat]) => typeof stat[chartMetric] === 'number')
+            .map(([col, stat]) => ({
+              name: col,
+              [chartMetric]: stat[chartMetric]
+            })),
           xKey: 'name',
-          yKey: 'value'
+          yKey: chartMetric
+        };
+      }
+    } else if (geminiResponse.type === 'anomalies') {
+      const anomalyPlan = geminiResponse.anomalies || {};
+      const method = anomalyPlan.method || 'iqr';
+      const anomalyColumns = (anomalyPlan.columns?.length > 0 ? anomalyPlan.columns : numericColumns)
+        .filter(col => numericColumns.includes(col));
+      addLog(`Поиск аномалий: метод ${method}, колонки ${anomalyColumns.join(', ')}${anomalyPlan.groupBy ? `, по группам ${anomalyPlan.groupBy}` : ''}`);
+
+      result.table = buildAnomalyTable(data, anomalyColumns, {
+        method,
+        threshold: anomalyPlan.threshold,
+        groupBy: anomalyPlan.groupBy,
+        timeColumn: anomalyPlan.timeColumn,
+        window: anomalyPlan.window,
+        sourceRows
+      });
+      result.anomalies = { method, columns: anomalyColumns, count: result.table.length };
+      addLog(`Найдено аномалий: ${result.table.length}`);
+    } else if (geminiResponse.type === 'forecast') {
+      const forecastPlan = geminiResponse.forecast;
+      const aggregation = forecastPlan.aggregation || 'sum';
+      addLog(`Прогноз ${forecastPlan.valueColumn} по ${forecastPlan.timeColumn} на ${forecastPlan.horizon} периодов (метод ${forecastPlan.method})`);
+
+      try {
+        const forecast = buildForecast(data, {
+          timeColumn: forecastPlan.timeColumn,
+          valueColumn: forecastPlan.valueColumn,
+          aggregation,
+          bucket: forecastPlan.timeBucket,
+          horizon: forecastPlan.horizon,
+          method: forecastPlan.method,
+          confidence: forecastPlan.confidence
+        });
+        addLog(`✅ Прогноз построен: метод ${forecast.method}, период ${forecast.bucket}`);
+
+        const intervalName = `${Math.round(forecastPlan.confidence * 100)}% интервал`;
+        result.forecast = { method: forecast.method, bucket: forecast.bucket, confidence: forecastPlan.confidence };
+        result.table = forecast.rows;
+        result.chart = {
+          type: 'line',
+          data: forecast.rows,
+          xKey: 'period',
+          yKey: 'actual',
+          series: [
+            { key: 'actual', name: `${forecastPlan.valueColumn} (факт)` },
+            { key: 'forecast', name: `Прогноз (${forecast.method})`, dashed: true }
+          ],
+          interval: { lowerKey: 'lower', upperKey: 'upper', name: intervalName }
+        };
+      } catch (forecastError) {
+        addLog(`❌ ОШИБКА прогноза: ${forecastError.message}`);
+        result.type = 'text';
+        result.message = `${result.message}\n\nНе удалось построить прогноз: ${forecastError.message}`;
+      }
+    } else if (geminiResponse.type === 'correlation') {
+      const corrPlan = geminiResponse.correlation || {};
+      const method = corrPlan.method || 'pearson';
+      let corrColumns = (corrPlan.columns?.length > 0 ? corrPlan.columns : numericColumns)
+        .filter(col => numericColumns.includes(col));
+      if (corrPlan.target && numericColumns.includes(corrPlan.target) && !corrColumns.includes(corrPlan.target)) {
+        corrColumns = [corrPlan.target, ...corrColumns];
+      }
+      addLog(`Корреляция (${method}): ${corrColumns.join(', ')}`);
+
+      const correlation = correlationMatrix(data, corrColumns, method);
+      result.correlation = { method, columns: corrColumns, matrix: correlation.matrix, pairs: correlation.pairs };
+
+      if (corrPlan.target && corrColumns.includes(corrPlan.target)) {
+        // Связь остальных колонок с целевой, по убыванию силы
+        result.table = correlation.pairs
+          .filter(pair => pair.x === corrPlan.target || pair.y === corrPlan.target)
+          .map(pair => ({
+            column: pair.x === corrPlan.target ? pair.y : pair.x,
+            correlation: pair.value,
+            strength: describeCorrelation(pair.value),
+            n: pair.n
+          }));
+      } else {
+        result.table = corrColumns.map((col, i) => ({
+          column: col,
+          ...Object.fromEntries(corrColumns.map((other, j) => [other, correlation.matrix[i][j]]))
+        }));
+      }
+
+      result.chart = {
+        type: 'heatmap',
+        data: corrColumns.flatMap((yCol, i) => corrColumns.map((xCol, j) => ({
+          x: xCol,
+          y: yCol,
+          value: correlation.matrix[i][j]
+        }))),
+        xKey: 'x',
+        yKey: 'y',
+        valueKey: 'value',
+        xCategories: corrColumns,
+        yCategories: corrColumns,
+        valueLabel: `Корреляция (${method})`,
+        min: -1,
+        max: 1
+      };
+
+      const strongest = correlation.pairs[0];
+      if (strongest) {
+        addLog(`Самая сильная связь: ${strongest.x} - ${strongest.y} (${strongest.value})`);
+      } else {
+        addLog('⚠️ Недостаточно числовых колонок для корреляции');
+      }
+    } else if (geminiResponse.type === 'regression') {
+      const { target, features } = geminiResponse.regression;
+      addLog(`Линейная регрессия: ${target} ~ ${features.join(' + ')}`);
+
+      try {
+        const model = linearRegression(data, { target, features });
+        addLog(`✅ Регрессия построена по ${model.n} строкам: R² = ${model.rSquared}`);
+
+        result.regression = regressionSummary(model);
+        result.table = model.terms.map(term => ({
+          term: term.name,
+          coefficient: term.value,
+          std_error: term.stdError,
+          t_stat: term.tStat
+        }));
+
+        const points = samplePoints(model.points);
+        if (features.length === 1) {
+          // Простая регрессия: точки и прямая y = b0 + b1*x
+          const [feature] = features;
+          const slope = model.coefficients[0].value;
+          const xValues = points.map(point => point.values[0]);
+          const xMin = Math.min(...xValues);
+          const xMax = Math.max(...xValues);
+          result.chart = {
+            type: 'scatter',
+            data: points.map(point => ({ [feature]: point.values[0], [target]: point.actual })),
+            xKey: feature,
+            yKey: target,
+            trendLine: {
+              name: `${target} = ${model.intercept} + ${slope}·${feature}`,
+              data: [xMin, xMax].map(x => ({ [feature]: x, [target]: model.intercept + slope * x }))
+            }
+          };
+        } else {
+          // Множественная регрессия: факт против предсказания, идеальная модель - диагональ
+          const values = points.flatMap(point => [point.actual, point.predicted]);
+          const low = Math.min(...values);
+          const high = Math.max(...values);
+          result.chart = {
+            type: 'scatter',
+            data: points.map(point => ({ predicted: point.predicted, [target]: point.actual })),
+            xKey: 'predicted',
+            yKey: target,
+            trendLine: {
+              name: 'Идеальное предсказание',
+              data: [low, high].map(value => ({ predicted: value, [target]: value }))
+            }
+          };
+        }
+      } catch (regressionError) {
+        addLog(`❌ ОШИБКА регрессии: ${regressionError.message}`);
+        result.type = 'text';
+        result.message = `${result.message}\n\nНе удалось построить регрессию: ${regressionError.message}`;
+      }
+    } else if (geminiResponse.type === 'pivot') {
+      const pivotPlan = geminiResponse.pivot;
+      const describeDimensions = (dimensions) => dimensions
+        .map(dimension => (typeof dimension === 'string' ? dimension : `${dimension.column}${dimension.timeBucket ? `/${dimension.timeBucket}` : ''}`))
+        .join(', ');
+      addLog(`Сводная таблица: строки [${describeDimensions(pivotPlan.rows)}], колонки [${describeDimensions(pivotPlan.columns)}], мер ${pivotPlan.measures.length}`);
+
+      try {
+        const { table, pivot } = buildPivot(data, pivotPlan);
+        addLog(`✅ Сводная таблица: ${table.length} строк, ${pivot.valueColumns.length} колонок значений`);
+        if (pivot.truncatedColumns) {
+          addLog(`⚠️ Колонок больше ${MAX_PIVOT_COLUMNS}, показаны первые`);
+        }
+
+        result.table = table;
+        result.pivot = pivot;
+
+        // График по строкам без итогов: ряды - значения колонок-измерений первой меры
+        const firstMeasure = pivot.measures[0];
+        const chartSeries = pivot.valueColumns
+          .filter(column => column.path[column.path.length - 1] === firstMeasure && !column.total)
+          .slice(0, MAX_CHART_SERIES);
+        const xKey = pivot.rows.length > 0 ? pivot.rows.join(' / ') : 'group';
+        result.chart = {
+          type: 'bar',
+          data: table
+            .filter((_, idx) => pivot.rowTypes[idx] === 'data')
+            .map(row => ({
+              [xKey]: pivot.rows.map(label => row[label]).join(' / ') || firstMeasure,
+              ...Object.fromEntries(chartSeries.map(column => [column.key, row[column.key]]))
+            })),
+          xKey,
+          yKey: chartSeries[0]?.key,
+          series: chartSeries.map(column => ({
+            key: column.key,
+            name: column.path.length > 1 ? column.path.slice(0, -1).join(' / ') : column.key
+          }))
         };
+      } catch (pivotError) {
+        addLog(`❌ ОШИБКА сводной таблицы: ${pivotError.message}`);
+        result.type = 'text';
+        result.message = `${result.message}\n\nНе удалось построить сводную таблицу: ${pivotError.message}`;
       }
     } else if (geminiResponse.type === 'visualization') {
       // Generate visualization
       const viz = geminiResponse.visualization || {};
       const chartType = viz.chartType || 'line';
-      let xAxis = viz.xAxis || columns[0];
-      const yAxis = viz.yAxis || numericColumns[0];
+      // Box plot без xAxis - один ящик по всем строкам
+      const xAxis = viz.xAxis || (chartType === 'boxplot' ? null : columns[0]);
+      // Несколько мер или одна мера с разбивкой по измерению seriesBy - несколько рядов
+      const measures = [].concat(viz.yAxis || numericColumns[0]);
+      const yAxis = measures[0];
+      const multiSeries = measures.length > 1 || Boolean(viz.seriesBy);
+      const aggregation = viz.aggregation;
+      const isCartesian = ['line', 'bar', 'area'].includes(chartType);
+      const isTimeSeries = isCartesian && Boolean(viz.timeBucket || TEMPORAL_TYPES.includes(typeSchema[xAxis]?.type));
+      // Подпись оси: агрегация, которую выполнил сервер, например sum(revenue)
+      const yLabel = seriesLabel(yAxis, aggregation);
+
+      // Группировка по категориям с агрегацией, сортировкой и top-N из плана
+      const aggregateByCategory = () => {
+        const aggregated = sortGroups(aggregateGroups(groupBy(data, xAxis), yAxis, aggregation), viz.sort, viz.limit);
+        addLog(`Агрегация ${yLabel} по ${xAxis}: ${aggregated.length} групп${viz.limit ? ` (top ${viz.limit})` : ''}`);
+        return aggregated;
+      };
 
       if (chartType === 'pie') {
         // Pie chart: group by xAxis and aggregate yAxis
-        const groups = groupBy(data, xAxis);
-        const aggregated = aggregateGroups(groups, yAxis, 'sum');
-        
+        const aggregated = aggregateByCategory();
+
+        result.table = aggregated.map(item => ({ [xAxis]: item.group, [yLabel]: item.value, rows: item.count }));
         result.chart = {
           type: 'pie',
           data: aggregated.map(item => ({
@@ -136,68 +554,227 @@ export default async function handler(req, res) {
             value: item.value
           })),
           xKey: xAxis,
-          yKey: 'value'
+          yKey: 'value',
+          yLabel
         };
       } else if (chartType === 'scatter') {
-        // Scatter plot: direct mapping of x and y values
+        // Scatter plot: x and y values of all rows (sampled), with least squares trend line
+        const points = samplePoints(data
+          .map(row => ({ [xAxis]: parseFloat(row[xAxis]), [yAxis]: parseFloat(row[yAxis]) }))
+          .filter(item => Number.isFinite(item[xAxis]) && Number.isFinite(item[yAxis])));
         result.chart = {
           type: 'scatter',
-          data: data.slice(0, 100).map(row => ({
-            x: parseFloat(row[xAxis]) || 0,
-            y: parseFloat(row[yAxis]) || 0
-          })).filter(item => !isNaN(item.x) && !isNaN(item.y)),
+          data: points,
+          xKey: xAxis,
+          yKey: yAxis
+        };
+
+        if (xAxis !== yAxis) {
+          try {
+            const model = linearRegression(data, { target: yAxis, features: [xAxis] });
+            const slope = model.coefficients[0].value;
+            const xValues = points.map(point => point[xAxis]);
+            result.chart.trendLine = {
+              name: `Тренд (R² = ${model.rSquared})`,
+              data: [Math.min(...xValues), Math.max(...xValues)].map(x => ({ [xAxis]: x, [yAxis]: model.intercept + slope * x }))
+            };
+            result.regression = regressionSummary(model);
+            addLog(`Линия тренда: R² = ${model.rSquared}`);
+          } catch (regressionError) {
+            addLog(`⚠️ Линия тренда не построена: ${regressionError.message}`);
+          }
+        }
+      } else if (chartType === 'histogram') {
+        // Distribution of one numeric column, bins computed on server
+        const values = numericValues(data, xAxis);
+        if (values.length === 0) {
+          addLog(`⚠️ Гистограмма не построена: в колонке ${xAxis} нет числовых значений`);
+          result.message = `${result.message}\n\nГистограмма не построена: в колонке ${xAxis} нет числовых значений.`;
+        } else {
+          const bins = histogram(values, viz.bins);
+          addLog(`Гистограмма ${xAxis}: ${values.length} значений, ${bins.length} интервалов`);
+          result.chart = histogramChart(bins, xAxis);
+          result.table = result.chart.data.map(({ bin, count }) => ({ [xAxis]: bin, count }));
+        }
+      } else if (chartType === 'boxplot') {
+        // Quartiles, whiskers and outliers of yAxis, one box per value of xAxis
+        const boxes = buildBoxPlots(data, { xAxis, measure: yAxis });
+        const xKey = xAxis || 'group';
+        addLog(`Box plot ${yAxis}${xAxis ? ` по ${xAxis}` : ''}: ${boxes.length} групп`);
+        if (boxes.length > 0) {
+          result.chart = { type: 'boxplot', data: boxes, xKey, yLabel: yAxis };
+          result.table = boxes.map(({ outliers, ...box }) => ({ ...box, outliers: outliers.length }));
+        } else {
+          result.message = `${result.message}\n\nBox plot не построен: в колонке ${yAxis} нет числовых значений.`;
+        }
+      } else if (chartType === 'heatmap') {
+        // Measure by two dimensions: columns of map from xAxis (dates bucketed), rows from seriesBy
+        const xDimension = viz.timeBucket ? { column: xAxis, timeBucket: viz.timeBucket } : xAxis;
+        const { table, pivot } = buildPivot(data, {
+          rows: [viz.seriesBy],
+          columns: [xDimension],
+          measures: [{ column: yAxis, aggregation }],
+          totals: false
+        });
+        const rowLabel = pivot.rows[0];
+        const xCategories = pivot.valueColumns.map(column => column.path[0]);
+        addLog(`Тепловая карта ${yLabel}: ${table.length} × ${xCategories.length}${pivot.truncatedColumns ? ` (первые ${MAX_PIVOT_COLUMNS} колонок)` : ''}`);
+
+        result.table = table;
+        result.pivot = pivot;
+        result.chart = {
+          type: 'heatmap',
+          data: table.flatMap(row => pivot.valueColumns.map((column, idx) => ({
+            x: xCategories[idx],
+            y: row[rowLabel],
+            value: row[column.key]
+          }))),
           xKey: 'x',
-          yKey: 'y'
+          yKey: 'y',
+          valueKey: 'value',
+          xCategories,
+          yCategories: table.map(row => row[rowLabel]),
+          valueLabel: yLabel
+        };
+      } else if (chartType === 'funnel') {
+        // Stages ordered by value (largest first unless plan sorts otherwise), conversion from first and previous stage
+        const stages = sortGroups(
+          aggregateGroups(groupBy(data, xAxis), yAxis, aggregation),
+          viz.sort || { by: 'value', direction: 'desc' },
+          viz.limit
+        );
+        addLog(`Воронка ${yLabel} по ${xAxis}: ${stages.length} этапов`);
+        const first = stages[0]?.value;
+        const percentOf = (value, base) => (base ? Math.round(value / base * 1000) / 10 : null);
+        const funnelData = stages.map((stage, idx) => ({
+          name: stage.group,
+          value: stage.value,
+          percentOfFirst: percentOf(stage.value, first),
+          percentOfPrevious: idx === 0 ? 100 : percentOf(stage.value, stages[idx - 1].value)
+        }));
+
+        result.table = funnelData.map(({ name, value, ...percents }) => ({ [xAxis]: name, [yLabel]: value, ...percents }));
+        result.chart = { type: 'funnel', data: funnelData, xKey: 'name', yKey: 'value', yLabel };
+      } else if (chartType === 'treemap') {
+        // Nested rectangles: xAxis on top level, seriesBy inside
+        const nodes = buildTreemap(data, { xAxis, seriesBy: viz.seriesBy, measure: yAxis, aggregation, sort: viz.sort, limit: viz.limit });
+        addLog(`Treemap ${yLabel} по ${xAxis}${viz.seriesBy ? ` и ${viz.seriesBy}` : ''}: ${nodes.length} групп`);
+
+        result.table = viz.seriesBy
+          ? nodes.flatMap(node => node.children.map(child => ({ [xAxis]: node.name, [viz.seriesBy]: child.name, [yLabel]: child.value })))
+          : nodes.map(node => ({ [xAxis]: node.name, [yLabel]: node.value }));
+        result.chart = { type: 'treemap', data: nodes, xKey: 'name', yKey: 'value', yLabel };
+      } else if (isCartesian && multiSeries) {
+        // Several series: measures side by side or one measure split by seriesBy
+        const built = isTimeSeries
+          ? buildMultiTimeSeries(data, { timeColumn: xAxis, measures, aggregation, bucket: viz.timeBucket, seriesBy: viz.seriesBy })
+          : buildCategorySeries(data, { xAxis, measures, aggregation, seriesBy: viz.seriesBy, sort: viz.sort, limit: viz.limit });
+        const stacked = Boolean(viz.stacked) && chartType !== 'line';
+        const series = assignAxes(built.series, built.data, stacked || viz.seriesBy ? false : viz.dualAxis);
+        const axisLabel = (axis) => series.filter(item => item.axis === axis).map(item => item.name).join(', ');
+        addLog(`Рядов на графике: ${series.length}${viz.seriesBy ? ` (по ${viz.seriesBy})` : ''}, точек: ${built.data.length}${stacked ? ', с накоплением' : ''}`);
+
+        result.table = built.data;
+        result.chart = {
+          type: chartType,
+          data: built.data,
+          xKey: isTimeSeries ? 'period' : xAxis,
+          yKey: series[0]?.key,
+          yLabel: viz.seriesBy ? yLabel : axisLabel('left'),
+          ...(series.some(item => item.axis === 'right') ? { yLabelRight: axisLabel('right') } : {}),
+          series,
+          stacked
+        };
+      } else if (isTimeSeries) {
+        // Time series: bucket dates, sort chronologically, fill gaps
+        const series = buildTimeSeries(data, {
+          timeColumn: xAxis,
+          valueColumn: yAxis,
+          aggregation,
+          bucket: viz.timeBucket,
+          movingAverage: viz.movingAverage,
+          growth: viz.growth,
+          cumulative: viz.cumulative
+        });
+        addLog(`Временной ряд: ${series.rows.length} периодов (${series.bucket}), агрегация ${aggregation}`);
+
+        // Основная линия: рост или накопленный итог, если они запрошены
+        const mainKey = series.keys.growth || series.keys.cumulative || series.keys.value;
+        result.table = series.rows;
+        result.chart = {
+          type: chartType,
+          data: series.rows,
+          xKey: 'period',
+          yKey: mainKey,
+          yLabel: mainKey === series.keys.value ? yLabel : mainKey,
+          ...(series.keys.movingAverage && mainKey === series.keys.value
+            ? {
+              series: [
+                { key: mainKey, name: yLabel },
+                { key: series.keys.movingAverage, name: `Скользящее среднее (${viz.movingAverage})` }
+              ]
+            }
+            : {})
         };
-      } else if (chartType === 'line' || chartType === 'bar') {
+      } else if (isCartesian) {
         // Group by xAxis and aggregate yAxis
-        const groups = groupBy(data, xAxis);
-        const aggregated = aggregateGroups(groups, yAxis, 'mean');
-        
+        const aggregated = aggregateByCategory();
+        const chartData = aggregated.map(item => ({
+          [xAxis]: item.group,
+          [yLabel]: item.value
+        }));
+
+        result.table = aggregated.map(item => ({ [xAxis]: item.group, [yLabel]: item.value, rows: item.count }));
         result.chart = {
           type: chartType,
-          data: aggregated.map(item => ({
-            [xAxis]: item.group,
-            [yAxis]: item.value
-          })),
+          data: chartData,
           xKey: xAxis,
-          yKey: yAxis
+          yKey: yLabel,
+          yLabel
         };
       }
     } else if (geminiResponse.type === 'sql' || geminiResponse.sql) {
-      // Simple SQL-like operations (not full SQL parser, but basic operations)
-      // For MVP, we'll do basic filtering/grouping based on query intent
-      const queryLower = query.toLowerCase();
-      
-      if (queryLower.includes('аномал') || queryLower.includes('аномаль')) {
-        // Find anomalies
-        const anomalies = {};
-        numericColumns.forEach(col => {
-          const anom = findAnomalies(data, col);
-          if (anom.length > 0) {
-            anomalies[col] = anom;
+      // Execute generated SQL against in-memory table "data" (or SQLite tables)
+      if (geminiResponse.sql) {
+        addLog(`Выполнение SQL: ${geminiResponse.sql}`);
+        try {
+          const sqlTables = hasTables
+            ? Object.fromEntries(tables.map(table => [
+              table.name,
+              { rows: table.data || [], columns: table.columnNames, columnTypes: toStorageTypes(table.schema) }
+            ]))
+            : { data: { rows: data, columns, columnTypes } };
+          const sqlResult = await executeSQL(geminiResponse.sql, sqlTables, { maxRows: fullResult ? MAX_EXPORT_ROWS : MAX_TABLE_ROWS });
+          result.sql = geminiResponse.sql;
+          result.table = sqlResult.rows;
+          addLog(`✅ SQL выполнен: ${sqlResult.rows.length} строк, колонки: ${sqlResult.columns.join(', ')}`);
+          if (sqlResult.truncated) {
+            result.truncated = true;
+            addLog(`⚠️ Результат обрезан до ${sqlResult.rows.length} строк`);
           }
-        });
+        } catch (sqlError) {
+          addLog(`❌ ОШИБКА SQL: ${sqlError.message}`);
+          result.sqlError = sqlError.message;
+        }
+      }
 
-        result.table = Object.entries(anomalies).flatMap(([col, anom]) =>
-          anom.map(a => ({
-            column: col,
-            row_index: a.index,
-            value: a.value,
-            deviation: a.deviation
-          }))
-        );
-      } else {
-        // Default: return sample of data
-        result.table = data.slice(0, 50);
+      if (!result.table) {
+        // Fallback when SQL is missing or failed
+        if (/аномал|anomal|outlier|выброс/i.test(query)) {
+          // Find anomalies (Tukey fences work for skewed data too)
+          result.table = buildAnomalyTable(data, numericColumns, { method: 'iqr', sourceRows });
+        } else {
+          // Default: return source rows
+          result.table = sourceTable(data, result, fullResult, addLog);
+        }
       }
     } else {
-      // Text response - return sample data
-      result.table = data.slice(0, 20);
+      // Text response - return source rows
+      result.table = sourceTable(data, result, fullResult, addLog);
     }
 
     // If no specific visualization but we have numeric data, create default chart
-    if (!result.chart && numericColumns.length > 0 && results.table) {
+    if (!result.chart && numericColumns.length > 0 && result.table) {
       // Используем данные из таблицы для создания графика
       const tableData = result.table;
       if (tableData && tableData.length > 0) {
@@ -241,8 +818,12 @@ export default async function handler(req, res) {
       }
     }
 
+    // План и краткое описание результата для следующих вопросов диалога
+    result.plan = geminiResponse;
+    result.summary = buildResultSummary(result);
+
     addLog('✅ Запрос успешно обработан');
-    return res.status(200).json({
+    return respond(200, {
       ...result,
       logs: logs
     });
@@ -264,17 +845,23 @@ export default async function handler(req, res) {
     if (error.message.includes('GEMINI_API_KEY')) {
       errorDetails.suggestion = 'Добавьте GEMINI_API_KEY в Environment Variables на Vercel';
       errorDetails.code = 'MISSING_API_KEY';
+    } else if (error.message.includes('LLM провайдер') || error.message.includes('LLM_BASE_URL') || error.message.includes('LLM_MODEL')) {
+      errorDetails.suggestion = 'Проверьте настройки LLM_PROVIDER, LLM_BASE_URL и LLM_MODEL';
+      errorDetails.code = 'LLM_CONFIG_ERROR';
     } else if (error.message.includes('fetch') || error.message.includes('network')) {
-      errorDetails.suggestion = 'Проблема с сетевым запросом к Gemini API';
+      errorDetails.suggestion = 'Проблема с сетевым запросом к LLM API (проверьте LLM_PROVIDER и адрес сервера)';
       errorDetails.code = 'NETWORK_ERROR';
+    } else if (error.message.includes('План запроса не прошел проверку')) {
+      errorDetails.suggestion = 'Модель вернула некорректный план запроса. Переформулируйте вопрос, указав названия колонок';
+      errorDetails.code = 'PLAN_VALIDATION_ERROR';
     } else if (error.message.includes('JSON') || error.message.includes('parse')) {
-      errorDetails.suggestion = 'Ошибка парсинга ответа от Gemini';
+      errorDetails.suggestion = 'Ошибка парсинга ответа от LLM';
       errorDetails.code = 'PARSE_ERROR';
     }
     
     addLog(`Детали ошибки: ${JSON.stringify(errorDetails, null, 2)}`);
     
-    return res.status(500).json({
+    return respond(500, {
       error: 'Error processing query',
       message: error.message,
       details: errorDetails,
@@ -284,3 +871,44 @@ export default async function handler(req, res) {
   }
 }
 
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Streaming mode: logs, model text and result are sent as Server-Sent Events
+  const stream = req.body?.stream === true ? openEventStream(res) : null;
+
+  const logs = [];
+  const addLog = (message) => {
+    const entry = { timestamp: new Date().toISOString(), message };
+    logs.push(entry);
+    console.log(`[QUERY] ${message}`);
+    if (stream) {
+      stream.send('log', entry);
+    }
+  };
+
+  // Текст ответа модели по мере генерации (поле "message" из JSON плана)
+  let streamedMessage = '';
+  const onTextDelta = (delta, text) => {
+    const partial = extractPartialMessage(text) ?? (text.includes('{') ? '' : text);
+    if (partial !== streamedMessage) {
+      streamedMessage = partial;
+      stream.send('token', { text: partial });
+    }
+  };
+
+  const { status, payload } = await runQuery(req.body, {
+    logs,
+    addLog,
+    onTextDelta: stream ? onTextDelta : undefined,
+    onPlan: stream ? plan => stream.send('plan', plan) : undefined
+  });
+
+  if (!stream) {
+    return res.status(status).json(payload);
+  }
+  stream.send(status >= 400 ? 'error' : 'result', { status, ...payload });
+  stream.close();
+}
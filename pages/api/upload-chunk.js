@@ -0,0 +1,111 @@
+import { processUploadedFile } from '../../src/lib/fileParser.js';
+import {
+  appendUploadChunk,
+  createUpload,
+  getUploadPath,
+  removeUpload
+} from '../../src/lib/datasetStore.js';
+
+// Лимиты проверяются на сервере: проверка в браузере не защищает каталог хранения от переполнения
+const MAX_UPLOAD_SIZE = 250 * 1024 * 1024;
+// Клиент отправляет части по 4 MB, лимит тела запроса serverless платформ - 4.5 MB
+const MAX_CHUNK_SIZE = 4.5 * 1024 * 1024;
+
+// Части файла приходят как бинарное тело запроса, читаем поток сами
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+/**
+ * Chunked upload of large files
+ *
+ * POST /api/upload-chunk?fileName=...&offset=0&totalSize=... - первая часть, сервер создает uploadId
+ * POST /api/upload-chunk?uploadId=...&fileName=...&offset=...&totalSize=... - следующие части
+ * После последней части файл разбирается и сохраняется как датасет
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const logs = [];
+  const addLog = (message) => {
+    logs.push({ timestamp: new Date().toISOString(), message });
+    console.log(`[UPLOAD] ${message}`);
+  };
+
+  const { fileName } = req.query;
+  const offset = parseInt(req.query.offset, 10);
+  const totalSize = parseInt(req.query.totalSize, 10);
+  let { uploadId } = req.query;
+
+  if (!fileName || isNaN(offset) || isNaN(totalSize) || offset < 0 || offset > totalSize) {
+    return res.status(400).json({ error: 'fileName, offset and totalSize are required' });
+  }
+  if (totalSize > MAX_UPLOAD_SIZE) {
+    return res.status(413).json({ error: `File is larger than ${MAX_UPLOAD_SIZE} bytes` });
+  }
+  if (parseInt(req.headers['content-length'], 10) > MAX_CHUNK_SIZE) {
+    return res.status(413).json({ error: `Chunk is larger than ${MAX_CHUNK_SIZE} bytes` });
+  }
+
+  try {
+    if (!uploadId) {
+      if (offset !== 0) {
+        return res.status(400).json({ error: 'uploadId is required for non-first chunk' });
+      }
+      uploadId = await createUpload();
+      console.log(`[UPLOAD] Начата загрузка ${fileName} (${totalSize} байт), id: ${uploadId}`);
+    }
+
+    let received;
+    try {
+      received = await appendUploadChunk(uploadId, req, offset, MAX_CHUNK_SIZE);
+    } catch (error) {
+      if (error.status === 413) {
+        await removeUpload(uploadId);
+      }
+      return res.status(error.status || 500).json({ error: error.message, uploadId });
+    }
+
+    if (received > totalSize) {
+      await removeUpload(uploadId);
+      return res.status(400).json({ error: 'Uploaded more bytes than declared totalSize', uploadId });
+    }
+
+    if (received < totalSize) {
+      return res.status(200).json({ uploadId, received, complete: false });
+    }
+
+    // Все части получены - разбираем файл с диска
+    addLog(`Файл ${fileName} получен полностью (${received} байт)`);
+    try {
+      const { status, body } = await processUploadedFile({
+        fileName,
+        filePath: getUploadPath(uploadId)
+      }, addLog);
+
+      return res.status(status).json({
+        ...body,
+        uploadId,
+        received,
+        complete: true,
+        logs: logs
+      });
+    } finally {
+      await removeUpload(uploadId);
+    }
+  } catch (error) {
+    console.error('Upload error:', error);
+    addLog(`КРИТИЧЕСКАЯ ОШИБКА: ${error.message}`);
+    addLog(`Stack: ${error.stack}`);
+    return res.status(500).json({
+      error: 'Error processing file',
+      message: error.message,
+      logs: logs,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+}
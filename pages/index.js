@@ -1,9 +1,15 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import FileUploader from '../src/components/FileUploader';
 import ChatInterface from '../src/components/ChatInterface';
 import DataTable from '../src/components/DataTable';
 import ChartPanel from '../src/components/ChartPanel';
+import SchemaEditor from '../src/components/SchemaEditor';
+import DataOverview from '../src/components/DataOverview';
 import sampleData from '../src/mock-data/sample';
+import { readEventStream } from '../src/lib/eventStream';
+import { inferSchema } from '../src/lib/typeInference';
+import { profileDataset } from '../src/lib/profiler';
+import { exportReportPdf, downloadBlob, datedFileName } from '../src/lib/exporters';
 
 // Стили для скроллбара (современный вид)
 const scrollbarStyles = `
@@ -88,6 +94,20 @@ const results = {
   marginTop: 32
 };
 
+// Поля датасета в теле запросов /api/query и /api/export
+function datasetRequestBody(dataset) {
+  return {
+    ...(dataset.datasetId
+      ? {
+        datasetId: dataset.datasetId,
+        // Выбранные таблицы SQLite базы для запросов с JOIN
+        tableNames: dataset.tables?.map(table => table.name)
+      }
+      : { data: dataset.data, columns: dataset.columnNames }),
+    schemaOverrides: dataset.schemaOverrides
+  };
+}
+
 // Функция для форматирования ответа LLM
 function formatLLMResponse(text) {
   if (!text) return '';
@@ -218,6 +238,14 @@ export default function Home() {
   const [logs, setLogs] = useState([]);
   const [isMobile, setIsMobile] = useState(false);
   const [queryHistory, setQueryHistory] = useState([]);
+  // Текущий диалог: вопросы, планы и краткие результаты для уточняющих запросов
+  const [conversation, setConversation] = useState([]);
+  const [exporting, setExporting] = useState(false);
+  const [showOverview, setShowOverview] = useState(true);
+  // Блоки результатов, из которых собирается PDF отчет
+  const questionRef = useRef(null);
+  const answerRef = useRef(null);
+  const chartRef = useRef(null);
 
   // Определение мобильного устройства
   useEffect(() => {
@@ -265,55 +293,102 @@ export default function Home() {
 
   // Load sample data on mount for demo (only if no data uploaded)
   useEffect(() => {
-    const savedData = sessionStorage.getItem('uploadedData');
-    if (!savedData && !data) {
+    const savedDataset = sessionStorage.getItem('uploadedDataset');
+    if (savedDataset) {
+      setData(JSON.parse(savedDataset));
+    } else if (!data) {
+      const columnNames = Object.keys(sampleData[0] || {});
+      const schema = inferSchema(sampleData, columnNames);
       setData({
         rows: sampleData.length,
-        columns: Object.keys(sampleData[0] || {}).length,
+        columns: columnNames.length,
         sample: sampleData.slice(0, 5),
-        columnNames: Object.keys(sampleData[0] || {}),
+        columnNames,
+        schema,
+        profile: profileDataset(sampleData, columnNames, schema),
         data: sampleData
       });
-    } else if (savedData) {
-      const parsedData = JSON.parse(savedData);
-      const columns = JSON.parse(sessionStorage.getItem('uploadedColumns') || '[]');
-      setData({
-        rows: parsedData.length,
-        columns: columns.length,
-        sample: parsedData.slice(0, 5),
-        columnNames: columns,
-        data: parsedData
-      });
     }
   }, []);
 
   const handleDataLoaded = (loadedData) => {
     setData(loadedData);
+    setShowOverview(true);
+    // Новые данные - новый диалог
+    setConversation([]);
     if (loadedData.logs && loadedData.logs.length > 0) {
       setLogs(loadedData.logs);
     }
   };
 
+  // Исправление типа колонки пользователем (type = undefined - вернуть определенный автоматически)
+  const handleSchemaChange = (tableName, column, type) => {
+    setData(prev => {
+      const tableOverrides = { ...(prev.schemaOverrides?.[tableName] || {}) };
+      if (type) {
+        tableOverrides[column] = type;
+      } else {
+        delete tableOverrides[column];
+      }
+      const updated = {
+        ...prev,
+        schemaOverrides: { ...(prev.schemaOverrides || {}), [tableName]: tableOverrides }
+      };
+      if (updated.datasetId) {
+        sessionStorage.setItem('uploadedDataset', JSON.stringify(updated));
+      }
+      return updated;
+    });
+  };
+
+  // PDF отчет: вопрос, ответ LLM и график в том виде, в каком они показаны, таблица - из строк результата
+  const handleExportReport = async () => {
+    setExporting(true);
+    try {
+      await exportReportPdf(
+        [questionRef.current, answerRef.current, chartRef.current],
+        datedFileName('report', 'pdf'),
+        results.table ? { title: '📋 Данные', rows: results.table, truncated: results.truncated } : null
+      );
+    } catch (error) {
+      console.error('[Export] Ошибка:', error);
+      setLogs(prev => [...prev, { timestamp: new Date().toISOString(), message: `❌ ОШИБКА экспорта отчета: ${error.message}` }]);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Полный результат последнего запроса: сервер выполняет его план заново, без ограничения строк,
+  // и применяет поиск, фильтры и сортировку таблицы
+  const handleExportFullResult = async (format, tableView) => {
+    const response = await fetch('/api/export', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...datasetRequestBody(data), plan: results.plan, format, tableView })
+    });
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || `Ошибка выгрузки: ${response.status}`);
+    }
+    downloadBlob(await response.blob(), datedFileName('result', format));
+  };
+
   const handleQuerySubmit = async (q) => {
     if (!q.trim()) return;
     
-    // Get data from state or sessionStorage
-    let currentData = data?.data;
-    let currentColumns = data?.columnNames;
-
-    if (!currentData) {
-      const savedData = sessionStorage.getItem('uploadedData');
-      if (savedData) {
-        currentData = JSON.parse(savedData);
-        currentColumns = JSON.parse(sessionStorage.getItem('uploadedColumns') || '[]');
-      } else {
-        // Use sample data
-        currentData = sampleData;
-        currentColumns = Object.keys(sampleData[0] || {});
-      }
+    // Get dataset from state or sessionStorage
+    let currentDataset = data;
+    if (!currentDataset) {
+      const savedDataset = sessionStorage.getItem('uploadedDataset');
+      currentDataset = savedDataset
+        ? JSON.parse(savedDataset)
+        : { data: sampleData, columnNames: Object.keys(sampleData[0] || {}) }; // Use sample data
     }
+    // Загруженные файлы хранятся на сервере и передаются по id, демо-данные - строками
+    const datasetId = currentDataset.datasetId;
+    const currentData = currentDataset.data;
 
-    if (!currentData || currentData.length === 0) {
+    if (!datasetId && (!currentData || currentData.length === 0)) {
       setResults({
         type: 'error',
         message: 'Сначала загрузите данные',
@@ -324,13 +399,24 @@ export default function Home() {
       return;
     }
     
+    // История диалога без ошибочных ходов
+    const history = conversation
+      .filter(turn => turn.type !== 'error' && !turn.pending)
+      .map(turn => ({ query: turn.query, plan: turn.plan, summary: turn.summary }));
+
+    const turnId = Date.now();
+    const updateTurn = (changes) => {
+      setConversation(prev => prev.map(turn => (turn.id === turnId ? { ...turn, ...changes } : turn)));
+    };
+    setConversation(prev => [...prev, { id: turnId, query: q, pending: true }]);
+    setQuery('');
+
     setLoading(true);
     setLogs([{ timestamp: new Date().toISOString(), message: 'Начало обработки запроса...' }]);
     
     try {
       console.log('[Query] Отправка запроса:', q);
-      console.log('[Query] Данные:', currentData?.length, 'строк');
-      console.log('[Query] Колонки:', currentColumns);
+      console.log('[Query] Датасет:', datasetId || `демо, ${currentData?.length} строк`);
       
       const response = await fetch('/api/query', {
         method: 'POST',
@@ -339,17 +425,37 @@ export default function Home() {
         },
         body: JSON.stringify({
           query: q,
-          data: currentData,
-          columns: currentColumns
+          ...datasetRequestBody(currentDataset),
+          history,
+          stream: true
         })
       });
 
       console.log('[Query] Ответ получен, статус:', response.status);
-      const result = await response.json();
+      let result;
+      let ok = response.ok;
+      if (response.headers.get('Content-Type')?.includes('text/event-stream')) {
+        // Потоковый ответ: логи и текст модели приходят по мере обработки
+        await readEventStream(response, (event, payload) => {
+          if (event === 'log') {
+            setLogs(prev => [...prev, payload]);
+          } else if (event === 'token') {
+            setResults({ type: 'streaming', message: payload.text, table: null, chart: null });
+          } else if (event === 'result' || event === 'error') {
+            result = payload;
+            ok = event === 'result';
+          }
+        });
+        if (!result) {
+          throw new Error('Поток ответа прервался до получения результата');
+        }
+      } else {
+        result = await response.json();
+      }
       console.log('[Query] Результат:', result);
       console.log('[Query] Логи из ответа:', result.logs);
 
-      if (!response.ok) {
+      if (!ok) {
         console.error('[Query] Ошибка ответа:', result);
         console.error('[Query] Детали ошибки:', result.details);
         console.error('[Query] Stack trace:', result.stack);
@@ -366,7 +472,14 @@ export default function Home() {
         throw new Error(errorMessage);
       }
 
-      setResults(result);
+      setResults({ ...result, question: q });
+      updateTurn({
+        pending: false,
+        type: result.type,
+        message: result.message,
+        plan: result.plan,
+        summary: result.summary
+      });
       
       // Сохраняем в историю
       saveToHistory(q, result);
@@ -380,6 +493,7 @@ export default function Home() {
       console.error('[Query] Error stack:', error.stack);
       
       const errorMessage = error.message || 'Ошибка обработки запроса';
+      updateTurn({ pending: false, type: 'error', message: errorMessage });
       
       setResults({
         type: 'error',
@@ -428,6 +542,34 @@ export default function Home() {
                 <div style={info}>
                   ✅ Загружено: {data.rows} строк, {data.columns} колонок
                 </div>
+                {data.tables && data.tables.length > 0 && (
+                  <div style={{ marginTop: 12, padding: 12, background: '#11162a', borderRadius: 8, fontSize: 12, color: '#94a3b8' }}>
+                    <div style={{ color: '#f8fafc', fontWeight: 600, marginBottom: 8 }}>{['xlsx', 'xls'].includes(data.sourceType) ? '📑 Листы книги:' : '🗄️ Таблицы SQLite:'}</div>
+                    {data.tables.map(table => (
+                      <div key={table.name} style={{ marginBottom: 4, fontSize: 11 }}>
+                        {table.name}: {table.rows} строк, {table.columns} колонок
+                        {table.foreignKeys?.length > 0 && ` (связей: ${table.foreignKeys.length})`}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {data.tables && data.tables.length > 0
+                  ? data.tables.map(table => (
+                    <SchemaEditor
+                      key={table.name}
+                      title={`Типы колонок: ${table.name}`}
+                      schema={table.schema}
+                      overrides={data.schemaOverrides?.[table.name]}
+                      onChange={(column, type) => handleSchemaChange(table.name, column, type)}
+                    />
+                  ))
+                  : (
+                    <SchemaEditor
+                      schema={data.schema}
+                      overrides={data.schemaOverrides?.data}
+                      onChange={(column, type) => handleSchemaChange('data', column, type)}
+                    />
+                  )}
                 {data.missingValues && Object.keys(data.missingValues).length > 0 && (
                   <div style={{ marginTop: 12, padding: 12, background: 'rgba(251, 191, 36, 0.1)', borderRadius: 8, fontSize: 12 }}>
                     <div style={{ color: '#fbbf24', fontWeight: 600, marginBottom: 8 }}>⚠️ Пропущенные значения:</div>
@@ -465,9 +607,13 @@ export default function Home() {
               onQueryChange={setQuery}
               onQuerySubmit={handleQuerySubmit}
               loading={loading}
+              messages={conversation}
+              onNewConversation={() => setConversation([])}
             />
             <div style={{ marginTop: 16, fontSize: 12, color: '#94a3b8' }}>
-              Примеры: "покажи средние продажи", "создай график тренда", "найди аномалии"
+              {conversation.length > 0
+                ? 'Уточнения: "теперь только для Electronics", "то же самое по месяцам"'
+                : 'Примеры: "покажи средние продажи", "создай график тренда", "найди аномалии"'}
             </div>
           </div>
         </section>
@@ -504,18 +650,72 @@ export default function Home() {
         </section>
       </div>
 
+      {/* Обзор загруженных данных (на всю ширину) */}
+      {data && (
+        <section style={{ ...section, marginBottom: 24 }}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, marginBottom: showOverview ? 16 : 0 }}>
+            <h2 style={{ margin: 0 }}>🧾 Обзор данных</h2>
+            <button
+              onClick={() => setShowOverview(prev => !prev)}
+              style={{ padding: '6px 12px', background: 'transparent', border: '1px solid #334155', borderRadius: 8, color: '#94a3b8', fontSize: 13, cursor: 'pointer' }}
+            >
+              {showOverview ? 'Свернуть' : 'Показать'}
+            </button>
+          </div>
+          {showOverview && (
+            <DataOverview
+              key={data.datasetId || 'demo'}
+              tables={data.tables?.length > 0 ? data.tables : [{ name: 'data', ...data }]}
+              overrides={data.schemaOverrides}
+            />
+          )}
+        </section>
+      )}
+
       {/* Нижний ряд: Результаты анализа (на всю ширину) */}
       {(results && (results.chart || results.table)) && (
         <section style={{ ...section, marginBottom: 24 }}>
-          <h2 style={{ marginTop: 0, marginBottom: 16 }}>📊 Результаты анализа</h2>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, marginBottom: 16 }}>
+            <h2 style={{ margin: 0 }}>📊 Результаты анализа</h2>
+            {!loading && (
+              <button
+                onClick={handleExportReport}
+                disabled={exporting}
+                style={{
+                  padding: '8px 14px',
+                  background: 'rgba(99, 102, 241, 0.2)',
+                  border: '1px solid #6366f1',
+                  borderRadius: 8,
+                  color: '#f8fafc',
+                  fontSize: 13,
+                  cursor: exporting ? 'wait' : 'pointer',
+                  opacity: exporting ? 0.6 : 1
+                }}
+              >
+                {exporting ? '⏳ Формирование PDF...' : '📄 Экспорт отчета (PDF)'}
+              </button>
+            )}
+          </div>
           {loading && (
             <div style={{ padding: 24, textAlign: 'center', color: '#94a3b8' }}>
               <div style={{ fontSize: 14 }}>⏳ Обработка запроса...</div>
             </div>
           )}
+
+          {!loading && results.question && (
+            <div ref={questionRef} style={{ marginBottom: 16, fontSize: 15, color: '#e2e8f0' }}>
+              ❓ <strong>{results.question}</strong>
+            </div>
+          )}
+
+          {!loading && results.filters && (
+            <div style={{ marginBottom: 16, fontSize: 13, color: '#94a3b8' }}>
+              🔎 Фильтры: {results.filters.description} ({results.filters.matched} из {results.filters.total} строк)
+            </div>
+          )}
           
           {!loading && results.chart && (
-            <div style={{ marginBottom: 24 }}>
+            <div ref={chartRef} style={{ marginBottom: 24 }}>
               <h3 style={{ marginTop: 0, marginBottom: 12, fontSize: 16, color: '#f8fafc' }}>📈 Визуализация</h3>
               <ChartPanel data={results.chart} />
             </div>
@@ -524,8 +724,17 @@ export default function Home() {
           {!loading && results.table && (
             <div>
               <h3 style={{ marginTop: 0, marginBottom: 12, fontSize: 16, color: '#f8fafc' }}>📋 Данные</h3>
+              {results.truncated && (
+                <div style={{ marginBottom: 12, fontSize: 13, color: '#f59e0b' }}>
+                  ⚠️ Показаны первые {results.table.length} строк результата, все строки доступны в выгрузке полного результата
+                </div>
+              )}
               <div style={{ overflowX: 'auto' }}>
-                <DataTable data={results.table} />
+                <DataTable
+                  data={results.table}
+                  pivot={results.pivot}
+                  onExportFull={results.plan ? handleExportFullResult : undefined}
+                />
               </div>
             </div>
           )}
@@ -536,7 +745,7 @@ export default function Home() {
       {results && results.message && (
         <section style={section}>
           <h2 style={{ marginTop: 0, marginBottom: 16 }}>💬 Ответ от LLM</h2>
-          <div style={{
+          <div ref={answerRef} style={{
             color: results.type === 'error' ? '#ef4444' : '#e2e8f0',
             whiteSpace: 'pre-wrap',
             fontFamily: results.type === 'error' ? 'monospace' : 'inherit',
@@ -0,0 +1,64 @@
+// Offline check of /api/query pipeline with mock LLM provider (npm run check:mock)
+// Прогоняет заготовленные ответы src/mock-data/llmResponses.js на демо-данных sample.js без сети
+import assert from 'node:assert/strict';
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { default: handler } = await import('../pages/api/query.js');
+const { default: sampleData } = await import('../src/mock-data/sample.js');
+
+/**
+ * Call API route handler with minimal req/res objects, JSON response only
+ */
+async function query(body) {
+  let status = 200;
+  let payload = null;
+  const res = {
+    status(code) {
+      status = code;
+      return res;
+    },
+    json(data) {
+      payload = data;
+      return res;
+    },
+    setHeader() {}
+  };
+  await handler({ method: 'POST', headers: {}, body }, res);
+  return { status, payload };
+}
+
+const CASES = [
+  {
+    query: 'Топ товаров по выручке',
+    type: 'sql',
+    check: payload => {
+      assert.equal(payload.table.length, 5);
+      const revenues = payload.table.map(row => row.revenue);
+      assert.deepEqual(revenues, [...revenues].sort((a, b) => b - a));
+    }
+  },
+  { query: 'Продажи по категориям', type: 'visualization', check: payload => assert.ok(payload.chart?.data?.length > 0) },
+  { query: 'Статистика продаж', type: 'statistics', check: payload => assert.ok(payload.statistics) },
+  { query: 'Привет', type: 'text', check: payload => assert.ok(payload.message) }
+];
+
+let failed = 0;
+for (const testCase of CASES) {
+  try {
+    const { status, payload } = await query({ query: testCase.query, data: sampleData, columns: Object.keys(sampleData[0]) });
+    assert.equal(status, 200, payload?.error);
+    assert.equal(payload.type, testCase.type);
+    testCase.check(payload);
+    console.log(`✓ ${testCase.query} (${testCase.type})`);
+  } catch (error) {
+    failed++;
+    console.error(`✗ ${testCase.query}: ${error.message}`);
+  }
+}
+
+if (failed > 0) {
+  console.error(`Проверок с ошибками: ${failed}`);
+  process.exit(1);
+}
+console.log('Все проверки пройдены');
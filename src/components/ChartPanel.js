@@ -1,33 +1,171 @@
-import { useState } from 'react';
+import { useState, useRef } from 'react';
 import {
   ResponsiveContainer,
   LineChart,
   BarChart,
+  AreaChart,
+  ComposedChart,
   PieChart,
   ScatterChart,
+  FunnelChart,
+  Treemap,
   Line,
   Bar,
+  Area,
   Pie,
   Scatter,
+  Funnel,
   Cell,
+  LabelList,
   XAxis,
   YAxis,
   CartesianGrid,
   Tooltip,
   Legend
 } from 'recharts';
+import { exportElementPng, exportChartSvg } from '../lib/exporters';
 
 const COLORS = ['#6366f1', '#8b5cf6', '#ec4899', '#f59e0b', '#10b981', '#3b82f6', '#ef4444', '#06b6d4'];
 
 const CHART_TYPES = [
   { id: 'bar', label: '📊 Столбчатая', icon: '📊' },
   { id: 'line', label: '📈 Линейная', icon: '📈' },
+  { id: 'area', label: '🌄 Области', icon: '🌄' },
   { id: 'pie', label: '🥧 Круговая', icon: '🥧' },
-  { id: 'scatter', label: '🔵 Точечная', icon: '🔵' }
+  { id: 'scatter', label: '🔵 Точечная', icon: '🔵' },
+  { id: 'histogram', label: '📶 Гистограмма', icon: '📶' },
+  { id: 'boxplot', label: '🗃️ Box plot', icon: '🗃️' },
+  { id: 'heatmap', label: '🟥 Тепловая карта', icon: '🟥' },
+  { id: 'funnel', label: '🔻 Воронка', icon: '🔻' },
+  { id: 'treemap', label: '🧱 Treemap', icon: '🧱' }
 ];
 
+// Графики с собственным форматом данных: ячейки матрицы и сводки квартилей
+const EXCLUSIVE_TYPES = ['heatmap', 'boxplot'];
+// Доли целого: один ряд неотрицательных значений
+const PART_TYPES = ['pie', 'funnel', 'treemap'];
+// Интервалы гистограммы можно показать как обычные категории
+const HISTOGRAM_TYPES = ['histogram', 'bar', 'line', 'area'];
+const MAX_PART_CATEGORIES = 30;
+
+const TOOLTIP_STYLE = {
+  background: '#1e293b',
+  border: '1px solid #334155',
+  borderRadius: 8,
+  color: '#f8fafc'
+};
+
+/**
+ * Cell color: diverging (blue - negative, red - positive) when range crosses zero, otherwise sequential
+ */
+function heatmapColor(value, min, max) {
+  if (value === null || value === undefined) {
+    return 'transparent';
+  }
+  if (min < 0 && max > 0) {
+    const intensity = Math.min(1, Math.abs(value) / Math.max(Math.abs(min), Math.abs(max)));
+    return value >= 0 ? `rgba(239, 68, 68, ${intensity})` : `rgba(59, 130, 246, ${intensity})`;
+  }
+  const intensity = max > min ? (value - min) / (max - min) : 1;
+  return `rgba(99, 102, 241, ${0.15 + 0.85 * intensity})`;
+}
+
+/**
+ * Treemap rectangle: color of top-level group, label when it fits
+ */
+function TreemapCell({ x, y, width, height, depth, colorIndex, name }) {
+  if (depth === 0) {
+    return null;
+  }
+  const color = COLORS[(colorIndex || 0) % COLORS.length];
+  return (
+    <g>
+      <rect
+        x={x}
+        y={y}
+        width={width}
+        height={height}
+        fill={color}
+        fillOpacity={depth > 1 ? 0.55 : 0.85}
+        stroke="#0f172a"
+        strokeWidth={depth > 1 ? 1 : 2}
+      />
+      {width > 50 && height > 20 && (
+        <text x={x + 6} y={y + 16} fill="#f8fafc" fontSize={12}>
+          {name}
+        </text>
+      )}
+    </g>
+  );
+}
+
+/**
+ * Box plot in SVG: box from q1 to q3, median line, whiskers, outlier points
+ */
+function BoxPlotChart({ data }) {
+  const width = 640;
+  const height = 300;
+  const padding = { top: 16, right: 16, bottom: 40, left: 56 };
+  const boxes = data.data;
+  const values = boxes.flatMap(box => [box.lowerWhisker, box.upperWhisker, ...(box.outliers || [])]);
+  const low = Math.min(...values);
+  const high = Math.max(...values);
+  const span = high - low || 1;
+  const plotHeight = height - padding.top - padding.bottom;
+  const band = (width - padding.left - padding.right) / boxes.length;
+  const scale = (value) => padding.top + (high - value) / span * plotHeight;
+  const ticks = Array.from({ length: 5 }, (_, idx) => low + span * idx / 4);
+
+  return (
+    <svg data-chart="boxplot" width="100%" viewBox={`0 0 ${width} ${height}`} style={{ fontSize: 12 }}>
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line x1={padding.left} x2={width - padding.right} y1={scale(tick)} y2={scale(tick)} stroke="#334155" strokeDasharray="3 3" />
+          <text x={padding.left - 6} y={scale(tick) + 4} fill="#94a3b8" textAnchor="end">
+            {Number(tick.toPrecision(4))}
+          </text>
+        </g>
+      ))}
+      {boxes.map((box, idx) => {
+        const center = padding.left + band * (idx + 0.5);
+        const boxWidth = Math.min(60, band * 0.6);
+        const color = COLORS[idx % COLORS.length];
+        return (
+          <g key={box[data.xKey]}>
+            <title>
+              {`${box[data.xKey]}: медиана ${box.median}, Q1 ${box.q1}, Q3 ${box.q3}, min ${box.min}, max ${box.max}, n = ${box.count}`}
+            </title>
+            <line x1={center} x2={center} y1={scale(box.upperWhisker)} y2={scale(box.lowerWhisker)} stroke="#94a3b8" />
+            {[box.lowerWhisker, box.upperWhisker].map((value, whiskerIdx) => (
+              <line key={whiskerIdx} x1={center - boxWidth / 4} x2={center + boxWidth / 4} y1={scale(value)} y2={scale(value)} stroke="#94a3b8" />
+            ))}
+            <rect
+              x={center - boxWidth / 2}
+              y={scale(box.q3)}
+              width={boxWidth}
+              height={Math.max(1, scale(box.q1) - scale(box.q3))}
+              fill={color}
+              fillOpacity={0.35}
+              stroke={color}
+            />
+            <line x1={center - boxWidth / 2} x2={center + boxWidth / 2} y1={scale(box.median)} y2={scale(box.median)} stroke="#f8fafc" strokeWidth={2} />
+            {(box.outliers || []).map((value, outlierIdx) => (
+              <circle key={outlierIdx} cx={center} cy={scale(value)} r={3} fill="none" stroke="#ef4444" />
+            ))}
+            <text x={center} y={height - padding.bottom + 18} fill="#94a3b8" textAnchor="middle">
+              {box[data.xKey]}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
 export default function ChartPanel({ data, onChartTypeChange }) {
   const [activeChartType, setActiveChartType] = useState(data?.type || 'bar');
+  const [exportError, setExportError] = useState(null);
+  const panelRef = useRef(null);
 
   if (!data || !data.data || data.data.length === 0) {
     return <p style={{ color: '#94a3b8' }}>Нет данных для графика</p>;
@@ -42,19 +180,32 @@ export default function ChartPanel({ data, onChartTypeChange }) {
 
   const chartType = activeChartType;
 
+  // Один ряд неотрицательных значений - можно показать как доли целого
+  const singleSeries = !data.series || data.series.length === 1;
+  const nonNegative = Boolean(data.yKey) && data.data.every(d => {
+    const value = d[data.yKey];
+    return value === null || value === undefined || parseFloat(value) >= 0;
+  });
+
   // Определяем доступные типы графиков на основе данных
   const availableTypes = CHART_TYPES.filter(type => {
+    // Тепловая карта и box plot - свой формат данных, другие типы к ним неприменимы
+    if (EXCLUSIVE_TYPES.includes(data.type) || EXCLUSIVE_TYPES.includes(type.id)) {
+      return data.type === type.id;
+    }
+    if (data.type === 'histogram' || type.id === 'histogram') {
+      return data.type === 'histogram' && HISTOGRAM_TYPES.includes(type.id);
+    }
+    if (PART_TYPES.includes(type.id)) {
+      return singleSeries && nonNegative && data.data.length <= MAX_PART_CATEGORIES;
+    }
     if (type.id === 'scatter') {
       // Scatter требует числовые данные для обеих осей
       return data.xKey && data.yKey && data.data.every(d => 
         !isNaN(parseFloat(d[data.xKey])) && !isNaN(parseFloat(d[data.yKey]))
       );
     }
-    if (type.id === 'pie') {
-      // Pie требует категориальные данные
-      return data.data.length > 0 && data.yKey;
-    }
-    return true; // bar и line доступны всегда
+    return true; // bar, line и area доступны всегда
   });
 
   // Если выбранный тип недоступен, выбираем первый доступный
@@ -62,10 +213,37 @@ export default function ChartPanel({ data, onChartTypeChange }) {
     ? chartType 
     : (availableTypes[0]?.id || 'bar');
 
+  // Экспорт текущего вида графика; вкладки и кнопки в файл не попадают
+  const handleExport = async (format) => {
+    setExportError(null);
+    try {
+      const fileName = `chart-${finalChartType}.${format}`;
+      if (format === 'svg') {
+        exportChartSvg(panelRef.current, fileName);
+      } else {
+        await exportElementPng(panelRef.current, fileName);
+      }
+    } catch (error) {
+      console.error('[Chart] Ошибка экспорта:', error);
+      setExportError(error.message);
+    }
+  };
+
+  const exportButtonStyle = {
+    padding: '6px 10px',
+    background: 'transparent',
+    border: '1px solid #334155',
+    borderRadius: 8,
+    color: '#94a3b8',
+    fontSize: 12,
+    cursor: 'pointer'
+  };
+
   // Табы для переключения типов графиков
   const renderTabs = () => (
-    <div style={{
+    <div data-export-ignore style={{
       display: 'flex',
+      flexWrap: 'wrap',
       gap: 8,
       marginBottom: 16,
       borderBottom: '1px solid #334155',
@@ -108,14 +286,38 @@ export default function ChartPanel({ data, onChartTypeChange }) {
           <span>{type.label.replace(/^[^\s]+\s/, '')}</span>
         </button>
       ))}
+      <div style={{ marginLeft: 'auto', display: 'flex', gap: 8, alignItems: 'center' }}>
+        {exportError && <span style={{ color: '#ef4444', fontSize: 12 }}>{exportError}</span>}
+        <button onClick={() => handleExport('png')} style={exportButtonStyle} title="Скачать график как PNG">
+          ⬇️ PNG
+        </button>
+        {/* Тепловая карта - HTML таблица, SVG есть у остальных графиков */}
+        {finalChartType !== 'heatmap' && (
+          <button onClick={() => handleExport('svg')} style={exportButtonStyle} title="Скачать график как SVG">
+            ⬇️ SVG
+          </button>
+        )}
+      </div>
     </div>
   );
 
+  // Подписи долей: поле name (pie, funnel, treemap) или категория xKey
+  const nameKey = data.xKey && data.data[0]?.[data.xKey] !== undefined ? data.xKey : 'name';
+  const valueKey = data.yKey || 'value';
+
+  // Подпись агрегированной величины, например sum(revenue)
+  const yAxisLabel = data.yLabel
+    ? { value: data.yLabel, angle: -90, position: 'insideLeft', fill: '#94a3b8', fontSize: 12 }
+    : undefined;
+
   // Pie chart
   if (finalChartType === 'pie') {
     return (
-      <div style={{ width: '100%' }}>
+      <div ref={panelRef} style={{ width: '100%' }}>
         {renderTabs()}
+        {data.yLabel && (
+          <div style={{ color: '#94a3b8', fontSize: 12, marginBottom: 8 }}>{data.yLabel}</div>
+        )}
         <div style={{ width: '100%', height: 300 }}>
           <ResponsiveContainer>
           <PieChart>
@@ -127,19 +329,15 @@ export default function ChartPanel({ data, onChartTypeChange }) {
               label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(0)}%`}
               outerRadius={100}
               fill="#8884d8"
-              dataKey={data.yKey || 'value'}
+              dataKey={valueKey}
+              nameKey={nameKey}
             >
               {data.data.map((entry, index) => (
                 <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
               ))}
             </Pie>
             <Tooltip
-              contentStyle={{
-                background: '#1e293b',
-                border: '1px solid #334155',
-                borderRadius: 8,
-                color: '#f8fafc'
-              }}
+              contentStyle={TOOLTIP_STYLE}
             />
             <Legend />
           </PieChart>
@@ -149,10 +347,140 @@ export default function ChartPanel({ data, onChartTypeChange }) {
     );
   }
 
-  // Scatter chart
+  // Box plot: { [xKey], q1, median, q3, lowerWhisker, upperWhisker, outliers } per group
+  if (finalChartType === 'boxplot') {
+    return (
+      <div ref={panelRef} style={{ width: '100%' }}>
+        {renderTabs()}
+        {data.yLabel && (
+          <div style={{ color: '#94a3b8', fontSize: 12, marginBottom: 8 }}>{data.yLabel}</div>
+        )}
+        <BoxPlotChart data={data} />
+      </div>
+    );
+  }
+
+  // Funnel: stages in payload order, conversion from first stage in tooltip
+  if (finalChartType === 'funnel') {
+    return (
+      <div ref={panelRef} style={{ width: '100%' }}>
+        {renderTabs()}
+        {data.yLabel && (
+          <div style={{ color: '#94a3b8', fontSize: 12, marginBottom: 8 }}>{data.yLabel}</div>
+        )}
+        <div style={{ width: '100%', height: 300 }}>
+          <ResponsiveContainer>
+          <FunnelChart>
+            <Tooltip
+              contentStyle={TOOLTIP_STYLE}
+              formatter={(value, name, item) => (item.payload.percentOfFirst !== undefined
+                ? [`${value} (${item.payload.percentOfFirst}% от первого этапа)`, name]
+                : [value, name])}
+            />
+            <Funnel data={data.data} dataKey={valueKey} nameKey={nameKey} isAnimationActive={false}>
+              {data.data.map((entry, index) => (
+                <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+              ))}
+              <LabelList position="right" fill="#f8fafc" stroke="none" dataKey={nameKey} />
+            </Funnel>
+          </FunnelChart>
+        </ResponsiveContainer>
+        </div>
+      </div>
+    );
+  }
+
+  // Treemap: { name, value, children? } nodes or flat categories
+  if (finalChartType === 'treemap') {
+    const nodes = data.data.map((node, index) => ({
+      ...node,
+      colorIndex: index,
+      ...(node.children ? { children: node.children.map(child => ({ ...child, colorIndex: index })) } : {})
+    }));
+    return (
+      <div ref={panelRef} style={{ width: '100%' }}>
+        {renderTabs()}
+        {data.yLabel && (
+          <div style={{ color: '#94a3b8', fontSize: 12, marginBottom: 8 }}>{data.yLabel}</div>
+        )}
+        <div style={{ width: '100%', height: 300 }}>
+          <ResponsiveContainer>
+          <Treemap
+            data={nodes}
+            dataKey={valueKey}
+            nameKey={nameKey}
+            content={<TreemapCell />}
+            isAnimationActive={false}
+          >
+            <Tooltip contentStyle={TOOLTIP_STYLE} />
+          </Treemap>
+        </ResponsiveContainer>
+        </div>
+      </div>
+    );
+  }
+
+  // Heatmap: grid of cells { x, y, value }
+  if (finalChartType === 'heatmap') {
+    const valueKey = data.valueKey || 'value';
+    const xCategories = data.xCategories || [...new Set(data.data.map(cell => cell[data.xKey]))];
+    const yCategories = data.yCategories || [...new Set(data.data.map(cell => cell[data.yKey]))];
+    const values = data.data.map(cell => cell[valueKey]).filter(Number.isFinite);
+    const min = data.min ?? Math.min(...values);
+    const max = data.max ?? Math.max(...values);
+    const cells = new Map(data.data.map(cell => [`${cell[data.yKey]}\u0000${cell[data.xKey]}`, cell[valueKey]]));
+
+    return (
+      <div ref={panelRef} style={{ width: '100%' }}>
+        {renderTabs()}
+        {data.valueLabel && (
+          <div style={{ color: '#94a3b8', fontSize: 12, marginBottom: 8 }}>{data.valueLabel}</div>
+        )}
+        <div style={{ width: '100%', overflowX: 'auto' }}>
+          <table style={{ borderCollapse: 'collapse', fontSize: 12, color: '#f8fafc' }}>
+            <thead>
+              <tr>
+                <th />
+                {xCategories.map(xValue => (
+                  <th key={xValue} style={{ padding: '6px 8px', color: '#94a3b8', fontWeight: 500 }}>{xValue}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {yCategories.map(yValue => (
+                <tr key={yValue}>
+                  <th style={{ padding: '6px 8px', color: '#94a3b8', fontWeight: 500, textAlign: 'right' }}>{yValue}</th>
+                  {xCategories.map(xValue => {
+                    const value = cells.get(`${yValue}\u0000${xValue}`);
+                    return (
+                      <td
+                        key={xValue}
+                        title={`${yValue} / ${xValue}: ${value ?? '—'}`}
+                        style={{
+                          minWidth: 56,
+                          padding: '10px 8px',
+                          textAlign: 'center',
+                          background: heatmapColor(value, min, max),
+                          border: '1px solid #334155'
+                        }}
+                      >
+                        {value ?? '—'}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  }
+
+  // Scatter chart (optionally with regression line)
   if (finalChartType === 'scatter') {
     return (
-      <div style={{ width: '100%' }}>
+      <div ref={panelRef} style={{ width: '100%' }}>
         {renderTabs()}
         <div style={{ width: '100%', height: 300 }}>
           <ResponsiveContainer>
@@ -172,18 +500,26 @@ export default function ChartPanel({ data, onChartTypeChange }) {
             />
             <Tooltip
               cursor={{ strokeDasharray: '3 3' }}
-              contentStyle={{
-                background: '#1e293b',
-                border: '1px solid #334155',
-                borderRadius: 8,
-                color: '#f8fafc'
-              }}
+              contentStyle={TOOLTIP_STYLE}
             />
             <Scatter 
+              name={data.yKey || 'y'}
               dataKey={data.yKey || 'y'} 
               fill="#6366f1"
               fillOpacity={0.6}
             />
+            {data.trendLine && (
+              <Scatter
+                name={data.trendLine.name}
+                data={data.trendLine.data}
+                dataKey={data.yKey || 'y'}
+                line={{ stroke: '#f59e0b', strokeWidth: 2 }}
+                shape={() => null}
+                legendType="line"
+                fill="#f59e0b"
+              />
+            )}
+            {data.trendLine && <Legend />}
           </ScatterChart>
         </ResponsiveContainer>
         </div>
@@ -191,16 +527,27 @@ export default function ChartPanel({ data, onChartTypeChange }) {
     );
   }
 
-  // Line and Bar charts
-  const ChartComponent = finalChartType === 'line' ? LineChart : BarChart;
-  const DataComponent = finalChartType === 'line' ? Line : Bar;
+  // Line, Bar, Area and histogram: series from payload { key, name, color, axis, dashed }
+  const series = data.series || [{ key: data.yKey || 'value', name: data.yLabel }];
+  // Доверительный интервал прогноза рисуется закрашенной полосой под линиями
+  const interval = finalChartType === 'line' ? data.interval : null;
+  const ChartComponent = interval
+    ? ComposedChart
+    : { line: LineChart, area: AreaChart }[finalChartType] || BarChart;
+  const DataComponent = { line: Line, area: Area }[finalChartType] || Bar;
+  // Накопление только для столбцов и областей
+  const stackId = data.stacked && finalChartType !== 'line' ? 'stack' : undefined;
+  const hasRightAxis = series.some(item => item.axis === 'right');
+  const rightAxisLabel = data.yLabelRight
+    ? { value: data.yLabelRight, angle: 90, position: 'insideRight', fill: '#94a3b8', fontSize: 12 }
+    : undefined;
 
   return (
-    <div style={{ width: '100%' }}>
+    <div ref={panelRef} style={{ width: '100%' }}>
       {renderTabs()}
       <div style={{ width: '100%', height: 300 }}>
         <ResponsiveContainer>
-        <ChartComponent data={data.data}>
+        <ChartComponent data={data.data} barCategoryGap={finalChartType === 'histogram' ? 0 : undefined}>
           <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
           <XAxis 
             dataKey={data.xKey || 'date'} 
@@ -208,25 +555,55 @@ export default function ChartPanel({ data, onChartTypeChange }) {
             style={{ fontSize: 12 }}
           />
           <YAxis 
+            yAxisId="left"
             stroke="#94a3b8"
             style={{ fontSize: 12 }}
+            label={yAxisLabel}
           />
+          {hasRightAxis && (
+            <YAxis
+              yAxisId="right"
+              orientation="right"
+              stroke="#94a3b8"
+              style={{ fontSize: 12 }}
+              label={rightAxisLabel}
+            />
+          )}
           <Tooltip
-            contentStyle={{
-              background: '#1e293b',
-              border: '1px solid #334155',
-              borderRadius: 8,
-              color: '#f8fafc'
-            }}
+            contentStyle={TOOLTIP_STYLE}
           />
           <Legend />
-          <DataComponent
-            type="monotone"
-            dataKey={data.yKey || 'value'}
-            stroke="#6366f1"
-            fill="#6366f1"
-            fillOpacity={0.6}
-          />
+          {interval && (
+            <Area
+              yAxisId="left"
+              type="monotone"
+              dataKey={row => (row[interval.lowerKey] !== null && row[interval.lowerKey] !== undefined
+                ? [row[interval.lowerKey], row[interval.upperKey]]
+                : null)}
+              name={interval.name || 'Интервал'}
+              stroke="none"
+              fill={COLORS[1]}
+              fillOpacity={0.2}
+            />
+          )}
+          {series.map((item, index) => {
+            const color = item.color || COLORS[index % COLORS.length];
+            return (
+              <DataComponent
+                key={item.key}
+                yAxisId={item.axis === 'right' ? 'right' : 'left'}
+                stackId={stackId}
+                type="monotone"
+                dataKey={item.key}
+                name={item.name || item.key}
+                stroke={color}
+                fill={color}
+                fillOpacity={finalChartType === 'area' && !stackId ? 0.3 : 0.6}
+                strokeDasharray={item.dashed ? '6 4' : undefined}
+                connectNulls
+              />
+            );
+          })}
         </ChartComponent>
       </ResponsiveContainer>
       </div>
@@ -1,4 +1,50 @@
-export default function ChatInterface({ query, onQueryChange, onQuerySubmit, loading }) {
+import { useEffect, useRef } from 'react';
+
+const TYPE_LABELS = {
+  sql: '🗄️ SQL',
+  statistics: '📐 Статистика',
+  anomalies: '🚨 Аномалии',
+  forecast: '🔮 Прогноз',
+  correlation: '🔗 Корреляция',
+  regression: '📏 Регрессия',
+  pivot: '🧮 Сводная таблица',
+  visualization: '📈 График',
+  text: '💬 Текст',
+  error: '❌ Ошибка'
+};
+
+const bubble = {
+  padding: '8px 12px',
+  borderRadius: 10,
+  fontSize: 13,
+  lineHeight: 1.5,
+  maxWidth: '90%',
+  whiteSpace: 'pre-wrap',
+  wordBreak: 'break-word'
+};
+
+function truncate(text, maxLength = 300) {
+  const str = String(text || '');
+  return str.length > maxLength ? `${str.substring(0, maxLength)}...` : str;
+}
+
+export default function ChatInterface({
+  query,
+  onQueryChange,
+  onQuerySubmit,
+  loading,
+  messages = [],
+  onNewConversation
+}) {
+  const threadRef = useRef(null);
+
+  // Прокрутка к последнему сообщению
+  useEffect(() => {
+    if (threadRef.current) {
+      threadRef.current.scrollTop = threadRef.current.scrollHeight;
+    }
+  }, [messages]);
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (query.trim() && !loading) {
@@ -6,45 +52,132 @@ export default function ChatInterface({ query, onQueryChange, onQuerySubmit, loa
     }
   };
 
+  const handleKeyDown = (e) => {
+    // Enter - отправка, Shift+Enter - перенос строки
+    if (e.key === 'Enter' && !e.shiftKey) {
+      handleSubmit(e);
+    }
+  };
+
   return (
-    <form onSubmit={handleSubmit}>
-      <textarea
-        value={query}
-        onChange={(e) => onQueryChange(e.target.value)}
-        placeholder="Что умеешь?"
-        disabled={loading}
-        style={{
-          width: '100%',
-          minHeight: 100,
-          padding: 12,
-          borderRadius: 8,
-          background: '#11162a',
-          color: '#f8fafc',
-          border: '1px solid #334155',
-          fontFamily: 'inherit',
-          fontSize: 14,
-          resize: 'vertical'
-        }}
-      />
-      <button
-        type="submit"
-        disabled={loading || !query.trim()}
-        style={{
-          marginTop: 12,
-          padding: '10px 24px',
-          background: loading || !query.trim() ? '#475569' : '#6366f1',
-          color: 'white',
-          border: 'none',
-          borderRadius: 8,
-          cursor: loading || !query.trim() ? 'not-allowed' : 'pointer',
-          fontWeight: 600,
-          fontSize: 14,
-          transition: 'background 0.2s'
-        }}
-      >
-        {loading ? 'Обработка...' : 'Отправить запрос'}
-      </button>
-    </form>
+    <div>
+      {messages.length > 0 && (
+        <div
+          ref={threadRef}
+          style={{
+            display: 'flex',
+            flexDirection: 'column',
+            gap: 8,
+            maxHeight: 200,
+            overflowY: 'auto',
+            marginBottom: 12,
+            paddingRight: 4
+          }}
+        >
+          {messages.map(turn => (
+            <div key={turn.id} style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+              <div style={{
+                ...bubble,
+                alignSelf: 'flex-end',
+                background: 'rgba(99, 102, 241, 0.25)',
+                color: '#f8fafc'
+              }}>
+                {turn.query}
+              </div>
+              <div style={{
+                ...bubble,
+                alignSelf: 'flex-start',
+                background: turn.type === 'error' ? 'rgba(239, 68, 68, 0.1)' : '#11162a',
+                border: turn.type === 'error' ? '1px solid rgba(239, 68, 68, 0.3)' : '1px solid #334155',
+                color: turn.type === 'error' ? '#ef4444' : '#e2e8f0'
+              }}>
+                {turn.pending ? (
+                  <span style={{ color: '#94a3b8' }}>⏳ Обработка...</span>
+                ) : (
+                  <>
+                    <div style={{ fontSize: 11, color: '#94a3b8', marginBottom: 4 }}>
+                      {TYPE_LABELS[turn.type] || TYPE_LABELS.text}
+                    </div>
+                    {truncate(turn.message)}
+                    {turn.plan?.sql && (
+                      <code style={{
+                        display: 'block',
+                        marginTop: 6,
+                        padding: '4px 6px',
+                        background: 'rgba(99, 102, 241, 0.2)',
+                        borderRadius: 4,
+                        fontFamily: 'monospace',
+                        fontSize: 11,
+                        color: '#a78bfa'
+                      }}>
+                        {turn.plan.sql}
+                      </code>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      <form onSubmit={handleSubmit}>
+        <textarea
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={messages.length > 0 ? 'Уточните вопрос или задайте новый...' : 'Что умеешь?'}
+          disabled={loading}
+          style={{
+            width: '100%',
+            minHeight: messages.length > 0 ? 60 : 100,
+            padding: 12,
+            borderRadius: 8,
+            background: '#11162a',
+            color: '#f8fafc',
+            border: '1px solid #334155',
+            fontFamily: 'inherit',
+            fontSize: 14,
+            resize: 'vertical'
+          }}
+        />
+        <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
+          <button
+            type="submit"
+            disabled={loading || !query.trim()}
+            style={{
+              padding: '10px 24px',
+              background: loading || !query.trim() ? '#475569' : '#6366f1',
+              color: 'white',
+              border: 'none',
+              borderRadius: 8,
+              cursor: loading || !query.trim() ? 'not-allowed' : 'pointer',
+              fontWeight: 600,
+              fontSize: 14,
+              transition: 'background 0.2s'
+            }}
+          >
+            {loading ? 'Обработка...' : 'Отправить запрос'}
+          </button>
+          {messages.length > 0 && onNewConversation && (
+            <button
+              type="button"
+              onClick={onNewConversation}
+              disabled={loading}
+              style={{
+                padding: '10px 16px',
+                background: 'transparent',
+                color: '#94a3b8',
+                border: '1px solid #334155',
+                borderRadius: 8,
+                cursor: loading ? 'not-allowed' : 'pointer',
+                fontSize: 13
+              }}
+            >
+              🆕 Новый диалог
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
   );
 }
-
@@ -0,0 +1,223 @@
+import { useState } from 'react';
+import { COLUMN_TYPE_LABELS, isNumericType, TEMPORAL_TYPES } from '../lib/typeInference';
+
+const SPARKLINE_HEIGHT = 36;
+
+function typeColor(type) {
+  if (isNumericType(type)) return '#3b82f6';
+  if (TEMPORAL_TYPES.includes(type)) return '#10b981';
+  if (type === 'boolean') return '#f59e0b';
+  if (type === 'category') return '#a78bfa';
+  if (type === 'id') return '#64748b';
+  return '#94a3b8';
+}
+
+function TypeBadge({ type, overridden }) {
+  const color = typeColor(type);
+  return (
+    <span
+      title={overridden ? 'Тип изменен вручную' : 'Тип определен автоматически'}
+      style={{ padding: '1px 6px', borderRadius: 4, fontSize: 10, whiteSpace: 'nowrap', color, border: `1px solid ${color}`, background: `${color}1a` }}
+    >
+      {COLUMN_TYPE_LABELS[type] || type}{overridden ? ' ✎' : ''}
+    </span>
+  );
+}
+
+/**
+ * Mini histogram of numeric or date column, bar heights relative to the largest bin
+ */
+function HistogramSparkline({ bins, color }) {
+  const maxCount = Math.max(...bins.map(bin => bin.count), 1);
+  const width = 100 / bins.length;
+  return (
+    <svg width="100%" height={SPARKLINE_HEIGHT} viewBox={`0 0 100 ${SPARKLINE_HEIGHT}`} preserveAspectRatio="none">
+      {bins.map((bin, idx) => {
+        const height = bin.count ? Math.max(1, (bin.count / maxCount) * SPARKLINE_HEIGHT) : 0;
+        return (
+          <rect key={idx} x={idx * width + 0.5} y={SPARKLINE_HEIGHT - height} width={Math.max(width - 1, 0.5)} height={height} fill={color}>
+            <title>{`${bin.from} – ${bin.to}: ${bin.count}`}</title>
+          </rect>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * Most frequent values as horizontal bars with share of all rows
+ */
+function TopValues({ values, total, color }) {
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
+      {values.map(item => {
+        const percent = total ? Math.round((item.count / total) * 10000) / 100 : 0;
+        return (
+          <div key={item.value} title={`${item.value}: ${item.count} (${percent}%)`} style={{ position: 'relative', fontSize: 11, lineHeight: '16px', color: '#e2e8f0' }}>
+            <div style={{ position: 'absolute', inset: 0, width: `${percent}%`, background: `${color}33`, borderRadius: 2 }} />
+            <div style={{ position: 'relative', display: 'flex', gap: 6, padding: '0 4px' }}>
+              <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{item.value}</span>
+              <span style={{ color: '#94a3b8' }}>{percent}%</span>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * Column summary: profile from lib/profiler (null for datasets uploaded before profiling)
+ */
+function ColumnCard({ name, column, total, type, overridden }) {
+  const range = column?.dateRange || column;
+  const color = typeColor(type);
+  return (
+    <div style={{ padding: 10, background: '#11162a', border: '1px solid #1e293b', borderRadius: 8, minWidth: 0 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6 }}>
+        <span title={name} style={{ flex: 1, fontWeight: 600, fontSize: 13, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          {name}
+        </span>
+        <TypeBadge type={type} overridden={overridden} />
+      </div>
+      {column && (
+        <div style={{ display: 'flex', gap: 10, fontSize: 11, color: '#94a3b8', marginBottom: 6 }}>
+          <span style={{ color: column.nullCount > 0 ? '#fbbf24' : '#94a3b8' }} title={`Пустых значений: ${column.nullCount}`}>
+            пусто {column.nullRate}%
+          </span>
+          <span>уникальных {column.distinct}</span>
+        </div>
+      )}
+      {column?.histogram?.length > 0 && (
+        <>
+          <HistogramSparkline bins={column.histogram} color={color} />
+          <div style={{ display: 'flex', justifyContent: 'space-between', gap: 6, fontSize: 10, color: '#64748b' }}>
+            <span>{range.min}</span>
+            <span>{range.max}</span>
+          </div>
+        </>
+      )}
+      {column?.top?.length > 0 && <TopValues values={column.top} total={total} color={color} />}
+      {column?.example !== undefined && (
+        <div title="Пример значения" style={{ fontSize: 11, color: '#64748b', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          например: {column.example}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * First rows of table as uploaded, before any query
+ */
+function PreviewGrid({ rows, columns }) {
+  return (
+    <div style={{ maxHeight: 320, overflow: 'auto', border: '1px solid #1e293b', borderRadius: 6 }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+        <thead style={{ position: 'sticky', top: 0, background: '#11162a' }}>
+          <tr style={{ borderBottom: '2px solid #334155' }}>
+            {columns.map(column => (
+              <th key={column} style={{ padding: '8px 12px', textAlign: 'left', color: '#94a3b8', fontWeight: 600, fontSize: 12, whiteSpace: 'nowrap' }}>
+                {column}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, idx) => (
+            <tr key={idx} style={{ borderBottom: '1px solid #1e293b' }}>
+              {columns.map(column => (
+                <td key={column} style={{ padding: '6px 12px', whiteSpace: 'nowrap', maxWidth: 240, overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                  {String(row[column] ?? '—')}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Data overview after upload: rows, columns and duplicates, per-column type, missing values,
+ * distinct counts and distribution, preview of first rows
+ * tables - [{ name, rows, columnNames, schema, sample, profile }] (profile - lib/profiler), overrides - { tableName: { column: type } }
+ */
+export default function DataOverview({ tables, overrides = {} }) {
+  const [selected, setSelected] = useState(0);
+  const table = tables[Math.min(selected, tables.length - 1)];
+  if (!table) {
+    return null;
+  }
+
+  const columnNames = table.columnNames || Object.keys(table.sample?.[0] || {});
+  const profiles = table.profile?.columns || {};
+  const tableOverrides = overrides[table.name] || {};
+  const duplicates = table.profile?.duplicateRows;
+
+  return (
+    <div>
+      {tables.length > 1 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginBottom: 12 }}>
+          {tables.map((item, idx) => (
+            <button
+              key={item.name}
+              onClick={() => setSelected(idx)}
+              style={{
+                padding: '4px 10px',
+                borderRadius: 6,
+                fontSize: 12,
+                cursor: 'pointer',
+                color: '#f8fafc',
+                border: '1px solid #334155',
+                background: item === table ? 'rgba(99, 102, 241, 0.3)' : 'transparent'
+              }}
+            >
+              {item.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16, marginBottom: 16, fontSize: 13, color: '#94a3b8' }}>
+        <span>Строк: <strong style={{ color: '#f8fafc' }}>{table.rows}</strong></span>
+        <span>Колонок: <strong style={{ color: '#f8fafc' }}>{columnNames.length}</strong></span>
+        {duplicates !== undefined && (
+          <span>
+            Дубликатов строк:{' '}
+            <strong style={{ color: duplicates > 0 ? '#fbbf24' : '#10b981' }}>
+              {duplicates}{duplicates > 0 && table.rows ? ` (${Math.round((duplicates / table.rows) * 10000) / 100}%)` : ''}
+            </strong>
+          </span>
+        )}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: 12, marginBottom: 16 }}>
+        {columnNames.map(name => {
+          const overridden = tableOverrides[name] !== undefined;
+          const type = overridden ? tableOverrides[name] : table.schema?.[name]?.type || profiles[name]?.type || 'text';
+          return (
+            <ColumnCard
+              key={name}
+              name={name}
+              column={profiles[name]}
+              total={table.profile?.rowCount}
+              type={type}
+              overridden={overridden}
+            />
+          );
+        })}
+      </div>
+
+      {table.sample?.length > 0 && (
+        <>
+          <div style={{ fontSize: 13, color: '#94a3b8', marginBottom: 8 }}>
+            Первые {table.sample.length} строк из {table.rows}
+          </div>
+          <PreviewGrid rows={table.sample} columns={columnNames} />
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,123 +1,509 @@
-import { useState } from 'react';
+import { useState, useMemo, useRef, useEffect } from 'react';
+import { downloadBlob, datedFileName } from '../lib/exporters';
+import { inferSchema } from '../lib/typeInference';
+import { PAGE_SIZES, filterKind, isFilterActive, buildTableView, categoryOptions } from '../lib/tableView';
 
-export default function DataTable({ data }) {
-  const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
+const headerCellStyle = {
+  padding: '8px 12px',
+  color: '#94a3b8',
+  fontWeight: 600,
+  fontSize: 12,
+  border: '1px solid #334155'
+};
 
-  if (!data || !Array.isArray(data) || data.length === 0) {
-    return <p style={{ color: '#94a3b8' }}>Нет данных для отображения</p>;
-  }
+// Форматы выгрузки таблицы (сериализация - в lib/tableExport, загружается при первой выгрузке)
+const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'xlsx', label: 'Excel' },
+  { id: 'json', label: 'JSON' }
+];
 
-  const columns = Object.keys(data[0] || {});
+const exportButtonStyle = {
+  padding: '4px 10px',
+  background: 'transparent',
+  border: '1px solid #334155',
+  borderRadius: 6,
+  color: '#94a3b8',
+  fontSize: 12,
+  cursor: 'pointer'
+};
 
-  const handleSort = (column) => {
-    let direction = 'asc';
-    if (sortConfig.key === column && sortConfig.direction === 'asc') {
-      direction = 'desc';
-    }
-    setSortConfig({ key: column, direction });
-  };
+// Виртуализация: строки одинаковой высоты, в DOM только видимые плюс запас сверху и снизу
+const ROW_HEIGHT = 40;
+const VIEWPORT_HEIGHT = 480;
+const OVERSCAN = 10;
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_COLUMN_WIDTH = 160;
+const MIN_COLUMN_WIDTH = 60;
 
-  const sortedData = [...data];
-  if (sortConfig.key) {
-    sortedData.sort((a, b) => {
-      const aVal = a[sortConfig.key];
-      const bVal = b[sortConfig.key];
-      
-      // Try to parse as numbers
-      const aNum = parseFloat(aVal);
-      const bNum = parseFloat(bVal);
-      const isNumeric = !isNaN(aNum) && !isNaN(bNum) && isFinite(aNum) && isFinite(bNum);
-      
-      if (isNumeric) {
-        return sortConfig.direction === 'asc' ? aNum - bNum : bNum - aNum;
-      }
-      
-      // String comparison
-      const aStr = String(aVal ?? '').toLowerCase();
-      const bStr = String(bVal ?? '').toLowerCase();
-      
-      if (sortConfig.direction === 'asc') {
-        return aStr.localeCompare(bStr);
+const controlStyle = {
+  padding: '4px 8px',
+  background: '#11162a',
+  border: '1px solid #334155',
+  borderRadius: 6,
+  color: '#f8fafc',
+  fontSize: 12
+};
+
+const filterInputStyle = { ...controlStyle, width: '100%', minWidth: 0, boxSizing: 'border-box', padding: '3px 6px' };
+
+const gridCellStyle = {
+  height: ROW_HEIGHT,
+  padding: '0 12px',
+  fontSize: 14,
+  whiteSpace: 'nowrap',
+  overflow: 'hidden',
+  textOverflow: 'ellipsis',
+  boxSizing: 'border-box'
+};
+
+const ROW_STYLES = {
+  data: {},
+  subtotal: { background: 'rgba(99, 102, 241, 0.08)', fontWeight: 600 },
+  total: { background: 'rgba(99, 102, 241, 0.18)', fontWeight: 700 }
+};
+
+/**
+ * Header rows of cross-tab: one row per column dimension plus measures row,
+ * adjacent cells with the same header path are merged
+ */
+function buildHeaderRows(valueColumns) {
+  const depth = Math.max(...valueColumns.map(column => column.path.length));
+  return Array.from({ length: depth }, (_, level) => {
+    const cells = [];
+    valueColumns.forEach(column => {
+      const prefix = JSON.stringify(column.path.slice(0, level + 1));
+      const last = cells[cells.length - 1];
+      if (last && last.prefix === prefix && level < depth - 1) {
+        last.span++;
       } else {
-        return bStr.localeCompare(aStr);
+        cells.push({ prefix, label: column.path[level], span: 1, key: column.key });
       }
     });
-  }
+    return cells;
+  });
+}
 
-  const getSortIcon = (column) => {
-    if (sortConfig.key !== column) {
-      return '↕️';
-    }
-    return sortConfig.direction === 'asc' ? '↑' : '↓';
-  };
+/**
+ * Pivot table: row dimensions on the left, value columns under merged headers,
+ * subtotal and total rows highlighted, rows keep pivot order
+ */
+function PivotTable({ data, pivot }) {
+  const headerRows = buildHeaderRows(pivot.valueColumns);
 
   return (
-    <div style={{ overflowX: 'auto' }}>
-      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
-        <thead>
-          <tr style={{ borderBottom: '2px solid #334155' }}>
-            {columns.map((col) => (
-              <th
-                key={col}
-                onClick={() => handleSort(col)}
-                style={{
-                  padding: '12px',
-                  textAlign: 'left',
-                  color: '#94a3b8',
-                  fontWeight: 600,
-                  fontSize: 12,
-                  textTransform: 'uppercase',
-                  cursor: 'pointer',
-                  userSelect: 'none',
-                  transition: 'background 0.2s',
-                  position: 'relative'
-                }}
-                onMouseEnter={(e) => {
-                  e.currentTarget.style.background = '#1e293b';
-                }}
-                onMouseLeave={(e) => {
-                  e.currentTarget.style.background = 'transparent';
-                }}
-              >
-                <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
-                  <span>{col}</span>
-                  <span style={{ fontSize: 10, opacity: 0.7 }}>{getSortIcon(col)}</span>
-                </div>
+    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+      <thead>
+        {headerRows.map((cells, level) => (
+          <tr key={level}>
+            {level === 0 && pivot.rows.map(label => (
+              <th key={label} rowSpan={headerRows.length} style={{ ...headerCellStyle, textAlign: 'left', verticalAlign: 'bottom' }}>
+                {label}
+              </th>
+            ))}
+            {cells.map(cell => (
+              <th key={cell.key} colSpan={cell.span} style={{ ...headerCellStyle, textAlign: cell.span > 1 ? 'center' : 'right' }}>
+                {cell.label}
               </th>
             ))}
           </tr>
-        </thead>
-        <tbody>
-          {sortedData.map((row, idx) => (
-            <tr
-              key={idx}
-              style={{
-                borderBottom: '1px solid #1e293b',
-                transition: 'background 0.2s'
-              }}
-              onMouseEnter={(e) => {
-                e.currentTarget.style.background = '#1e293b';
-              }}
-              onMouseLeave={(e) => {
-                e.currentTarget.style.background = 'transparent';
-              }}
-            >
-              {columns.map((col) => (
-                <td
-                  key={col}
+        ))}
+      </thead>
+      <tbody>
+        {data.map((row, idx) => {
+          const rowType = pivot.rowTypes?.[idx] || 'data';
+          const previous = idx > 0 ? data[idx - 1] : null;
+          return (
+            <tr key={idx} style={{ borderBottom: '1px solid #1e293b', ...ROW_STYLES[rowType] }}>
+              {pivot.rows.map((label, level) => {
+                // Повторяющиеся значения внешних измерений не дублируем
+                const repeated = rowType === 'data' && previous && level < pivot.rows.length - 1
+                  && pivot.rows.slice(0, level + 1).every(key => previous[key] === row[key]);
+                return (
+                  <td key={label} style={{ padding: '8px 12px', fontSize: 14 }}>
+                    {repeated ? '' : String(row[label] ?? '')}
+                  </td>
+                );
+              })}
+              {pivot.valueColumns.map(column => (
+                <td key={column.key} style={{ padding: '8px 12px', fontSize: 14, textAlign: 'right' }}>
+                  {row[column.key] ?? ''}
+                </td>
+              ))}
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Download buttons: rows as displayed (after search, filters and sort) and full result from server
+ * columns - visible columns of grid, all columns of rows by default
+ */
+function ExportToolbar({ rows, columns, onExportFull }) {
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = async (key, action) => {
+    setBusy(key);
+    setError(null);
+    try {
+      await action();
+    } catch (exportError) {
+      console.error('[Table] Ошибка выгрузки:', exportError);
+      setError(exportError.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const downloadRows = async (format) => {
+    const { serializeTable } = await import('../lib/tableExport');
+    const { content, mimeType, extension } = serializeTable(rows, format, columns);
+    downloadBlob(new Blob([content], { type: mimeType }), datedFileName('table', extension));
+  };
+
+  const renderButtons = (scope, action) => EXPORT_FORMATS.map(format => (
+    <button
+      key={format.id}
+      onClick={() => run(`${scope}-${format.id}`, () => action(format.id))}
+      disabled={busy !== null}
+      style={{ ...exportButtonStyle, opacity: busy !== null && busy !== `${scope}-${format.id}` ? 0.5 : 1 }}
+    >
+      {busy === `${scope}-${format.id}` ? '⏳' : '⬇️'} {format.label}
+    </button>
+  ));
+
+  return (
+    <div data-export-ignore style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginBottom: 12, fontSize: 12, color: '#94a3b8' }}>
+      <span>Скачать таблицу ({rows.length} строк):</span>
+      {renderButtons('rows', downloadRows)}
+      {onExportFull && (
+        <>
+          <span style={{ marginLeft: 12 }} title="Запрос выполняется на сервере заново, без ограничения числа строк">
+            Полный результат:
+          </span>
+          {renderButtons('full', onExportFull)}
+        </>
+      )}
+      {error && <span style={{ color: '#ef4444' }}>{error}</span>}
+    </div>
+  );
+}
+
+/**
+ * Filter control of column by its kind: range for numbers and dates, select for booleans and categories
+ */
+function ColumnFilter({ kind, filter = {}, options, onChange }) {
+  const update = (field) => (event) => onChange({ ...filter, [field]: event.target.value });
+
+  if (kind === 'number' || kind === 'date') {
+    const [low, high] = kind === 'number' ? ['min', 'max'] : ['from', 'to'];
+    const type = kind === 'number' ? 'number' : 'date';
+    return (
+      <div style={{ display: 'flex', gap: 4 }}>
+        <input type={type} placeholder="от" value={filter[low] ?? ''} onChange={update(low)} style={filterInputStyle} />
+        <input type={type} placeholder="до" value={filter[high] ?? ''} onChange={update(high)} style={filterInputStyle} />
+      </div>
+    );
+  }
+  if (kind === 'boolean' || kind === 'category') {
+    return (
+      <select value={filter.value ?? ''} onChange={update('value')} style={filterInputStyle}>
+        <option value="">Все</option>
+        {kind === 'boolean'
+          ? [<option key="true" value="true">Да</option>, <option key="false" value="false">Нет</option>]
+          : options.map(option => <option key={option} value={option}>{option}</option>)}
+      </select>
+    );
+  }
+  return <input placeholder="содержит..." value={filter.text ?? ''} onChange={update('text')} style={filterInputStyle} />;
+}
+
+/**
+ * Result grid: global search, column filters by inferred type, multi-column sort (Shift+click),
+ * column visibility and widths, pagination and virtualized scrolling with sticky header
+ */
+function ResultGrid({ data, onExportFull }) {
+  const columns = useMemo(() => Object.keys(data[0] || {}), [data]);
+  const kinds = useMemo(() => {
+    const schema = inferSchema(data, columns);
+    return Object.fromEntries(columns.map(column => [column, filterKind(schema[column].type)]));
+  }, [data, columns]);
+
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState({});
+  const [sort, setSort] = useState([]);
+  const [hidden, setHidden] = useState([]);
+  const [widths, setWidths] = useState({});
+  const [showColumns, setShowColumns] = useState(false);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(DEFAULT_PAGE_SIZE);
+  const [scrollTop, setScrollTop] = useState(0);
+  const viewportRef = useRef(null);
+
+  const visibleColumns = useMemo(() => columns.filter(column => !hidden.includes(column)), [columns, hidden]);
+  const options = useMemo(() => Object.fromEntries(
+    columns.filter(column => kinds[column] === 'category').map(column => [column, categoryOptions(data, column)])
+  ), [data, columns, kinds]);
+
+  const view = useMemo(
+    () => buildTableView(data, { columns: visibleColumns, kinds, filters, search, sort }),
+    [data, visibleColumns, kinds, filters, search, sort]
+  );
+
+  const pageCount = pageSize ? Math.max(1, Math.ceil(view.length / pageSize)) : 1;
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = pageSize ? view.slice(currentPage * pageSize, (currentPage + 1) * pageSize) : view;
+
+  // Новый результат запроса - исходное состояние таблицы
+  useEffect(() => {
+    setSearch('');
+    setFilters({});
+    setSort([]);
+    setHidden([]);
+    setPage(0);
+  }, [data]);
+
+  // Новая выборка строк - прокрутка в начало
+  useEffect(() => {
+    if (viewportRef.current) {
+      viewportRef.current.scrollTop = 0;
+    }
+    setScrollTop(0);
+  }, [view, currentPage, pageSize]);
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(pageRows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const renderedRows = pageRows.slice(first, last);
+
+  const activeFilters = Object.values(filters).filter(isFilterActive).length;
+  const resetPage = () => setPage(0);
+
+  const handleSort = (column, additive) => {
+    const current = sort.find(item => item.key === column);
+    // Цикл по клику: по возрастанию -> по убыванию -> без сортировки
+    const next = !current ? { key: column, direction: 'asc' } : current.direction === 'asc' ? { key: column, direction: 'desc' } : null;
+    if (additive) {
+      setSort(current
+        ? sort.map(item => (item.key === column ? next : item)).filter(Boolean)
+        : [...sort, next]);
+    } else {
+      // Обычный клик заменяет сортировку по нескольким колонкам
+      setSort(current && sort.length === 1 ? (next ? [next] : []) : [{ key: column, direction: 'asc' }]);
+    }
+    resetPage();
+  };
+
+  const sortIndicator = (column) => {
+    const index = sort.findIndex(item => item.key === column);
+    if (index === -1) return '↕️';
+    const arrow = sort[index].direction === 'asc' ? '↑' : '↓';
+    return sort.length > 1 ? `${arrow}${index + 1}` : arrow;
+  };
+
+  const updateFilter = (column, filter) => {
+    setFilters(prev => ({ ...prev, [column]: filter }));
+    resetPage();
+  };
+
+  const toggleColumn = (column) => {
+    setHidden(prev => (prev.includes(column)
+      ? prev.filter(item => item !== column)
+      // Хотя бы одна колонка остается видимой
+      : visibleColumns.length > 1 ? [...prev, column] : prev));
+  };
+
+  const startResize = (column, event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const startX = event.clientX;
+    const startWidth = widths[column] || DEFAULT_COLUMN_WIDTH;
+    const onMove = (moveEvent) => {
+      setWidths(prev => ({ ...prev, [column]: Math.max(MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX) }));
+    };
+    const onUp = () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+    };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  };
+
+  // Полная выгрузка с сервера - с теми же поиском, фильтрами и сортировкой, что и на экране
+  const exportFull = onExportFull
+    && ((format) => onExportFull(format, { columns: visibleColumns, kinds, filters, search, sort }));
+
+  const tableWidth = visibleColumns.reduce((sum, column) => sum + (widths[column] || DEFAULT_COLUMN_WIDTH), 0);
+
+  return (
+    <div>
+      <ExportToolbar rows={view} columns={visibleColumns} onExportFull={exportFull} />
+
+      <div data-export-ignore style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginBottom: 12, fontSize: 12, color: '#94a3b8' }}>
+        <input
+          type="search"
+          placeholder="🔍 Поиск по таблице..."
+          value={search}
+          onChange={(e) => { setSearch(e.target.value); resetPage(); }}
+          style={{ ...controlStyle, minWidth: 220 }}
+        />
+        <div style={{ position: 'relative' }}>
+          <button onClick={() => setShowColumns(prev => !prev)} style={exportButtonStyle}>
+            Колонки ({visibleColumns.length}/{columns.length}) ▾
+          </button>
+          {showColumns && (
+            <div style={{ position: 'absolute', top: '100%', left: 0, zIndex: 3, marginTop: 4, padding: 8, maxHeight: 280, overflowY: 'auto', background: '#11162a', border: '1px solid #334155', borderRadius: 6, minWidth: 180 }}>
+              {columns.map(column => (
+                <label key={column} style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '2px 0', cursor: 'pointer', whiteSpace: 'nowrap' }}>
+                  <input type="checkbox" checked={!hidden.includes(column)} onChange={() => toggleColumn(column)} />
+                  {column}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+        {(activeFilters > 0 || search || sort.length > 0) && (
+          <button
+            onClick={() => { setFilters({}); setSearch(''); setSort([]); resetPage(); }}
+            style={exportButtonStyle}
+          >
+            ✕ Сбросить{activeFilters > 0 ? ` фильтры (${activeFilters})` : ''}
+          </button>
+        )}
+        <span>
+          {view.length === data.length ? `${data.length} строк` : `Найдено ${view.length} из ${data.length} строк`}
+          {sort.length > 1 ? ` · сортировка по ${sort.length} колонкам` : ''}
+        </span>
+        <span style={{ marginLeft: 'auto' }} title="Shift+клик по заголовку добавляет колонку в сортировку">
+          Shift+клик - сортировка по нескольким колонкам
+        </span>
+      </div>
+
+      <div
+        ref={viewportRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        style={{ maxHeight: VIEWPORT_HEIGHT, overflow: 'auto', border: '1px solid #1e293b', borderRadius: 6 }}
+      >
+        <table style={{ width: tableWidth, minWidth: '100%', borderCollapse: 'collapse', tableLayout: 'fixed' }}>
+          <colgroup>
+            {visibleColumns.map(column => <col key={column} style={{ width: widths[column] || DEFAULT_COLUMN_WIDTH }} />)}
+          </colgroup>
+          <thead style={{ position: 'sticky', top: 0, zIndex: 2, background: '#11162a' }}>
+            <tr style={{ borderBottom: '1px solid #334155' }}>
+              {visibleColumns.map(column => (
+                <th
+                  key={column}
+                  onClick={(e) => handleSort(column, e.shiftKey)}
+                  title={`${column}: клик - сортировка, Shift+клик - добавить к сортировке`}
                   style={{
-                    padding: '12px',
-                    fontSize: 14
+                    padding: '10px 12px',
+                    textAlign: 'left',
+                    color: '#94a3b8',
+                    fontWeight: 600,
+                    fontSize: 12,
+                    textTransform: 'uppercase',
+                    cursor: 'pointer',
+                    userSelect: 'none',
+                    position: 'relative'
                   }}
                 >
-                  {String(row[col] ?? '—')}
-                </td>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8, overflow: 'hidden' }}>
+                    <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{column}</span>
+                    <span style={{ fontSize: 10, opacity: 0.7, flexShrink: 0 }}>{sortIndicator(column)}</span>
+                  </div>
+                  <span
+                    onMouseDown={(e) => startResize(column, e)}
+                    onClick={(e) => e.stopPropagation()}
+                    style={{ position: 'absolute', top: 0, right: 0, width: 6, height: '100%', cursor: 'col-resize' }}
+                  />
+                </th>
               ))}
             </tr>
-          ))}
-        </tbody>
-      </table>
+            <tr data-export-ignore style={{ borderBottom: '2px solid #334155' }}>
+              {visibleColumns.map(column => (
+                <th key={column} style={{ padding: '0 6px 8px', fontWeight: 400 }}>
+                  <ColumnFilter
+                    kind={kinds[column]}
+                    filter={filters[column]}
+                    options={options[column] || []}
+                    onChange={(filter) => updateFilter(column, filter)}
+                  />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {first > 0 && <tr style={{ height: first * ROW_HEIGHT }} />}
+            {renderedRows.map((row, idx) => (
+              <tr
+                key={first + idx}
+                style={{ borderBottom: '1px solid #1e293b' }}
+                onMouseEnter={(e) => { e.currentTarget.style.background = '#1e293b'; }}
+                onMouseLeave={(e) => { e.currentTarget.style.background = 'transparent'; }}
+              >
+                {visibleColumns.map(column => (
+                  <td key={column} title={String(row[column] ?? '')} style={gridCellStyle}>
+                    {String(row[column] ?? '—')}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {last < pageRows.length && <tr style={{ height: (pageRows.length - last) * ROW_HEIGHT }} />}
+            {view.length === 0 && (
+              <tr>
+                <td colSpan={visibleColumns.length} style={{ ...gridCellStyle, color: '#94a3b8', textAlign: 'center' }}>
+                  Нет строк, подходящих под поиск и фильтры
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div data-export-ignore style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 8, marginTop: 12, fontSize: 12, color: '#94a3b8' }}>
+        <span>Строк на странице:</span>
+        <select
+          value={pageSize}
+          onChange={(e) => { setPageSize(Number(e.target.value)); resetPage(); }}
+          style={controlStyle}
+        >
+          {PAGE_SIZES.map(size => <option key={size} value={size}>{size || 'Все'}</option>)}
+        </select>
+        {pageCount > 1 && (
+          <>
+            <button onClick={() => setPage(0)} disabled={currentPage === 0} style={exportButtonStyle}>«</button>
+            <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0} style={exportButtonStyle}>‹</button>
+            <span>Страница {currentPage + 1} из {pageCount}</span>
+            <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1} style={exportButtonStyle}>›</button>
+            <button onClick={() => setPage(pageCount - 1)} disabled={currentPage >= pageCount - 1} style={exportButtonStyle}>»</button>
+          </>
+        )}
+        {view.length > 0 && (
+          <span style={{ marginLeft: 'auto' }}>
+            Строки {pageSize ? currentPage * pageSize + 1 : 1}–{pageSize ? currentPage * pageSize + pageRows.length : view.length} из {view.length}
+          </span>
+        )}
+      </div>
     </div>
   );
 }
 
+export default function DataTable({ data, pivot, onExportFull }) {
+  if (!data || !Array.isArray(data) || data.length === 0) {
+    return <p style={{ color: '#94a3b8' }}>Нет данных для отображения</p>;
+  }
+
+  if (pivot) {
+    return (
+      <div style={{ overflowX: 'auto' }}>
+        <ExportToolbar rows={data} onExportFull={onExportFull} />
+        <PivotTable data={data} pivot={pivot} />
+      </div>
+    );
+  }
+
+  return <ResultGrid data={data} onExportFull={onExportFull} />;
+}
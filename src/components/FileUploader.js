@@ -1,8 +1,113 @@
 import { useState } from 'react';
 
+const SUPPORTED_EXTENSIONS = ['csv', 'xlsx', 'xls', 'sqlite', 'sqlite3', 'db'];
+const MAX_FILE_SIZE = 250 * 1024 * 1024;
+// Части меньше лимита тела запроса на serverless платформах (4.5 MB)
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Upload file by binary chunks, server parses it after the last chunk
+ * @param {File} file
+ * @param {Function} onProgress - (uploadedBytes) => void
+ * @returns {Promise<Object>} upload API result
+ */
+async function uploadInChunks(file, onProgress) {
+  let uploadId = null;
+  let offset = 0;
+
+  do {
+    const chunk = file.slice(offset, offset + CHUNK_SIZE);
+    const params = new URLSearchParams({
+      fileName: file.name,
+      offset: String(offset),
+      totalSize: String(file.size)
+    });
+    if (uploadId) {
+      params.set('uploadId', uploadId);
+    }
+
+    const response = await fetch(`/api/upload-chunk?${params}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: chunk
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      console.error('[FileUploader] Ошибка ответа:', result);
+      throw new Error(result.error || result.message || 'Ошибка загрузки файла');
+    }
+
+    uploadId = result.uploadId;
+    offset = result.received;
+    onProgress(offset);
+
+    if (result.complete) {
+      return result;
+    }
+  } while (offset < file.size);
+
+  throw new Error('Сервер не подтвердил завершение загрузки');
+}
+
+// Данные хранятся на сервере, в sessionStorage - только id датасета и метаданные
+function saveDatasetInfo(datasetInfo) {
+  const { logs, ...info } = datasetInfo;
+  sessionStorage.setItem('uploadedDataset', JSON.stringify(info));
+  console.log('[FileUploader] Метаданные датасета сохранены в sessionStorage:', info.datasetId);
+}
+
 export default function FileUploader({ onDataLoaded }) {
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(null);
+  // Загруженная SQLite база или книга Excel, ожидающая выбора таблиц (листов)
+  const [database, setDatabase] = useState(null);
+  const [selectedTables, setSelectedTables] = useState([]);
+  const isWorkbook = database?.sourceType === 'xlsx' || database?.sourceType === 'xls';
+
+  // Подтверждение выбора таблиц SQLite базы или листов книги
+  const handleTablesConfirm = () => {
+    const tables = database.tables.filter(table => selectedTables.includes(table.name));
+    if (tables.length === 0) {
+      setError(isWorkbook ? 'Выберите хотя бы один лист' : 'Выберите хотя бы одну таблицу');
+      return;
+    }
+
+    // Первая выбранная таблица используется как основная для статистики и графиков
+    const primary = tables[0];
+    const datasetInfo = {
+      datasetId: database.datasetId,
+      sourceType: database.sourceType,
+      rows: primary.rows,
+      columns: primary.columns,
+      columnNames: primary.columnNames,
+      schema: primary.schema,
+      sample: primary.sample,
+      missingValues: primary.missingValues,
+      profile: primary.profile,
+      tables: tables,
+      logs: database.logs
+    };
+    saveDatasetInfo(datasetInfo);
+    onDataLoaded(datasetInfo);
+    setDatabase(null);
+    setError(null);
+  };
+
+  const toggleTable = (name) => {
+    setSelectedTables(prev => prev.includes(name)
+      ? prev.filter(t => t !== name)
+      : [...prev, name]
+    );
+  };
 
   const handleUpload = async (e) => {
     const file = e.target.files[0];
@@ -10,86 +115,54 @@ export default function FileUploader({ onDataLoaded }) {
     
     // Validate file type
     const fileExtension = file.name.split('.').pop().toLowerCase();
-    if (!['csv', 'xlsx', 'xls'].includes(fileExtension)) {
-      setError('Поддерживаются только CSV и Excel файлы (.csv, .xlsx, .xls)');
+    if (!SUPPORTED_EXTENSIONS.includes(fileExtension)) {
+      setError('Поддерживаются только CSV, Excel и SQLite файлы (.csv, .xlsx, .xls, .sqlite, .db)');
       return;
     }
 
-    // Validate file size (4.5 MB limit for Vercel)
-    if (file.size > 4.5 * 1024 * 1024) {
-      setError('Размер файла не должен превышать 4.5 MB');
+    if (file.size > MAX_FILE_SIZE) {
+      setError(`Размер файла не должен превышать ${formatSize(MAX_FILE_SIZE)}`);
       return;
     }
     
     setUploading(true);
     setError(null);
+    setDatabase(null);
+    setProgress({ loaded: 0, total: file.size, processing: false });
     
     try {
-      // Read file as base64 for Vercel compatibility
-      const reader = new FileReader();
-      
-      reader.onload = async (e) => {
-        try {
-          console.log('[FileUploader] Файл прочитан, отправка на сервер...');
-          const base64Data = e.target.result;
-          console.log('[FileUploader] Размер base64 данных:', base64Data.length);
-          
-          const response = await fetch('/api/upload', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-              fileData: base64Data,
-              fileName: file.name,
-              fileType: file.type
-            })
-          });
-
-          console.log('[FileUploader] Ответ получен, статус:', response.status);
-          const result = await response.json();
-          console.log('[FileUploader] Результат:', result);
-
-          if (!response.ok) {
-            console.error('[FileUploader] Ошибка ответа:', result);
-            throw new Error(result.error || result.message || 'Ошибка загрузки файла');
-          }
-
-          // Store full data in sessionStorage for later use
-          if (result.data) {
-            sessionStorage.setItem('uploadedData', JSON.stringify(result.data));
-            sessionStorage.setItem('uploadedColumns', JSON.stringify(result.columnNames));
-            console.log('[FileUploader] Данные сохранены в sessionStorage');
-          }
-
-          onDataLoaded({
-            rows: result.rows,
-            columns: result.columns,
-            columnNames: result.columnNames,
-            sample: result.sample,
-            data: result.data,
-            missingValues: result.missingValues,
-            logs: result.logs || []
-          });
-          console.log('[FileUploader] ✅ Файл успешно загружен');
-          setUploading(false); // Сбрасываем состояние загрузки
-        } catch (error) {
-          console.error('[FileUploader] Ошибка:', error);
-          setError(error.message || 'Ошибка загрузки файла');
-          setUploading(false);
-        }
-      };
+      const result = await uploadInChunks(file, (loaded) => {
+        setProgress({ loaded, total: file.size, processing: loaded >= file.size });
+      });
+      console.log('[FileUploader] Результат:', result);
 
-      reader.onerror = () => {
-        setError('Ошибка чтения файла');
-        setUploading(false);
-      };
+      // SQLite или книга с несколькими листами: предлагаем выбрать таблицы
+      if (result.tables) {
+        setDatabase(result);
+        setSelectedTables(result.tables.map(table => table.name));
+        return;
+      }
 
-      reader.readAsDataURL(file);
+      const datasetInfo = {
+        datasetId: result.datasetId,
+        rows: result.rows,
+        columns: result.columns,
+        columnNames: result.columnNames,
+        schema: result.schema,
+        sample: result.sample,
+        missingValues: result.missingValues,
+        profile: result.profile,
+        logs: result.logs || []
+      };
+      saveDatasetInfo(datasetInfo);
+      onDataLoaded(datasetInfo);
+      console.log('[FileUploader] ✅ Файл успешно загружен');
     } catch (error) {
-      console.error('File read error:', error);
-      setError('Ошибка чтения файла');
+      console.error('[FileUploader] Ошибка:', error);
+      setError(error.message || 'Ошибка загрузки файла');
+    } finally {
       setUploading(false);
+      setProgress(null);
     }
   };
   
@@ -97,7 +170,7 @@ export default function FileUploader({ onDataLoaded }) {
     <div>
       <input 
         type="file" 
-        accept=".csv,.xlsx,.xls" 
+        accept=".csv,.xlsx,.xls,.sqlite,.sqlite3,.db" 
         onChange={handleUpload}
         disabled={uploading}
         style={{
@@ -111,8 +184,92 @@ export default function FileUploader({ onDataLoaded }) {
         }}
       />
       <p style={{ color: '#94a3b8', marginTop: 8, fontSize: 14 }}>
-        {uploading ? 'Загрузка...' : 'Поддерживаются CSV и Excel файлы (до 4.5 MB)'}
+        {uploading
+          ? (progress?.processing ? 'Обработка на сервере...' : 'Загрузка...')
+          : `Поддерживаются CSV, Excel и SQLite файлы (до ${formatSize(MAX_FILE_SIZE)})`}
       </p>
+      {progress && (
+        <div>
+          <div style={{ height: 6, background: '#1e293b', borderRadius: 3, overflow: 'hidden' }}>
+            <div style={{
+              width: `${progress.total ? Math.round(progress.loaded / progress.total * 100) : 100}%`,
+              height: '100%',
+              background: '#6366f1',
+              transition: 'width 0.2s'
+            }} />
+          </div>
+          <div style={{ color: '#64748b', fontSize: 11, marginTop: 4 }}>
+            {formatSize(progress.loaded)} из {formatSize(progress.total)}
+          </div>
+        </div>
+      )}
+      {database && (
+        <div style={{
+          marginTop: 12,
+          padding: 12,
+          background: '#11162a',
+          border: '1px solid #334155',
+          borderRadius: 8,
+          fontSize: 13
+        }}>
+          <div style={{ color: '#f8fafc', fontWeight: 600, marginBottom: 8 }}>
+            {isWorkbook
+              ? `📑 Листы книги (${database.tables.length}):`
+              : `🗄️ Таблицы базы данных (${database.tables.length}):`}
+          </div>
+          {database.tables.map(table => (
+            <div key={table.name} style={{ marginBottom: 8 }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: 8, color: '#e2e8f0', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={selectedTables.includes(table.name)}
+                  onChange={() => toggleTable(table.name)}
+                />
+                <span>{table.name}</span>
+                <span style={{ color: '#64748b', fontSize: 11 }}>
+                  {table.rows} строк, {table.columns} колонок
+                </span>
+              </label>
+              <details style={{ marginLeft: 24, marginTop: 4 }}>
+                <summary style={{ color: '#94a3b8', cursor: 'pointer', fontSize: 11 }}>{isWorkbook ? 'Колонки' : 'Схема'}</summary>
+                <div style={{ fontFamily: 'monospace', fontSize: 11, color: '#94a3b8', marginTop: 4 }}>
+                  {isWorkbook && table.columnNames.map(name => (
+                    <div key={name}>{name}</div>
+                  ))}
+                  {(table.columnSchema || []).map(col => (
+                    <div key={col.name}>
+                      {col.primaryKey ? '🔑 ' : ''}{col.name}: {col.type}{col.notNull ? ' NOT NULL' : ''}
+                    </div>
+                  ))}
+                  {(table.foreignKeys || []).map((fk, idx) => (
+                    <div key={idx} style={{ color: '#a78bfa' }}>
+                      🔗 {fk.column} → {fk.refTable}{fk.refColumn ? `.${fk.refColumn}` : ''}
+                    </div>
+                  ))}
+                </div>
+              </details>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={handleTablesConfirm}
+            disabled={selectedTables.length === 0}
+            style={{
+              marginTop: 8,
+              padding: '8px 16px',
+              background: selectedTables.length === 0 ? '#475569' : '#6366f1',
+              color: 'white',
+              border: 'none',
+              borderRadius: 8,
+              cursor: selectedTables.length === 0 ? 'not-allowed' : 'pointer',
+              fontWeight: 600,
+              fontSize: 13
+            }}
+          >
+            {isWorkbook ? 'Использовать выбранные листы' : 'Использовать выбранные таблицы'}
+          </button>
+        </div>
+      )}
       {error && (
         <div style={{
           marginTop: 8,
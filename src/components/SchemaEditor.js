@@ -0,0 +1,68 @@
+import { COLUMN_TYPES, COLUMN_TYPE_LABELS } from '../lib/typeInference';
+
+function confidenceColor(confidence) {
+  if (confidence >= 0.9) return '#10b981';
+  if (confidence >= 0.7) return '#fbbf24';
+  return '#ef4444';
+}
+
+/**
+ * Editable list of inferred column types
+ * schema - { column: { type, confidence } }, overrides - { column: type }
+ */
+export default function SchemaEditor({ title, schema, overrides = {}, onChange }) {
+  if (!schema || Object.keys(schema).length === 0) {
+    return null;
+  }
+
+  const changedCount = Object.keys(overrides).length;
+
+  return (
+    <details style={{ marginTop: 12, padding: 12, background: '#11162a', borderRadius: 8, fontSize: 12 }}>
+      <summary style={{ color: '#f8fafc', fontWeight: 600, cursor: 'pointer' }}>
+        🧬 {title || 'Типы колонок'}
+        {changedCount > 0 && (
+          <span style={{ color: '#a78bfa', fontWeight: 400, marginLeft: 8 }}>изменено: {changedCount}</span>
+        )}
+      </summary>
+      <div style={{ marginTop: 8, display: 'flex', flexDirection: 'column', gap: 6 }}>
+        {Object.entries(schema).map(([column, info]) => {
+          const overridden = overrides[column] !== undefined;
+          const type = overridden ? overrides[column] : info.type;
+          return (
+            <div key={column} style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+              <span
+                title={column}
+                style={{ flex: 1, color: '#e2e8f0', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+              >
+                {column}
+              </span>
+              <select
+                value={type}
+                onChange={(e) => onChange(column, e.target.value === info.type ? undefined : e.target.value)}
+                style={{
+                  background: '#1e293b',
+                  color: overridden ? '#a78bfa' : '#f8fafc',
+                  border: '1px solid #334155',
+                  borderRadius: 4,
+                  padding: '2px 4px',
+                  fontSize: 11
+                }}
+              >
+                {COLUMN_TYPES.map(option => (
+                  <option key={option} value={option}>{COLUMN_TYPE_LABELS[option]}</option>
+                ))}
+              </select>
+              <span
+                title="Уверенность определения типа"
+                style={{ width: 36, textAlign: 'right', fontSize: 10, color: overridden ? '#a78bfa' : confidenceColor(info.confidence) }}
+              >
+                {overridden ? '✎' : `${Math.round(info.confidence * 100)}%`}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,201 @@
+import { mean, standardDeviation, percentile } from './statistics.js';
+
+/**
+ * Anomaly detection in numeric columns
+ *
+ * zscore  - отклонение от среднего в стандартных отклонениях (порог по умолчанию 3)
+ * iqr     - границы Тьюки Q1 - k*IQR, Q3 + k*IQR (k по умолчанию 1.5), устойчив к асимметрии
+ * mad     - модифицированный z-score по медиане и MAD (порог по умолчанию 3.5)
+ * rolling - отклонение от скользящего среднего предыдущих точек временного ряда
+ */
+
+export const ANOMALY_METHODS = ['zscore', 'iqr', 'mad', 'rolling'];
+
+export const DEFAULT_THRESHOLDS = {
+  zscore: 3,
+  iqr: 1.5,
+  mad: 3.5,
+  rolling: 3
+};
+
+const DEFAULT_WINDOW = 7;
+// Ограничение числа аномалий в ответе
+export const MAX_ANOMALIES = 500;
+
+const round = (value) => (Number.isFinite(value) ? Math.round(value * 100) / 100 : null);
+
+/**
+ * Order by |score| descending; infinite scores (constant rolling baseline) first, missing score last
+ * Без вычитания: Infinity - Infinity = NaN ломает сортировку
+ */
+function byScoreDesc(a, b) {
+  const left = a.score === null || a.score === undefined ? -1 : Math.abs(a.score);
+  const right = b.score === null || b.score === undefined ? -1 : Math.abs(b.score);
+  return left === right ? 0 : left > right ? -1 : 1;
+}
+
+function toNumber(value) {
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Anomalies among points of one group
+ * @param {Array<{index: number, value: number, time?: any}>} points
+ * @returns {Array<{index, value, score, expected?, lower?, upper?}>}
+ */
+function detectInPoints(points, method, threshold, window) {
+  if (points.length < 3) {
+    return [];
+  }
+  const values = points.map(p => p.value);
+
+  if (method === 'zscore') {
+    const avg = mean(values);
+    const std = standardDeviation(values);
+    if (!std) {
+      return [];
+    }
+    return points
+      .map(p => ({ ...p, score: (p.value - avg) / std, expected: avg }))
+      .filter(p => Math.abs(p.score) > threshold);
+  }
+
+  if (method === 'iqr') {
+    const sorted = [...values].sort((a, b) => a - b);
+    const q1 = percentile(sorted, 25);
+    const q3 = percentile(sorted, 75);
+    const iqr = q3 - q1;
+    const lower = q1 - threshold * iqr;
+    const upper = q3 + threshold * iqr;
+    return points
+      .filter(p => p.value < lower || p.value > upper)
+      .map(p => ({
+        ...p,
+        // Расстояние за границей в единицах IQR
+        score: iqr ? (p.value > upper ? p.value - upper : p.value - lower) / iqr : null,
+        lower,
+        upper
+      }));
+  }
+
+  if (method === 'mad') {
+    const sorted = [...values].sort((a, b) => a - b);
+    const median = percentile(sorted, 50);
+    const deviations = values.map(v => Math.abs(v - median)).sort((a, b) => a - b);
+    const mad = percentile(deviations, 50);
+    // При MAD = 0 (больше половины значений одинаковы) используем среднее абсолютное отклонение
+    const scale = mad ? mad / 0.6745 : mean(deviations) * 1.253314;
+    if (!scale) {
+      return [];
+    }
+    return points
+      .map(p => ({ ...p, score: (p.value - median) / scale, expected: median }))
+      .filter(p => Math.abs(p.score) > threshold);
+  }
+
+  if (method === 'rolling') {
+    const sortedPoints = [...points].sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
+    const result = [];
+    for (let i = window; i < sortedPoints.length; i++) {
+      const baseline = sortedPoints.slice(i - window, i).map(p => p.value);
+      const avg = mean(baseline);
+      const std = standardDeviation(baseline);
+      const point = sortedPoints[i];
+      if (std) {
+        const score = (point.value - avg) / std;
+        if (Math.abs(score) > threshold) {
+          result.push({ ...point, score, expected: avg });
+        }
+      } else if (point.value !== avg) {
+        // Базовая линия постоянна - любое отклонение аномально
+        result.push({ ...point, score: point.value > avg ? Infinity : -Infinity, expected: avg });
+      }
+    }
+    return result;
+  }
+
+  throw new Error(`Неизвестный метод поиска аномалий: ${method}`);
+}
+
+/**
+ * Detect anomalies in column
+ * @param {Object[]} data - rows
+ * @param {Object} options - { column, method, threshold, groupBy, timeColumn, window }
+ * @returns {Array<{index, value, score, expected?, lower?, upper?, group?}>} sorted by |score| desc,
+ *   score is ±Infinity for rolling deviation from constant baseline, null for iqr with zero IQR
+ */
+export function detectAnomalies(data, { column, method = 'iqr', threshold, groupBy, timeColumn, window } = {}) {
+  if (!data || data.length === 0 || !column) {
+    return [];
+  }
+  if (method === 'rolling' && !timeColumn) {
+    throw new Error('Для метода rolling нужна колонка времени (timeColumn)');
+  }
+
+  const limit = threshold ?? DEFAULT_THRESHOLDS[method];
+  const windowSize = window || DEFAULT_WINDOW;
+
+  // Группы: аномалии ищутся относительно своей группы (например, внутри категории)
+  const groups = new Map();
+  data.forEach((row, index) => {
+    const value = toNumber(row[column]);
+    if (value === null || (timeColumn && (row[timeColumn] === null || row[timeColumn] === undefined))) {
+      return;
+    }
+    const key = groupBy ? String(row[groupBy] ?? 'null') : null;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push({ index, value, time: timeColumn ? row[timeColumn] : undefined });
+  });
+
+  const anomalies = [];
+  groups.forEach((points, key) => {
+    detectInPoints(points, method, limit, windowSize).forEach(point => {
+      anomalies.push({
+        index: point.index,
+        value: point.value,
+        score: point.score === null ? null : Number.isFinite(point.score) ? round(point.score) : point.score,
+        ...(point.expected !== undefined ? { expected: round(point.expected) } : {}),
+        ...(point.lower !== undefined ? { lower: round(point.lower), upper: round(point.upper) } : {}),
+        ...(groupBy ? { group: key } : {})
+      });
+    });
+  });
+
+  return anomalies.sort(byScoreDesc);
+}
+
+/**
+ * Anomalies of several columns as table rows with row context
+ * Поля аномалии идут после колонок строки, чтобы одноименные колонки данных их не затирали
+ * @param {Object[]} data - rows to search (may be filtered)
+ * @param {string[]} columns
+ * @param {Object} options - detectAnomalies options plus sourceRows - all uploaded rows, row_index is position among them
+ * @returns {Object[]} [{ ...row, row_index, anomaly_column, anomaly_value, anomaly_score, expected, constant_baseline? }]
+ */
+export function buildAnomalyTable(data, columns, options = {}) {
+  const { sourceRows, ...detectOptions } = options;
+  const rows = columns.flatMap(column => (
+    detectAnomalies(data, { ...detectOptions, column }).map(anomaly => ({ column, ...anomaly }))
+  ));
+  const sourcePositions = sourceRows && sourceRows !== data
+    ? new Map(sourceRows.map((row, idx) => [row, idx]))
+    : null;
+
+  return rows
+    .sort(byScoreDesc)
+    .slice(0, MAX_ANOMALIES)
+    .map(anomaly => ({
+      ...data[anomaly.index],
+      row_index: sourcePositions?.get(data[anomaly.index]) ?? anomaly.index,
+      anomaly_column: anomaly.column,
+      anomaly_value: anomaly.value,
+      // Колонка числовая: бесконечный score (постоянная базовая линия) - null с отдельным признаком
+      anomaly_score: Number.isFinite(anomaly.score) ? anomaly.score : null,
+      ...(anomaly.score === Infinity || anomaly.score === -Infinity ? { constant_baseline: true } : {}),
+      ...(anomaly.expected !== undefined ? { expected: anomaly.expected } : {}),
+      ...(anomaly.lower !== undefined ? { lower_bound: anomaly.lower, upper_bound: anomaly.upper } : {})
+    }));
+}
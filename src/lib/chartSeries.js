@@ -0,0 +1,188 @@
+import { groupBy, aggregateGroups, sortGroups } from './dataProcessor.js';
+import { buildTimeSeries } from './timeSeries.js';
+import { boxPlot, numericValues } from './statistics.js';
+
+/**
+ * Multi-series chart payloads: several measures or one measure split by a dimension
+ *
+ * Ряд графика: { key, name, axis: 'left' | 'right' }, значения рядов - колонки строк data
+ */
+
+// Больше рядов на графике не читается
+export const MAX_CHART_SERIES = 12;
+// Больше ящиков и прямоугольников верхнего уровня не помещается на графике
+export const MAX_CHART_CATEGORIES = 30;
+// Отношение масштабов мер, при котором вторая мера выносится на правую ось
+const DUAL_AXIS_RATIO = 10;
+
+export const seriesLabel = (column, aggregation) => (aggregation ? `${aggregation}(${column})` : column);
+
+/**
+ * Most frequent values of series dimension (other values are dropped from chart)
+ */
+function topSeriesValues(rows, seriesBy, maxSeries) {
+  const counts = new Map();
+  rows.forEach(row => {
+    const key = String(row[seriesBy] ?? 'null');
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, maxSeries)
+    .map(([value]) => value)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Categories on x axis: one column per measure or per value of seriesBy
+ * @param {Object[]} rows
+ * @param {Object} options - { xAxis, measures, aggregation, seriesBy, sort, limit }
+ * @returns {{data: Object[], series: Array<{key, name}>}} categories ordered by first measure (sort, limit)
+ */
+export function buildCategorySeries(rows, { xAxis, measures, aggregation, seriesBy, sort, limit }) {
+  // Порядок и top-N категорий - по первой мере по всем строкам
+  const order = sortGroups(aggregateGroups(groupBy(rows, xAxis), measures[0], aggregation), sort, limit);
+  const groups = groupBy(rows, xAxis);
+
+  if (seriesBy) {
+    const seriesValues = topSeriesValues(rows, seriesBy, MAX_CHART_SERIES);
+    const data = order.map(({ group }) => {
+      const point = { [xAxis]: group };
+      const bySeries = new Map(
+        aggregateGroups(groupBy(groups[group], seriesBy), measures[0], aggregation).map(item => [item.group, item.value])
+      );
+      seriesValues.forEach(value => {
+        point[value] = bySeries.has(value) ? bySeries.get(value) : null;
+      });
+      return point;
+    });
+    return { data, series: seriesValues.map(value => ({ key: value, name: value })) };
+  }
+
+  const series = measures.slice(0, MAX_CHART_SERIES).map(measure => ({
+    key: seriesLabel(measure, aggregation),
+    name: seriesLabel(measure, aggregation),
+    column: measure
+  }));
+  const values = series.map(item => new Map(
+    aggregateGroups(groups, item.column, aggregation).map(entry => [entry.group, entry.value])
+  ));
+  const data = order.map(({ group }) => {
+    const point = { [xAxis]: group };
+    series.forEach((item, idx) => {
+      point[item.key] = values[idx].get(group) ?? null;
+    });
+    return point;
+  });
+  return { data, series: series.map(({ key, name }) => ({ key, name })) };
+}
+
+/**
+ * Time series with several measures or one measure per value of seriesBy, merged by period
+ * @param {Object[]} rows
+ * @param {Object} options - { timeColumn, measures, aggregation, bucket, seriesBy }
+ * @returns {{bucket: string, data: Object[], series: Array<{key, name}>}}
+ */
+export function buildMultiTimeSeries(rows, { timeColumn, measures, aggregation, bucket, seriesBy }) {
+  const parts = seriesBy
+    ? topSeriesValues(rows, seriesBy, MAX_CHART_SERIES).map(value => ({
+      key: value,
+      column: measures[0],
+      rows: rows.filter(row => String(row[seriesBy] ?? 'null') === value)
+    }))
+    : measures.slice(0, MAX_CHART_SERIES).map(measure => ({
+      key: seriesLabel(measure, aggregation),
+      column: measure,
+      rows
+    }));
+
+  // Период по всем строкам, чтобы ряды совпадали по группировке
+  const resolvedBucket = bucket || buildTimeSeries(rows, { timeColumn, valueColumn: measures[0], aggregation }).bucket;
+  const byPeriod = new Map();
+  parts.forEach(part => {
+    buildTimeSeries(part.rows, { timeColumn, valueColumn: part.column, aggregation, bucket: resolvedBucket })
+      .rows.forEach(row => {
+        if (!byPeriod.has(row.period)) {
+          byPeriod.set(row.period, { period: row.period });
+        }
+        byPeriod.get(row.period)[part.key] = row[part.column];
+      });
+  });
+
+  // Периоды вне диапазона дат ряда: 0 для сумм и количества, как при заполнении пропусков
+  const emptyValue = ['sum', 'count'].includes(aggregation) ? 0 : null;
+  const data = [...byPeriod.keys()].sort().map(period => {
+    const point = byPeriod.get(period);
+    parts.forEach(part => {
+      if (!(part.key in point)) {
+        point[part.key] = emptyValue;
+      }
+    });
+    return point;
+  });
+  return { bucket: resolvedBucket, data, series: parts.map(part => ({ key: part.key, name: part.key })) };
+}
+
+/**
+ * Put series on left/right axes: explicitly (dualAxis = true) or when scales differ by an order of magnitude
+ * @returns {Array<{key, name, axis}>}
+ */
+export function assignAxes(series, data, dualAxis) {
+  if (series.length < 2 || dualAxis === false) {
+    return series.map(item => ({ ...item, axis: 'left' }));
+  }
+  const scale = (key) => data.reduce((max, row) => Math.max(max, Math.abs(row[key] ?? 0)), 0);
+  const scales = series.map(item => scale(item.key));
+  const main = scales[0];
+  return series.map((item, idx) => {
+    const differs = idx > 0 && main > 0 && scales[idx] > 0
+      && (main / scales[idx] >= DUAL_AXIS_RATIO || scales[idx] / main >= DUAL_AXIS_RATIO);
+    // Явный запрос: все меры, кроме первой, справа
+    const right = dualAxis === true ? idx > 0 : differs;
+    return { ...item, axis: right ? 'right' : 'left' };
+  });
+}
+
+/**
+ * Box plots of measure for each value of xAxis (one box for all rows without xAxis)
+ * @returns {Array<Object>} { [xKey]: group, count, min, q1, median, q3, max, mean, lowerWhisker, upperWhisker, outliers }
+ */
+export function buildBoxPlots(rows, { xAxis, measure }) {
+  const groups = xAxis ? groupBy(rows, xAxis) : { [measure]: rows };
+  const xKey = xAxis || 'group';
+  // Самые многочисленные группы, в естественном порядке подписей
+  return Object.entries(groups)
+    .sort((a, b) => b[1].length - a[1].length)
+    .slice(0, MAX_CHART_CATEGORIES)
+    .sort((a, b) => a[0].localeCompare(b[0], undefined, { numeric: true }))
+    .map(([group, groupRows]) => {
+      const summary = boxPlot(numericValues(groupRows, measure));
+      return summary ? { [xKey]: group, ...summary } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Treemap nodes: top level by xAxis, optional nested level by seriesBy
+ * Непоказываемые на treemap значения (пустые, нулевые и отрицательные) отбрасываются
+ * @returns {Array<{name, value, children?}>}
+ */
+export function buildTreemap(rows, { xAxis, seriesBy, measure, aggregation, sort, limit }) {
+  const groups = groupBy(rows, xAxis);
+  const top = sortGroups(
+    aggregateGroups(groups, measure, aggregation).filter(item => item.value > 0),
+    sort || { by: 'value', direction: 'desc' },
+    limit || MAX_CHART_CATEGORIES
+  );
+  return top.map(({ group, value }) => {
+    const node = { name: group, value };
+    if (seriesBy) {
+      node.children = sortGroups(
+        aggregateGroups(groupBy(groups[group], seriesBy), measure, aggregation).filter(item => item.value > 0),
+        { by: 'value', direction: 'desc' },
+        MAX_CHART_CATEGORIES
+      ).map(child => ({ name: child.group, value: child.value }));
+    }
+    return node;
+  });
+}
@@ -0,0 +1,106 @@
+/**
+ * Conversation context for follow-up queries
+ */
+
+// Сколько предыдущих ходов диалога передается в модель
+export const MAX_HISTORY_TURNS = 5;
+
+// Ограничение длины текстовых полей истории в промпте
+const MAX_SUMMARY_LENGTH = 600;
+
+function truncate(text, maxLength) {
+  const str = String(text ?? '');
+  return str.length > maxLength ? `${str.substring(0, maxLength)}...` : str;
+}
+
+/**
+ * Build short text summary of query result for the next turns
+ */
+export function buildResultSummary(result) {
+  const parts = [];
+
+  if (result.filters) {
+    parts.push(`Фильтры: ${result.filters.description} (${result.filters.matched} из ${result.filters.total} строк)`);
+  }
+
+  if (result.table && result.table.length > 0) {
+    const columns = Object.keys(result.table[0]);
+    parts.push(`Таблица: ${result.table.length} строк, колонки: ${columns.join(', ')}`);
+    parts.push(`Первые строки: ${JSON.stringify(result.table.slice(0, 3))}`);
+  } else if (result.table) {
+    parts.push('Таблица: пустой результат');
+  }
+
+  if (result.chart) {
+    parts.push(`График ${result.chart.type}: ${result.chart.xKey} / ${result.chart.yKey}, точек: ${result.chart.data?.length || 0}`);
+  }
+
+  if (result.statistics) {
+    const stats = Object.entries(result.statistics)
+      .map(([col, stat]) => {
+        const metrics = Object.entries(stat)
+          .filter(([metric]) => metric !== 'histogram')
+          .map(([metric, value]) => `${metric}=${Array.isArray(value) ? value.join('/') : value}`);
+        return `${col} (${metrics.join(', ')})`;
+      });
+    parts.push(`Статистика: ${stats.join('; ')}`);
+  }
+
+  if (result.forecast) {
+    const future = (result.table || []).filter(row => row.actual === null);
+    parts.push(`Прогноз (${result.forecast.method}, период ${result.forecast.bucket}): ${future.map(row => `${row.period}=${row.forecast}`).join(', ')}`);
+  }
+
+  if (result.correlation?.pairs?.length > 0) {
+    const pairs = result.correlation.pairs.slice(0, 5).map(pair => `${pair.x}~${pair.y}=${pair.value}`);
+    parts.push(`Корреляции (${result.correlation.method}): ${pairs.join(', ')}`);
+  }
+
+  if (result.regression) {
+    const { target, intercept, coefficients, rSquared } = result.regression;
+    const terms = coefficients.map(coef => `${coef.value}·${coef.name}`).join(' + ');
+    parts.push(`Регрессия: ${target} = ${intercept} + ${terms}, R²=${rSquared}`);
+  }
+
+  if (result.sqlError) {
+    parts.push(`Ошибка SQL: ${result.sqlError}`);
+  }
+
+  return truncate(parts.join('\n'), MAX_SUMMARY_LENGTH);
+}
+
+/**
+ * Normalize conversation history received from client
+ * @param {Array} history - [{ query, plan, summary }]
+ */
+export function normalizeHistory(history) {
+  if (!Array.isArray(history)) {
+    return [];
+  }
+
+  return history
+    .filter(turn => turn && typeof turn.query === 'string' && turn.query.trim())
+    .slice(-MAX_HISTORY_TURNS)
+    .map(turn => ({
+      query: truncate(turn.query, 500),
+      plan: turn.plan && typeof turn.plan === 'object' ? turn.plan : null,
+      summary: truncate(turn.summary, MAX_SUMMARY_LENGTH)
+    }));
+}
+
+/**
+ * Format conversation history for prompt
+ */
+export function formatHistoryForPrompt(history) {
+  return history.map((turn, idx) => {
+    let text = `${idx + 1}. Пользователь спросил: "${turn.query}"`;
+    if (turn.plan) {
+      const { type, sql, filters, statistics, anomalies, forecast, correlation, regression, pivot, visualization } = turn.plan;
+      text += `\n   План: ${JSON.stringify({ type, sql, filters, statistics, anomalies, forecast, correlation, regression, pivot, visualization })}`;
+    }
+    if (turn.summary) {
+      text += `\n   Результат: ${turn.summary.replace(/\n/g, '\n   ')}`;
+    }
+    return text;
+  }).join('\n');
+}
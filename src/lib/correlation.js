@@ -0,0 +1,131 @@
+import { mean } from './statistics.js';
+
+/**
+ * Correlation between numeric columns
+ *
+ * pearson  - линейная связь
+ * spearman - монотонная связь (корреляция рангов), устойчива к выбросам
+ */
+
+export const CORRELATION_METHODS = ['pearson', 'spearman'];
+
+// Минимум пар значений для расчета коэффициента
+const MIN_PAIRS = 3;
+
+const round = (value) => (Number.isFinite(value) ? Math.round(value * 1000) / 1000 : null);
+
+function toNumber(value) {
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Pearson correlation coefficient of two equal-length arrays
+ */
+export function pearson(xs, ys) {
+  if (xs.length < MIN_PAIRS) {
+    return null;
+  }
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  xs.forEach((x, idx) => {
+    const dx = x - meanX;
+    const dy = ys[idx] - meanY;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  });
+  // Постоянная колонка - корреляция не определена
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+/**
+ * Ranks starting from 1, ties get average rank
+ */
+export function rank(values) {
+  const order = values.map((value, idx) => ({ value, idx })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) {
+      j++;
+    }
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      ranks[order[k].idx] = averageRank;
+    }
+    i = j + 1;
+  }
+  return ranks;
+}
+
+export function spearman(xs, ys) {
+  return xs.length < MIN_PAIRS ? null : pearson(rank(xs), rank(ys));
+}
+
+/**
+ * Pairs of numeric values where both columns are present
+ */
+export function pairedValues(data, xColumn, yColumn) {
+  const xs = [];
+  const ys = [];
+  data.forEach(row => {
+    const x = toNumber(row[xColumn]);
+    const y = toNumber(row[yColumn]);
+    if (x !== null && y !== null) {
+      xs.push(x);
+      ys.push(y);
+    }
+  });
+  return { xs, ys };
+}
+
+/**
+ * Correlation matrix of columns (pairwise complete observations)
+ * @param {Object[]} data - rows
+ * @param {string[]} columns - numeric columns
+ * @param {string} method - pearson | spearman
+ * @returns {{method: string, columns: string[], matrix: Array<Array<number|null>>, pairs: Array<{x, y, value, n}>}}
+ *   pairs - коэффициенты для каждой пары колонок без диагонали, по убыванию |r|
+ */
+export function correlationMatrix(data, columns, method = 'pearson') {
+  const correlate = method === 'spearman' ? spearman : pearson;
+  const matrix = columns.map(() => new Array(columns.length).fill(null));
+  const pairs = [];
+
+  columns.forEach((xColumn, i) => {
+    matrix[i][i] = 1;
+    for (let j = i + 1; j < columns.length; j++) {
+      const { xs, ys } = pairedValues(data, xColumn, columns[j]);
+      const value = round(correlate(xs, ys));
+      matrix[i][j] = value;
+      matrix[j][i] = value;
+      if (value !== null) {
+        pairs.push({ x: xColumn, y: columns[j], value, n: xs.length });
+      }
+    }
+  });
+
+  return {
+    method,
+    columns,
+    matrix,
+    pairs: pairs.sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+  };
+}
+
+/**
+ * Verbal strength of correlation coefficient
+ */
+export function describeCorrelation(value) {
+  const strength = Math.abs(value);
+  const direction = value > 0 ? 'положительная' : 'отрицательная';
+  if (strength >= 0.7) return `сильная ${direction}`;
+  if (strength >= 0.4) return `умеренная ${direction}`;
+  if (strength >= 0.2) return `слабая ${direction}`;
+  return 'практически отсутствует';
+}
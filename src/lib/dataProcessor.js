@@ -1,7 +1,12 @@
+import { inferSchema, toStorageTypes } from './typeInference.js';
+import { compileFilter } from './filters.js';
+
 /**
  * Data processing utilities
  */
 
+export const SORT_DIRECTIONS = ['asc', 'desc'];
+
 /**
  * Calculate basic statistics for numeric columns
  */
@@ -38,6 +43,7 @@ export function calculateStatistics(data, column) {
 
 /**
  * Find anomalies in numeric columns (values outside 2 standard deviations)
+ * Population standard deviation, rows in data order; other methods (IQR, MAD, rolling baseline, per group) - see anomalies.js
  */
 export function findAnomalies(data, column) {
   if (!data || data.length === 0) {
@@ -87,28 +93,10 @@ export function countMissingValues(data, columns) {
 }
 
 /**
- * Filter data based on conditions
+ * Filter data by filter expression: array of conditions (AND) or and/or/not groups, see filters.js
  */
 export function filterData(data, filters) {
-  return data.filter(row => {
-    return filters.every(filter => {
-      const value = row[filter.column];
-      const filterValue = filter.value;
-
-      switch (filter.operator) {
-        case 'equals':
-          return String(value) === String(filterValue);
-        case 'contains':
-          return String(value).toLowerCase().includes(String(filterValue).toLowerCase());
-        case 'greater':
-          return parseFloat(value) > parseFloat(filterValue);
-        case 'less':
-          return parseFloat(value) < parseFloat(filterValue);
-        default:
-          return true;
-      }
-    });
-  });
+  return data.filter(compileFilter(filters, data));
 }
 
 /**
@@ -117,7 +105,8 @@ export function filterData(data, filters) {
 export function groupBy(data, column) {
   const groups = {};
   data.forEach(row => {
-    const key = String(row[column] || 'null');
+    const value = row[column];
+    const key = value === null || value === undefined || value === '' ? 'null' : String(value);
     if (!groups[key]) {
       groups[key] = [];
     }
@@ -141,24 +130,27 @@ export function aggregateGroups(groups, aggregateColumn, operation = 'sum') {
         break;
       case 'avg':
       case 'mean':
-        aggregated = values.reduce((a, b) => a + b, 0) / values.length;
+        aggregated = values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
         break;
       case 'count':
-        aggregated = values.length;
+        // Количество непустых значений (в том числе текстовых), без колонки - количество строк
+        aggregated = aggregateColumn
+          ? rows.filter(r => r[aggregateColumn] !== null && r[aggregateColumn] !== undefined && r[aggregateColumn] !== '').length
+          : rows.length;
         break;
       case 'min':
-        aggregated = Math.min(...values);
+        aggregated = values.length > 0 ? values.reduce((a, b) => Math.min(a, b)) : null;
         break;
       case 'max':
-        aggregated = Math.max(...values);
+        aggregated = values.length > 0 ? values.reduce((a, b) => Math.max(a, b)) : null;
         break;
       default:
-        aggregated = values.length;
+        throw new Error(`Неизвестная агрегация: ${operation}`);
     }
 
     result.push({
       group: key,
-      value: Math.round(aggregated * 100) / 100,
+      value: aggregated === null ? null : Math.round(aggregated * 100) / 100,
       count: rows.length
     });
   });
@@ -166,34 +158,35 @@ export function aggregateGroups(groups, aggregateColumn, operation = 'sum') {
   return result;
 }
 
+/**
+ * Sort aggregated groups and keep top N
+ * @param {Array<{group, value}>} aggregated - result of aggregateGroups
+ * @param {Object} [sort] - { by: 'value' | 'label', direction: 'asc' | 'desc' }
+ * @param {number} [limit] - number of groups to keep
+ */
+export function sortGroups(aggregated, sort, limit) {
+  let result = [...aggregated];
+  if (sort) {
+    const factor = sort.direction === 'asc' ? 1 : -1;
+    result.sort((a, b) => {
+      if (sort.by === 'label') {
+        const aNum = Number(a.group);
+        const bNum = Number(b.group);
+        return factor * (Number.isFinite(aNum) && Number.isFinite(bNum) ? aNum - bNum : a.group.localeCompare(b.group));
+      }
+      // Пустые значения всегда в конце
+      if (a.value === null) return 1;
+      if (b.value === null) return -1;
+      return factor * (a.value - b.value);
+    });
+  }
+  return limit ? result.slice(0, limit) : result;
+}
+
 /**
  * Detect data types for columns
+ * Coarse types for SQL storage: 'number' for numeric columns, see typeInference.js for details
  */
 export function detectColumnTypes(data, columns) {
-  const types = {};
-  columns.forEach(col => {
-    const sample = data.slice(0, 100).map(row => row[col]).filter(v => v != null && v !== '');
-    
-    if (sample.length === 0) {
-      types[col] = 'unknown';
-      return;
-    }
-
-    const isNumeric = sample.every(v => !isNaN(parseFloat(v)) && isFinite(v));
-    const isDate = sample.some(v => !isNaN(Date.parse(v)));
-    const isBoolean = sample.every(v => ['true', 'false', '1', '0', 'yes', 'no'].includes(String(v).toLowerCase()));
-
-    if (isNumeric) {
-      types[col] = 'number';
-    } else if (isDate) {
-      types[col] = 'date';
-    } else if (isBoolean) {
-      types[col] = 'boolean';
-    } else {
-      types[col] = 'string';
-    }
-  });
-
-  return types;
+  return toStorageTypes(inferSchema(data, columns));
 }
-
@@ -0,0 +1,102 @@
+import { loadDataset, datasetExists } from './datasetStore.js';
+import { applySchemaOverrides, coerceRows, inferSchema } from './typeInference.js';
+import { refreshProfile } from './profiler.js';
+
+/**
+ * In-memory LRU cache of stored datasets prepared for queries: rows coerced to column types, profiles refreshed
+ *
+ * Без кэша каждый запрос заново читает и разбирает файл датасета и приводит все строки к типам,
+ * а параллельные запросы держат в памяти по копии датасета каждый.
+ * Строки в кэше общие для всех запросов и не должны изменяться.
+ *
+ * DATASET_CACHE_SIZE - сколько подготовленных датасетов держать в памяти (по умолчанию 2)
+ */
+
+const DEFAULT_CACHE_SIZE = 2;
+
+// Ключ -> Promise подготовленного датасета (параллельные запросы ждут одну загрузку)
+const cache = new Map();
+
+function getCacheSize() {
+  const size = parseInt(process.env.DATASET_CACHE_SIZE, 10);
+  return Number.isFinite(size) && size >= 0 ? size : DEFAULT_CACHE_SIZE;
+}
+
+/**
+ * Cache key of dataset with overrides: tables and columns sorted, so key order of request does not matter
+ */
+function cacheKey(id, schemaOverrides) {
+  const overrides = Object.keys(schemaOverrides).sort().map(table => {
+    const columns = schemaOverrides[table] || {};
+    return [table, Object.keys(columns).sort().map(column => [column, columns[column]])];
+  });
+  return `${id}:${JSON.stringify(overrides)}`;
+}
+
+/**
+ * Coerce rows of table to schema with user overrides and refresh stored profile for changed types
+ */
+function prepareTable(table, overrides) {
+  const rows = table.data || [];
+  const schema = applySchemaOverrides(table.schema || inferSchema(rows, table.columnNames), overrides);
+  const data = coerceRows(rows, schema);
+  return { ...table, schema, data, profile: refreshProfile(table.profile, data, table.columnNames, schema) };
+}
+
+async function prepareDataset(id, schemaOverrides) {
+  const dataset = await loadDataset(id);
+  if (!dataset) {
+    return null;
+  }
+  if (dataset.tables) {
+    return { ...dataset, tables: dataset.tables.map(table => prepareTable(table, schemaOverrides[table.name])) };
+  }
+  const { data, schema, profile } = prepareTable(
+    { name: 'data', columnNames: dataset.columnNames, schema: dataset.schema, profile: dataset.profile, data: dataset.data },
+    schemaOverrides.data
+  );
+  return { ...dataset, data, schema, profile };
+}
+
+/**
+ * Load stored dataset with rows coerced to column types (user overrides applied)
+ * @param {string} id - dataset id
+ * @param {Object} schemaOverrides - { [table name or "data"]: { column: type } }
+ * @returns {Promise<{dataset: Object|null, cached: boolean}>} dataset as loadDataset, but with coerced rows and profiles
+ */
+export async function loadPreparedDataset(id, schemaOverrides = {}) {
+  const key = cacheKey(id, schemaOverrides);
+
+  if (cache.has(key)) {
+    // Датасет мог быть удален по сроку хранения
+    if (await datasetExists(id)) {
+      const entry = cache.get(key);
+      // Последний использованный - в конец очереди вытеснения
+      cache.delete(key);
+      cache.set(key, entry);
+      return { dataset: await entry, cached: true };
+    }
+    cache.delete(key);
+  }
+
+  const entry = prepareDataset(id, schemaOverrides);
+  if (getCacheSize() > 0) {
+    cache.set(key, entry);
+    while (cache.size > getCacheSize()) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  try {
+    const dataset = await entry;
+    if (!dataset && cache.get(key) === entry) {
+      cache.delete(key);
+    }
+    return { dataset, cached: false };
+  } catch (error) {
+    if (cache.get(key) === entry) {
+      cache.delete(key);
+    }
+    throw error;
+  }
+}
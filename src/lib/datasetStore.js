@@ -0,0 +1,264 @@
+import { promises as fs, createReadStream, createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+import readline from 'readline';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Server-side dataset storage (NDJSON files in local directory)
+ *
+ * Формат файла: первая строка - метаданные датасета, далее по строке на запись
+ * в виде [индекс таблицы, строка]. Запись и чтение потоковые, поэтому размер
+ * датасета не ограничен максимальной длиной строки JSON.
+ *
+ * DATASET_STORAGE_DIR - каталог хранения (по умолчанию во временном каталоге ОС)
+ * DATASET_TTL_HOURS - через сколько часов датасет удаляется (по умолчанию 24)
+ * UPLOAD_TMP_DIR - каталог для частей загружаемых файлов
+ */
+
+const DEFAULT_TTL_HOURS = 24;
+const DATASET_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function getStorageDir() {
+  return process.env.DATASET_STORAGE_DIR || path.join(os.tmpdir(), 'nlp-data-analytics', 'datasets');
+}
+
+function getUploadDir() {
+  return process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'nlp-data-analytics', 'uploads');
+}
+
+function getTTL() {
+  const hours = parseFloat(process.env.DATASET_TTL_HOURS);
+  return (isNaN(hours) ? DEFAULT_TTL_HOURS : hours) * 60 * 60 * 1000;
+}
+
+/**
+ * Check dataset id format (protects against path traversal)
+ */
+export function isValidDatasetId(id) {
+  return typeof id === 'string' && DATASET_ID_PATTERN.test(id);
+}
+
+function getDatasetPath(id) {
+  return path.join(getStorageDir(), `${id}.ndjson`);
+}
+
+/**
+ * Remove datasets and unfinished uploads older than TTL
+ */
+export async function pruneExpiredDatasets() {
+  const removed = await pruneDir(getStorageDir());
+  return removed + await pruneDir(getUploadDir());
+}
+
+async function pruneDir(dir) {
+  const expiresBefore = Date.now() - getTTL();
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    return 0;
+  }
+
+  let removed = 0;
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    try {
+      const stat = await fs.stat(filePath);
+      if (stat.mtimeMs < expiresBefore) {
+        await fs.rm(filePath, { force: true });
+        removed++;
+      }
+    } catch (error) {
+      console.error('[DatasetStore] Ошибка удаления устаревшего датасета:', file, error.message);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Save parsed dataset
+ * @param {Object} dataset - { fileName, sourceType, columnNames, data } or { fileName, sourceType, tables }
+ * @returns {Promise<string>} dataset id
+ */
+export async function saveDataset(dataset) {
+  const id = crypto.randomUUID();
+  const dir = getStorageDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  const { data, tables, ...meta } = dataset;
+  const tableList = tables || [{ name: 'data', columnNames: dataset.columnNames, data }];
+  const header = {
+    id,
+    createdAt: new Date().toISOString(),
+    ...meta,
+    tables: tables ? tables.map(({ data: rows, ...table }) => table) : null
+  };
+
+  // Запись во временный файл и переименование, чтобы не читать недописанный датасет
+  const filePath = getDatasetPath(id);
+  const tmpPath = `${filePath}.tmp`;
+  const stream = createWriteStream(tmpPath, { encoding: 'utf-8' });
+  const writeLine = async (value) => {
+    if (!stream.write(`${JSON.stringify(value)}\n`)) {
+      await once(stream, 'drain');
+    }
+  };
+
+  try {
+    await writeLine(header);
+    for (let tableIndex = 0; tableIndex < tableList.length; tableIndex++) {
+      for (const row of tableList[tableIndex].data) {
+        await writeLine([tableIndex, row]);
+      }
+    }
+    stream.end();
+    await once(stream, 'finish');
+  } catch (error) {
+    stream.destroy();
+    await fs.rm(tmpPath, { force: true });
+    throw error;
+  }
+  await fs.rename(tmpPath, filePath);
+
+  pruneExpiredDatasets().catch(error => {
+    console.error('[DatasetStore] Ошибка очистки:', error.message);
+  });
+
+  return id;
+}
+
+/**
+ * Check that dataset file still exists (not removed by TTL)
+ */
+export async function datasetExists(id) {
+  if (!isValidDatasetId(id)) {
+    return false;
+  }
+  try {
+    await fs.access(getDatasetPath(id));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Load dataset by id
+ * @returns {Promise<Object|null>} dataset or null if not found
+ */
+export async function loadDataset(id) {
+  if (!isValidDatasetId(id)) {
+    return null;
+  }
+
+  const filePath = getDatasetPath(id);
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    return null;
+  }
+
+  const lines = readline.createInterface({
+    input: createReadStream(filePath, { encoding: 'utf-8' }),
+    crlfDelay: Infinity
+  });
+
+  let dataset = null;
+  let tableRows = [];
+  for await (const line of lines) {
+    if (!line) {
+      continue;
+    }
+    if (!dataset) {
+      dataset = JSON.parse(line);
+      tableRows = (dataset.tables || [null]).map(() => []);
+      continue;
+    }
+    const [tableIndex, row] = JSON.parse(line);
+    tableRows[tableIndex].push(row);
+  }
+
+  if (!dataset) {
+    return null;
+  }
+
+  if (dataset.tables) {
+    dataset.tables = dataset.tables.map((table, idx) => ({ ...table, data: tableRows[idx] }));
+  } else {
+    dataset.data = tableRows[0];
+  }
+  return dataset;
+}
+
+/**
+ * Path of partially uploaded file (null for invalid upload id)
+ */
+export function getUploadPath(uploadId) {
+  return isValidDatasetId(uploadId) ? path.join(getUploadDir(), `${uploadId}.part`) : null;
+}
+
+/**
+ * Start chunked upload
+ * @returns {Promise<string>} upload id
+ */
+export async function createUpload() {
+  const uploadId = crypto.randomUUID();
+  await fs.mkdir(getUploadDir(), { recursive: true });
+  await fs.writeFile(getUploadPath(uploadId), '');
+  return uploadId;
+}
+
+/**
+ * Append chunk to uploaded file
+ * @param {string} uploadId
+ * @param {ReadableStream} source - request stream with chunk bytes
+ * @param {number} offset - expected current size of uploaded part
+ * @param {number} [maxChunkSize] - chunk longer than this is rejected with status 413
+ * @returns {Promise<number>} size of uploaded part after append
+ */
+export async function appendUploadChunk(uploadId, source, offset, maxChunkSize = Infinity) {
+  const uploadPath = getUploadPath(uploadId);
+  if (!uploadPath) {
+    throw Object.assign(new Error('Некорректный id загрузки'), { status: 400 });
+  }
+
+  let size;
+  try {
+    size = (await fs.stat(uploadPath)).size;
+  } catch (error) {
+    throw Object.assign(new Error('Загрузка не найдена или устарела'), { status: 404 });
+  }
+  if (size !== offset) {
+    throw Object.assign(new Error(`Неверное смещение части: ожидалось ${size}, получено ${offset}`), { status: 409 });
+  }
+
+  // Считаем байты по мере записи: Content-Length клиента может не совпадать с телом
+  let chunkSize = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      chunkSize += chunk.length;
+      if (chunkSize > maxChunkSize) {
+        callback(Object.assign(new Error(`Часть файла больше ${maxChunkSize} байт`), { status: 413 }));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+  const stream = createWriteStream(uploadPath, { flags: 'a' });
+  await pipeline(source, limit, stream);
+  return (await fs.stat(uploadPath)).size;
+}
+
+/**
+ * Remove partially uploaded file
+ */
+export async function removeUpload(uploadId) {
+  const uploadPath = getUploadPath(uploadId);
+  if (uploadPath) {
+    await fs.rm(uploadPath, { force: true });
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Server-Sent Events helpers for streaming API responses
+ */
+
+/**
+ * Switch API response to event stream
+ * @param {Object} res - Next.js API response
+ * @returns {{send: Function, close: Function}}
+ */
+export function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Content-Encoding': 'none',
+    'X-Accel-Buffering': 'no',
+    Connection: 'keep-alive'
+  });
+
+  return {
+    send(event, data) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      res.end();
+    }
+  };
+}
+
+/**
+ * Read event stream from fetch response (POST requests can't use EventSource)
+ * @param {Response} response - fetch response with text/event-stream body
+ * @param {Function} onEvent - (event, data) => void, called for each event
+ */
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (chunk) => {
+    let event = 'message';
+    const dataLines = [];
+    chunk.split('\n').forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    });
+    if (dataLines.length > 0) {
+      onEvent(event, JSON.parse(dataLines.join('\n')));
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true });
+
+    let separatorIndex;
+    while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, separatorIndex));
+      buffer = buffer.slice(separatorIndex + 2);
+    }
+  }
+
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * Export of charts and reports to files (browser only)
+ *
+ * html2canvas и jspdf подгружаются при первом экспорте, чтобы не увеличивать основной бандл
+ */
+
+// Фон страницы приложения: графики рассчитаны на темную тему
+export const EXPORT_BACKGROUND = '#1a1f35';
+// Элементы с этим атрибутом (кнопки, вкладки) не попадают в изображение
+const EXPORT_IGNORE_ATTRIBUTE = 'data-export-ignore';
+
+const PDF_MARGIN = 10;
+const PDF_GAP = 6;
+// Блок, которому на странице остается меньше места, начинается с новой страницы
+const PDF_MIN_BLOCK = 40;
+// Таблица в отчете: первые строки результата, все строки - в выгрузке таблицы
+export const PDF_TABLE_ROWS = 50;
+const TABLE_FONT_SIZE = 12;
+const TABLE_LINE_HEIGHT = 20;
+const TABLE_PADDING = 8;
+// Длинные значения обрезаются, чтобы таблица помещалась по ширине страницы
+const TABLE_CELL_MAX_WIDTH = 220;
+const TABLE_SCALE = 2;
+
+/**
+ * Save blob as file through temporary link
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * File name with current date: report-2024-05-01.pdf
+ */
+export function datedFileName(prefix, extension) {
+  return `${prefix}-${new Date().toISOString().substring(0, 10)}.${extension}`;
+}
+
+async function captureElement(element) {
+  const { default: html2canvas } = await import('html2canvas');
+  return html2canvas(element, {
+    backgroundColor: EXPORT_BACKGROUND,
+    scale: 2,
+    logging: false,
+    ignoreElements: node => node.hasAttribute?.(EXPORT_IGNORE_ATTRIBUTE)
+  });
+}
+
+/**
+ * PNG snapshot of element (chart with legend, heatmap table)
+ */
+export async function exportElementPng(element, fileName) {
+  const canvas = await captureElement(element);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  if (!blob) {
+    throw new Error('Не удалось сформировать PNG');
+  }
+  downloadBlob(blob, fileName);
+}
+
+/**
+ * Main chart SVG inside element: recharts surface or own SVG chart (box plot)
+ */
+export function findChartSvg(element) {
+  return element.querySelector('.recharts-wrapper > svg, svg[data-chart]');
+}
+
+/**
+ * Standalone SVG file of chart with background (legend of recharts is HTML and is not included)
+ */
+export function exportChartSvg(element, fileName) {
+  const svg = findChartSvg(element);
+  if (!svg) {
+    throw new Error('У этого графика нет SVG представления, используйте PNG');
+  }
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', Math.round(width));
+  clone.setAttribute('height', Math.round(height));
+  if (!clone.getAttribute('viewBox')) {
+    clone.setAttribute('viewBox', `0 0 ${Math.round(width)} ${Math.round(height)}`);
+  }
+  const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', EXPORT_BACKGROUND);
+  clone.insertBefore(background, clone.firstChild);
+
+  const source = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+  downloadBlob(new Blob([source], { type: 'image/svg+xml;charset=utf-8' }), fileName);
+}
+
+function fitText(context, text) {
+  if (context.measureText(text).width <= TABLE_CELL_MAX_WIDTH) {
+    return text;
+  }
+  let end = text.length;
+  while (end > 0 && context.measureText(`${text.slice(0, end)}…`).width > TABLE_CELL_MAX_WIDTH) {
+    end--;
+  }
+  return `${text.slice(0, end)}…`;
+}
+
+/**
+ * Result table drawn from rows as plain text: first PDF_TABLE_ROWS rows and note about the rest
+ * Снимок сетки не подходит: виртуализированная таблица содержит в DOM только видимые строки
+ * @param {{title: string, rows: Object[], truncated?: boolean}} table - truncated: server returned only part of result
+ * @returns {HTMLCanvasElement}
+ */
+function renderTableCanvas({ title, rows, truncated }) {
+  const columns = [];
+  rows.forEach(row => Object.keys(row || {}).forEach(key => {
+    if (!columns.includes(key)) {
+      columns.push(key);
+    }
+  }));
+  const shown = rows.slice(0, PDF_TABLE_ROWS);
+  const notes = [];
+  if (rows.length > shown.length) {
+    notes.push(`Показаны первые ${shown.length} из ${rows.length} строк`);
+  }
+  if (truncated) {
+    notes.push('результат сокращен сервером, все строки доступны в выгрузке полного результата');
+  }
+  const note = notes.join('; ');
+
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  const bold = `bold ${TABLE_FONT_SIZE}px sans-serif`;
+  const regular = `${TABLE_FONT_SIZE}px sans-serif`;
+
+  context.font = bold;
+  const header = columns.map(column => fitText(context, column));
+  const widths = header.map(text => context.measureText(text).width);
+  context.font = regular;
+  const cells = shown.map(row => columns.map((column, idx) => {
+    const text = fitText(context, String(row[column] ?? ''));
+    widths[idx] = Math.max(widths[idx], context.measureText(text).width);
+    return text;
+  }));
+
+  const tableWidth = widths.reduce((sum, width) => sum + width + 2 * TABLE_PADDING, 0);
+  const width = Math.ceil(Math.max(tableWidth, context.measureText(note).width + TABLE_PADDING, 400));
+  const lines = 2 + cells.length + (note ? 1 : 0);
+  const height = lines * TABLE_LINE_HEIGHT + TABLE_PADDING;
+
+  // Изменение размера сбрасывает состояние контекста
+  canvas.width = width * TABLE_SCALE;
+  canvas.height = height * TABLE_SCALE;
+  context.scale(TABLE_SCALE, TABLE_SCALE);
+  context.fillStyle = EXPORT_BACKGROUND;
+  context.fillRect(0, 0, width, height);
+  context.textBaseline = 'middle';
+
+  const drawRow = (texts, y, color) => {
+    context.fillStyle = color;
+    let x = 0;
+    texts.forEach((text, idx) => {
+      context.fillText(text, x + TABLE_PADDING, y + TABLE_LINE_HEIGHT / 2);
+      x += widths[idx] + 2 * TABLE_PADDING;
+    });
+  };
+
+  context.font = `bold ${TABLE_FONT_SIZE + 4}px sans-serif`;
+  context.fillStyle = '#f8fafc';
+  context.fillText(title, 0, TABLE_LINE_HEIGHT / 2);
+
+  let y = TABLE_LINE_HEIGHT;
+  context.font = bold;
+  drawRow(header, y, '#f8fafc');
+  y += TABLE_LINE_HEIGHT;
+  context.strokeStyle = '#334155';
+  context.beginPath();
+  context.moveTo(0, y);
+  context.lineTo(tableWidth, y);
+  context.stroke();
+
+  context.font = regular;
+  cells.forEach(row => {
+    drawRow(row, y, '#e2e8f0');
+    y += TABLE_LINE_HEIGHT;
+  });
+  if (note) {
+    context.fillStyle = '#f59e0b';
+    context.fillText(note, 0, y + TABLE_LINE_HEIGHT / 2);
+  }
+  return canvas;
+}
+
+/**
+ * PDF report: snapshots of blocks one after another on A4 pages, tall blocks continue on next page
+ * Текст рендерится в изображение, поэтому кириллица не требует встраивания шрифтов в PDF
+ * @param {HTMLElement[]} elements - blocks in report order (missing ones are skipped)
+ * @param {string} fileName
+ * @param {{title: string, rows: Object[], truncated?: boolean}} [table] - result table, added after blocks
+ */
+export async function exportReportPdf(elements, fileName, table) {
+  const { jsPDF } = await import('jspdf');
+  const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - 2 * PDF_MARGIN;
+  const bottom = pageHeight - PDF_MARGIN;
+
+  const paintBackground = () => {
+    pdf.setFillColor(EXPORT_BACKGROUND);
+    pdf.rect(0, 0, pageWidth, pageHeight, 'F');
+  };
+  const newPage = () => {
+    pdf.addPage();
+    paintBackground();
+    return PDF_MARGIN;
+  };
+
+  paintBackground();
+  let y = PDF_MARGIN;
+  let first = true;
+
+  const canvases = [];
+  for (const element of elements.filter(Boolean)) {
+    canvases.push(await captureElement(element));
+  }
+  if (table?.rows?.length) {
+    canvases.push(renderTableCanvas(table));
+  }
+
+  for (const canvas of canvases) {
+    const pxPerMm = canvas.width / contentWidth;
+    const blockHeight = canvas.height / pxPerMm;
+    if (!first && bottom - y < Math.min(blockHeight, PDF_MIN_BLOCK)) {
+      y = newPage();
+    }
+    first = false;
+
+    // Высокий блок режется на куски по высоте страницы
+    let offset = 0;
+    while (offset < canvas.height) {
+      const slice = Math.min(canvas.height - offset, Math.floor((bottom - y) * pxPerMm));
+      if (slice <= 0) {
+        y = newPage();
+        continue;
+      }
+      const part = document.createElement('canvas');
+      part.width = canvas.width;
+      part.height = slice;
+      part.getContext('2d').drawImage(canvas, 0, offset, canvas.width, slice, 0, 0, canvas.width, slice);
+      pdf.addImage(part.toDataURL('image/png'), 'PNG', PDF_MARGIN, y, contentWidth, slice / pxPerMm);
+
+      offset += slice;
+      y += slice / pxPerMm + PDF_GAP;
+      if (offset < canvas.height) {
+        y = newPage();
+      }
+    }
+  }
+
+  pdf.save(fileName);
+}
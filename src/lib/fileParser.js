@@ -0,0 +1,293 @@
+import { promises as fs, createReadStream } from 'fs';
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import { countMissingValues } from './dataProcessor.js';
+import { readSQLiteDatabase } from './sqlEngine.js';
+import { saveDataset } from './datasetStore.js';
+import { inferSchema } from './typeInference.js';
+import { profileDataset } from './profiler.js';
+
+/**
+ * Parsing of uploaded files (CSV, Excel, SQLite) into stored datasets
+ *
+ * Multi-sheet Excel workbooks and SQLite databases are stored as several tables
+ */
+
+export const SQLITE_EXTENSIONS = ['sqlite', 'sqlite3', 'db'];
+export const SUPPORTED_EXTENSIONS = ['csv', 'xlsx', 'xls', ...SQLITE_EXTENSIONS];
+
+const CSV_OPTIONS = {
+  header: true,
+  skipEmptyLines: true,
+  transformHeader: (header) => header.trim(),
+};
+
+/**
+ * Parse CSV file incrementally (Papa streaming mode)
+ */
+function parseCSVFile(filePath, fileSize, addLog) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    let fields = [];
+    let nextProgress = 0.1;
+
+    Papa.parse(createReadStream(filePath, { encoding: 'utf-8' }), {
+      ...CSV_OPTIONS,
+      chunk: (results) => {
+        fields = results.meta.fields || fields;
+        for (const row of results.data) {
+          rows.push(row);
+        }
+        const progress = fileSize ? results.meta.cursor / fileSize : 0;
+        if (progress >= nextProgress) {
+          addLog(`CSV: обработано ${Math.round(progress * 100)}% (${rows.length} строк)`);
+          nextProgress = Math.floor(progress * 10) / 10 + 0.1;
+        }
+      },
+      complete: () => resolve({ data: rows, columns: fields }),
+      error: reject
+    });
+  });
+}
+
+/**
+ * Parse Excel workbook: file is read and decompressed once, sheets are converted one by one
+ * @returns {Array<{name: string, data: Object[], columns: string[]}>}
+ */
+function parseExcelSheets({ fileBuffer, filePath }, addLog) {
+  const options = { dense: true, cellDates: true };
+  const workbook = filePath
+    ? XLSX.readFile(filePath, options)
+    : XLSX.read(fileBuffer, { type: 'buffer', ...options });
+  addLog(`Листов в книге: ${workbook.SheetNames.length} (${workbook.SheetNames.join(', ')})`);
+
+  return workbook.SheetNames.map(sheetName => {
+    const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: null });
+    // Лист больше не нужен после преобразования в строки
+    delete workbook.Sheets[sheetName];
+    addLog(`Лист ${sheetName}: ${data.length} строк`);
+    return { name: sheetName, data, columns: Object.keys(data[0] || {}) };
+  });
+}
+
+/**
+ * Remove completely empty rows
+ */
+function removeEmptyRows(data) {
+  return data.filter(row => {
+    return Object.values(row).some(val => val !== null && val !== undefined && val !== '');
+  });
+}
+
+/**
+ * Table metadata returned to client (without data)
+ */
+function buildTableInfo(table) {
+  return {
+    name: table.name,
+    rows: table.data.length,
+    columns: table.columnNames.length,
+    columnNames: table.columnNames,
+    columnSchema: table.columnSchema,
+    foreignKeys: table.foreignKeys,
+    schema: table.schema,
+    sample: table.data.slice(0, 10),
+    missingValues: countMissingValues(table.data, table.columnNames),
+    profile: table.profile
+  };
+}
+
+/**
+ * Infer column types and profile of each table (stored with dataset, user can override types in UI)
+ */
+function withInferredSchema(table, addLog) {
+  const schema = inferSchema(table.data, table.columnNames);
+  addLog(`Типы колонок ${table.name}: ${Object.entries(schema).map(([col, info]) => `${col}=${info.type}`).join(', ')}`);
+  const profile = profileDataset(table.data, table.columnNames, schema);
+  addLog(`Профиль ${table.name} готов, дубликатов строк: ${profile.duplicateRows}`);
+  return { ...table, schema, profile };
+}
+
+/**
+ * Store multi-sheet workbook, each non-empty sheet becomes a table
+ */
+async function processWorkbook(sheets, fileName, fileExtension, addLog) {
+  const tables = sheets
+    .map(sheet => ({ name: sheet.name, columnNames: sheet.columns, data: removeEmptyRows(sheet.data) }))
+    .filter(table => {
+      if (table.data.length === 0) {
+        addLog(`Лист ${table.name} пуст, пропущен`);
+        return false;
+      }
+      return true;
+    })
+    .map(table => withInferredSchema(table, addLog));
+
+  if (tables.length === 0) {
+    addLog('ОШИБКА: Все листы книги пусты');
+    return { status: 400, body: { error: 'File is empty or could not be parsed' } };
+  }
+
+  const tableInfo = tables.map(buildTableInfo);
+
+  addLog('Сохранение книги на сервере...');
+  const datasetId = await saveDataset({
+    fileName,
+    sourceType: fileExtension,
+    tables
+  });
+  addLog(`✅ Книга Excel обработана: ${tables.length} листов с данными, id: ${datasetId}`);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      sourceType: fileExtension,
+      datasetId,
+      tables: tableInfo
+    }
+  };
+}
+
+/**
+ * Parse SQLite database and store all its tables
+ */
+async function processSQLite(fileBuffer, fileName, addLog) {
+  addLog('Открытие базы данных SQLite...');
+  const tables = (await readSQLiteDatabase(fileBuffer)).map(table => withInferredSchema(table, addLog));
+  addLog(`Найдено таблиц: ${tables.length}`);
+
+  if (tables.length === 0) {
+    addLog('ОШИБКА: В базе данных нет таблиц');
+    return { status: 400, body: { error: 'Database has no tables' } };
+  }
+
+  const tableInfo = tables.map(table => {
+    addLog(`Таблица ${table.name}: ${table.data.length} строк, ${table.columnNames.length} колонок, внешних ключей: ${table.foreignKeys.length}`);
+    return buildTableInfo(table);
+  });
+
+  addLog('Сохранение базы данных на сервере...');
+  const datasetId = await saveDataset({
+    fileName,
+    sourceType: 'sqlite',
+    tables: tables.map(table => ({
+      name: table.name,
+      columnNames: table.columnNames,
+      columnSchema: table.columnSchema,
+      foreignKeys: table.foreignKeys,
+      schema: table.schema,
+      profile: table.profile,
+      data: table.data
+    }))
+  });
+  addLog(`✅ База данных SQLite обработана: ${tables.length} таблиц, id: ${datasetId}`);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      sourceType: 'sqlite',
+      datasetId,
+      tables: tableInfo
+    }
+  };
+}
+
+/**
+ * Parse uploaded file and store it as dataset
+ * @param {Object} source - { fileName, fileBuffer } or { fileName, filePath } for files on disk
+ * @param {Function} addLog - logger of the calling API route
+ * @returns {Promise<{status: number, body: Object}>} HTTP status and response body (without logs)
+ */
+export async function processUploadedFile({ fileName, fileBuffer, filePath }, addLog) {
+  const fileExtension = (fileName || '').split('.').pop().toLowerCase();
+  addLog(`Определено расширение файла: ${fileExtension}`);
+
+  const fileSize = filePath ? (await fs.stat(filePath)).size : fileBuffer.length;
+  addLog(`Размер файла: ${fileSize} байт`);
+
+  let data = [];
+  let columns = [];
+
+  // Parse based on file type
+  if (fileExtension === 'csv') {
+    addLog('Парсинг CSV файла...');
+    let parsed;
+    if (filePath) {
+      parsed = await parseCSVFile(filePath, fileSize, addLog);
+    } else {
+      const csvText = fileBuffer.toString('utf-8');
+      addLog(`CSV текст длина: ${csvText.length} символов`);
+      const result = Papa.parse(csvText, CSV_OPTIONS);
+      parsed = { data: result.data, columns: result.meta.fields || [] };
+    }
+    data = parsed.data;
+    columns = parsed.columns;
+    addLog(`CSV распарсен: ${data.length} строк, ${columns.length} колонок`);
+  } else if (['xlsx', 'xls'].includes(fileExtension)) {
+    addLog('Парсинг Excel файла...');
+    const sheets = parseExcelSheets({ fileBuffer, filePath }, addLog);
+    // Несколько листов - каждый лист становится отдельной таблицей
+    if (sheets.length > 1) {
+      return processWorkbook(sheets, fileName, fileExtension, addLog);
+    }
+    ({ data, columns } = sheets[0] || { data: [], columns: [] });
+    addLog(`Excel распарсен: ${data.length} строк, ${columns.length} колонок`);
+  } else if (SQLITE_EXTENSIONS.includes(fileExtension)) {
+    return processSQLite(fileBuffer || await fs.readFile(filePath), fileName, addLog);
+  } else {
+    addLog(`ОШИБКА: Неподдерживаемый формат: ${fileExtension}`);
+    return { status: 400, body: { error: 'Unsupported file format. Use CSV, Excel or SQLite files.' } };
+  }
+
+  // Validate data
+  if (!data || data.length === 0) {
+    addLog('ОШИБКА: Файл пуст или не удалось распарсить');
+    return { status: 400, body: { error: 'File is empty or could not be parsed' } };
+  }
+
+  // Clean data - remove completely empty rows
+  addLog('Очистка данных от пустых строк...');
+  const beforeClean = data.length;
+  data = removeEmptyRows(data);
+  addLog(`Удалено пустых строк: ${beforeClean - data.length}`);
+
+  addLog(`✅ Успешно обработано: ${data.length} строк, ${columns.length} колонок`);
+
+  // Calculate missing values
+  addLog('Подсчет пропущенных значений...');
+  const missingValues = countMissingValues(data, columns);
+  addLog(`Пропущенные значения подсчитаны для ${Object.keys(missingValues).length} колонок`);
+
+  addLog('Определение типов и профилирование колонок...');
+  const { schema, profile } = withInferredSchema({ name: fileName, data, columnNames: columns }, addLog);
+
+  // Store parsed data server-side, client keeps only dataset id
+  addLog('Сохранение датасета на сервере...');
+  const datasetId = await saveDataset({
+    fileName,
+    sourceType: fileExtension,
+    columnNames: columns,
+    schema,
+    profile,
+    data
+  });
+  addLog(`Датасет сохранен, id: ${datasetId}`);
+
+  // Return dataset metadata
+  return {
+    status: 200,
+    body: {
+      success: true,
+      datasetId,
+      rows: data.length,
+      columns: columns.length,
+      columnNames: columns,
+      schema,
+      sample: data.slice(0, 10), // First 10 rows as sample
+      missingValues: missingValues, // Missing values info
+      profile
+    }
+  };
+}
@@ -0,0 +1,397 @@
+import { parseLocaleDate, isEmptyValue } from './typeInference.js';
+import { bucketStart, nextBucket } from './timeSeries.js';
+
+/**
+ * Filter expressions of query plan
+ *
+ * Условие: { column, operator, value | values | from, to | amount, unit, anchor }
+ * Группы: { and: [...] }, { or: [...] }, { not: {...} }; массив условий - это and
+ */
+
+export const FILTER_OPERATORS = [
+  'equals', 'not_equals', 'contains', 'not_contains', 'starts_with',
+  'greater', 'greater_or_equal', 'less', 'less_or_equal', 'between',
+  'in', 'not_in', 'is_null', 'not_null', 'regex',
+  // Относительные даты: last - последние N единиц, current_period / previous_period - календарный период
+  'last', 'current_period', 'previous_period'
+];
+
+export const RELATIVE_UNITS = ['day', 'week', 'month', 'quarter', 'year'];
+// Точка отсчета относительных дат: сегодня или последняя дата в колонке
+export const DATE_ANCHORS = ['today', 'data'];
+
+const RELATIVE_OPERATORS = ['last', 'current_period', 'previous_period'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Регулярное выражение проверяется на каждой строке датасета: длинные шаблоны не принимаем
+export const MAX_REGEX_LENGTH = 200;
+
+/**
+ * Check pattern for exponential backtracking: nested quantifiers (a+)+, (\w*)*, ((ab)+c){2,}
+ * and quantified alternation (a|a)*, (x(a|b))+
+ * Обратные ссылки (\1, \k<name>) тоже считаются опасными
+ */
+function hasUnsafeRegex(pattern) {
+  // Для каждой открытой группы - есть ли внутри квантификатор или альтернатива
+  const groups = [];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return true;
+      i++;
+    } else if (char === '[') {
+      // Символьный класс пропускаем до закрывающей скобки
+      i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        i += pattern[i] === '\\' ? 2 : 1;
+      }
+    } else if (char === '(') {
+      groups.push({ quantifier: false, alternation: false });
+    } else if (char === ')') {
+      const inner = groups.pop() || { quantifier: false, alternation: false };
+      const risky = inner.quantifier || inner.alternation;
+      if (risky && /[+*{]/.test(pattern[i + 1] || '')) return true;
+      if (groups.length > 0) {
+        const outer = groups[groups.length - 1];
+        outer.quantifier = outer.quantifier || inner.quantifier;
+        outer.alternation = outer.alternation || inner.alternation;
+      }
+    } else if ('+*{'.includes(char) && groups.length > 0) {
+      groups[groups.length - 1].quantifier = true;
+    } else if (char === '|' && groups.length > 0) {
+      groups[groups.length - 1].alternation = true;
+    }
+  }
+  return false;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  return null;
+}
+
+/**
+ * Exclusive end of upper bound given as date without time: '2024-03-31' covers the whole day, '2024-03' the whole month
+ * @returns {Date|null} null for numbers, ids, dates with time and non-dates
+ */
+function inclusiveDateEnd(value) {
+  if (typeof value !== 'string' || toNumber(value) !== null) {
+    return null;
+  }
+  const text = value.trim();
+  const parsed = parseLocaleDate(text);
+  if (!parsed || parsed.hasTime || /\d[T ]\d/.test(text)) {
+    return null;
+  }
+  return nextBucket(parsed.date, /^\d{4}-\d{2}$/.test(text) ? 'month' : 'day');
+}
+
+function toDate(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  return parseLocaleDate(value)?.date || null;
+}
+
+const normalizeText = (value) => String(value).trim().toLowerCase();
+
+/**
+ * Compare cell value with filter value: as numbers, then as dates, then as strings
+ * @returns {number|null} negative, zero or positive; null when not comparable
+ */
+export function compareValues(value, filterValue) {
+  if (isEmptyValue(value) || filterValue === null || filterValue === undefined) {
+    return null;
+  }
+  const a = toNumber(value);
+  const b = toNumber(filterValue);
+  if (a !== null && b !== null) {
+    return a - b;
+  }
+  const dateA = toDate(value);
+  const dateB = toDate(filterValue);
+  if (dateA && dateB) {
+    return dateA - dateB;
+  }
+  return normalizeText(value).localeCompare(normalizeText(filterValue));
+}
+
+function valuesEqual(value, filterValue) {
+  if (isEmptyValue(value)) {
+    return false;
+  }
+  const a = toNumber(value);
+  const b = toNumber(filterValue);
+  if (a !== null && b !== null) {
+    return a === b;
+  }
+  // Булевы значения хранятся как 1/0
+  if (typeof filterValue === 'boolean') {
+    return a !== null ? a === (filterValue ? 1 : 0) : normalizeText(value) === String(filterValue);
+  }
+  return normalizeText(value) === normalizeText(filterValue);
+}
+
+function filterValues(condition) {
+  if (Array.isArray(condition.values)) {
+    return condition.values;
+  }
+  return Array.isArray(condition.value) ? condition.value : [condition.value];
+}
+
+/**
+ * Check required fields of condition
+ * @returns {string|null} error message
+ */
+export function validateCondition(condition) {
+  const { operator } = condition;
+  if (operator === 'between') {
+    const range = condition.from !== undefined || condition.to !== undefined
+      ? [condition.from, condition.to]
+      : condition.values;
+    if (!Array.isArray(range) || range.length !== 2 || range.every(v => v === undefined || v === null)) {
+      return 'Для between нужны from и to';
+    }
+  } else if (operator === 'in' || operator === 'not_in') {
+    if (!Array.isArray(condition.values) && !Array.isArray(condition.value)) {
+      return `Для ${operator} нужен список values`;
+    }
+  } else if (RELATIVE_OPERATORS.includes(operator)) {
+    if (!condition.unit) {
+      return `Для ${operator} нужна единица unit (${RELATIVE_UNITS.join(', ')})`;
+    }
+    if (operator === 'last' && !(condition.amount > 0)) {
+      return 'Для last нужно положительное amount';
+    }
+  } else if (operator === 'regex') {
+    const pattern = String(condition.value ?? '');
+    if (pattern.length > MAX_REGEX_LENGTH) {
+      return `Регулярное выражение длиннее ${MAX_REGEX_LENGTH} символов`;
+    }
+    if (hasUnsafeRegex(pattern)) {
+      return 'Регулярное выражение с вложенными квантификаторами, повторяемой альтернативой или обратными ссылками не поддерживается, упростите шаблон';
+    }
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      return `Некорректное регулярное выражение: ${error.message}`;
+    }
+  } else if (!['is_null', 'not_null'].includes(operator) && (condition.value === undefined || condition.value === null)) {
+    return `Для ${operator} нужно value`;
+  }
+  return null;
+}
+
+/**
+ * Start of current day (UTC) or latest date in column
+ */
+function resolveAnchor(condition, data) {
+  if (condition.anchor === 'data') {
+    let latest = null;
+    data.forEach(row => {
+      const date = toDate(row[condition.column]);
+      if (date && (!latest || date > latest)) {
+        latest = date;
+      }
+    });
+    if (latest) {
+      return latest;
+    }
+  }
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+}
+
+/**
+ * Date `amount` units earlier (day of month is clamped: 31 March - 1 month = 29 February)
+ */
+function subtractUnits(date, unit, amount) {
+  if (unit === 'day' || unit === 'week') {
+    return new Date(date.getTime() - amount * (unit === 'week' ? 7 : 1) * DAY_MS);
+  }
+  const months = amount * { month: 1, quarter: 3, year: 12 }[unit];
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * Date range [from, to) of relative condition
+ */
+export function relativeRange(condition, anchor) {
+  const unit = condition.unit;
+  if (condition.operator === 'last') {
+    // Последние N единиц, включая день точки отсчета
+    const end = new Date(anchor.getTime() + DAY_MS);
+    return { from: subtractUnits(end, unit, condition.amount), to: end };
+  }
+  const currentStart = bucketStart(anchor, unit);
+  if (condition.operator === 'current_period') {
+    return { from: currentStart, to: nextBucket(currentStart, unit) };
+  }
+  // previous_period: N предыдущих полных периодов (по умолчанию один)
+  return { from: subtractUnits(currentStart, unit, condition.amount || 1), to: currentStart };
+}
+
+// Несравнимые значения (пустые) не проходят ни одно сравнение
+function compareWith(column, value, test) {
+  return row => {
+    const cmp = compareValues(row[column], value);
+    return cmp !== null && test(cmp);
+  };
+}
+
+/**
+ * Compile condition into row predicate
+ */
+function compileCondition(condition, data) {
+  const error = validateCondition(condition);
+  if (error) {
+    throw new Error(`Фильтр по ${condition.column}: ${error}`);
+  }
+  const { column, operator, value } = condition;
+
+  switch (operator) {
+    case 'equals':
+      return row => valuesEqual(row[column], value);
+    case 'not_equals':
+      return row => !valuesEqual(row[column], value);
+    case 'contains':
+      return row => !isEmptyValue(row[column]) && normalizeText(row[column]).includes(normalizeText(value));
+    case 'not_contains':
+      return row => isEmptyValue(row[column]) || !normalizeText(row[column]).includes(normalizeText(value));
+    case 'starts_with':
+      return row => !isEmptyValue(row[column]) && normalizeText(row[column]).startsWith(normalizeText(value));
+    case 'greater':
+      return compareWith(column, value, cmp => cmp > 0);
+    case 'greater_or_equal':
+      return compareWith(column, value, cmp => cmp >= 0);
+    case 'less':
+      return compareWith(column, value, cmp => cmp < 0);
+    case 'less_or_equal':
+      return compareWith(column, value, cmp => cmp <= 0);
+    case 'between': {
+      const [from, to] = condition.from !== undefined || condition.to !== undefined
+        ? [condition.from, condition.to]
+        : condition.values;
+      // Дата без времени в to включает весь день: '2024-03-31' включает '2024-03-31 18:00'
+      const toEnd = inclusiveDateEnd(to);
+      return row => {
+        const cell = row[column];
+        if (from !== undefined && from !== null) {
+          const cmp = compareValues(cell, from);
+          if (cmp === null || cmp < 0) return false;
+        }
+        if (to !== undefined && to !== null) {
+          const cellDate = toEnd && toNumber(cell) === null ? toDate(cell) : null;
+          if (cellDate) return cellDate < toEnd;
+          const cmp = compareValues(cell, to);
+          if (cmp === null || cmp > 0) return false;
+        }
+        return true;
+      };
+    }
+    case 'in': {
+      const list = filterValues(condition);
+      return row => list.some(item => valuesEqual(row[column], item));
+    }
+    case 'not_in': {
+      const list = filterValues(condition);
+      return row => !list.some(item => valuesEqual(row[column], item));
+    }
+    case 'is_null':
+      return row => isEmptyValue(row[column]);
+    case 'not_null':
+      return row => !isEmptyValue(row[column]);
+    case 'regex': {
+      const pattern = new RegExp(String(value), condition.caseSensitive ? '' : 'i');
+      return row => !isEmptyValue(row[column]) && pattern.test(String(row[column]));
+    }
+    case 'last':
+    case 'current_period':
+    case 'previous_period': {
+      const { from, to } = relativeRange(condition, resolveAnchor(condition, data));
+      return row => {
+        const date = toDate(row[column]);
+        return Boolean(date) && date >= from && date < to;
+      };
+    }
+    default:
+      throw new Error(`Неизвестный оператор фильтра: ${operator}`);
+  }
+}
+
+/**
+ * Compile filter expression (condition, and/or/not group or array of them) into row predicate
+ * @param {Object|Object[]} expression
+ * @param {Object[]} data - rows, needed for relative dates anchored to data
+ * @returns {(row: Object) => boolean}
+ */
+export function compileFilter(expression, data = []) {
+  if (Array.isArray(expression)) {
+    return compileFilter({ and: expression }, data);
+  }
+  if (!expression || typeof expression !== 'object') {
+    return () => true;
+  }
+  if (Array.isArray(expression.and)) {
+    const predicates = expression.and.map(item => compileFilter(item, data));
+    return row => predicates.every(predicate => predicate(row));
+  }
+  if (Array.isArray(expression.or)) {
+    const predicates = expression.or.map(item => compileFilter(item, data));
+    return row => predicates.some(predicate => predicate(row));
+  }
+  if (expression.not) {
+    const predicate = compileFilter(expression.not, data);
+    return row => !predicate(row);
+  }
+  return compileCondition(expression, data);
+}
+
+/**
+ * Readable description of filter expression for logs and history
+ */
+export function describeFilter(expression) {
+  if (Array.isArray(expression)) {
+    return describeFilter({ and: expression });
+  }
+  if (!expression || typeof expression !== 'object') {
+    return '';
+  }
+  if (Array.isArray(expression.and)) {
+    return expression.and.map(describeFilter).join(' И ');
+  }
+  if (Array.isArray(expression.or)) {
+    return `(${expression.or.map(describeFilter).join(' ИЛИ ')})`;
+  }
+  if (expression.not) {
+    return `НЕ (${describeFilter(expression.not)})`;
+  }
+
+  const { column, operator } = expression;
+  if (operator === 'between') {
+    const [from, to] = expression.from !== undefined || expression.to !== undefined
+      ? [expression.from, expression.to]
+      : expression.values || [];
+    return `${column} между ${from ?? '…'} и ${to ?? '…'}`;
+  }
+  if (operator === 'in' || operator === 'not_in') {
+    return `${column} ${operator} [${filterValues(expression).join(', ')}]`;
+  }
+  if (RELATIVE_OPERATORS.includes(operator)) {
+    const amount = expression.amount ? ` ${expression.amount}` : '';
+    return `${column} ${operator}${amount} ${expression.unit}${expression.anchor === 'data' ? ' (от последней даты)' : ''}`;
+  }
+  if (operator === 'is_null' || operator === 'not_null') {
+    return `${column} ${operator}`;
+  }
+  return `${column} ${operator} ${expression.value}`;
+}
@@ -0,0 +1,300 @@
+import { buildTimeSeries, bucketLabel, nextBucket } from './timeSeries.js';
+
+/**
+ * Forecasting of time series
+ *
+ * linear         - линейный тренд (регрессия по номеру периода)
+ * exponential    - экспоненциальное сглаживание с трендом (метод Хольта)
+ * holt-winters   - Хольт-Винтерс с аддитивной сезонностью
+ * seasonal-naive - значение того же периода прошлого сезона
+ * auto           - Хольт-Винтерс при двух и более полных сезонах, иначе Хольт или линейный тренд
+ */
+
+export const FORECAST_METHODS = ['auto', 'linear', 'exponential', 'holt-winters', 'seasonal-naive'];
+
+// Длина сезона в периодах
+export const SEASON_LENGTHS = { day: 7, week: 52, month: 12, quarter: 4, year: 1 };
+
+export const MAX_HORIZON = 120;
+
+const SMOOTHING_GRID = [0.1, 0.3, 0.5, 0.7, 0.9];
+
+const round = (value) => (Number.isFinite(value) ? Math.round(value * 100) / 100 : null);
+
+// Коэффициенты рациональной аппроксимации обратной функции нормального распределения (Acklam)
+const QUANTILE_A = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+const QUANTILE_B = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+const QUANTILE_C = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+const QUANTILE_D = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+const QUANTILE_LOW = 0.02425;
+
+const polynomial = (coefficients, x) => coefficients.reduce((sum, c) => sum * x + c, 0);
+
+/**
+ * Quantile of standard normal distribution, relative error below 1.2e-9
+ */
+export function normalQuantile(p) {
+  if (p <= 0 || p >= 1) {
+    throw new Error('Вероятность должна быть в интервале (0, 1)');
+  }
+  if (p < QUANTILE_LOW || p > 1 - QUANTILE_LOW) {
+    const q = Math.sqrt(-2 * Math.log(p < 0.5 ? p : 1 - p));
+    const value = polynomial(QUANTILE_C, q) / (polynomial(QUANTILE_D, q) * q + 1);
+    return p < 0.5 ? value : -value;
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (polynomial(QUANTILE_A, r) * q) / (polynomial(QUANTILE_B, r) * r + 1);
+}
+
+// Двусторонний интервал: квантиль уровня (1 + confidence) / 2
+function zScore(confidence) {
+  return normalQuantile((1 + confidence) / 2);
+}
+
+/**
+ * Fill missing periods by linear interpolation between neighbours, edges by nearest known value
+ * Пропуски средних, минимумов и максимумов - это отсутствие данных, а не ноль
+ */
+export function interpolateGaps(values) {
+  const known = values.map((v, idx) => (Number.isFinite(v) ? idx : -1)).filter(idx => idx >= 0);
+  if (known.length === 0) {
+    return [];
+  }
+  let next = 0;
+  return values.map((v, idx) => {
+    if (Number.isFinite(v)) {
+      return v;
+    }
+    while (next < known.length && known[next] < idx) {
+      next++;
+    }
+    const right = known[next];
+    const left = known[next - 1];
+    if (left === undefined) return values[right];
+    if (right === undefined) return values[left];
+    return values[left] + ((values[right] - values[left]) * (idx - left)) / (right - left);
+  });
+}
+
+function residualStd(errors) {
+  const valid = errors.filter(Number.isFinite);
+  if (valid.length < 2) {
+    return 0;
+  }
+  return Math.sqrt(valid.reduce((sum, e) => sum + e * e, 0) / (valid.length - 1));
+}
+
+/**
+ * Linear trend y = a + b*t with prediction intervals of regression
+ */
+function forecastLinear(values, horizon, z) {
+  const n = values.length;
+  const ts = values.map((_, idx) => idx);
+  const meanT = (n - 1) / 2;
+  const meanY = values.reduce((a, b) => a + b, 0) / n;
+  const sxx = ts.reduce((sum, t) => sum + Math.pow(t - meanT, 2), 0);
+  const slope = sxx ? ts.reduce((sum, t, idx) => sum + (t - meanT) * (values[idx] - meanY), 0) / sxx : 0;
+  const intercept = meanY - slope * meanT;
+
+  const fitted = ts.map(t => intercept + slope * t);
+  const residuals = values.map((v, idx) => v - fitted[idx]);
+  const sigma = n > 2 ? Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / (n - 2)) : 0;
+
+  return Array.from({ length: horizon }, (_, h) => {
+    const t = n + h;
+    const value = intercept + slope * t;
+    const margin = z * sigma * Math.sqrt(1 + 1 / n + (sxx ? Math.pow(t - meanT, 2) / sxx : 0));
+    return { value, lower: value - margin, upper: value + margin };
+  });
+}
+
+/**
+ * Holt / Holt-Winters (additive) smoothing run
+ * @returns {{errors: number[], level: number, trend: number, seasonals: number[]}}
+ */
+function runSmoothing(values, alpha, beta, gamma, season) {
+  let level = values[0];
+  let trend = values.length > 1 ? values[1] - values[0] : 0;
+  let seasonals = [];
+  let start = 1;
+
+  if (season > 1) {
+    // Начальные значения: тренд по первым двум сезонам, сезонность - среднее отклонение
+    // от линии тренда по всем полным сезонам
+    const seasonCount = Math.floor(values.length / season);
+    const seasonMeans = Array.from({ length: seasonCount }, (_, k) => (
+      values.slice(k * season, (k + 1) * season).reduce((a, b) => a + b, 0) / season
+    ));
+    trend = (seasonMeans[1] - seasonMeans[0]) / season;
+    level = seasonMeans[0] + trend * (season - 1) / 2;
+    seasonals = Array.from({ length: season }, (_, i) => {
+      let sum = 0;
+      for (let k = 0; k < seasonCount; k++) {
+        const trendLine = seasonMeans[k] + trend * (i - (season - 1) / 2);
+        sum += values[k * season + i] - trendLine;
+      }
+      return sum / seasonCount;
+    });
+    start = season;
+  }
+
+  const errors = [];
+  for (let t = start; t < values.length; t++) {
+    const seasonal = season > 1 ? seasonals[t % season] : 0;
+    const predicted = level + trend + seasonal;
+    errors.push(values[t] - predicted);
+
+    const prevLevel = level;
+    level = alpha * (values[t] - seasonal) + (1 - alpha) * (level + trend);
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+    if (season > 1) {
+      seasonals[t % season] = gamma * (values[t] - level) + (1 - gamma) * seasonal;
+    }
+  }
+
+  return { errors, level, trend, seasonals, length: values.length };
+}
+
+/**
+ * Exponential smoothing with parameters chosen by grid search (min squared error)
+ */
+function forecastSmoothing(values, horizon, z, season) {
+  let best = null;
+  const gammas = season > 1 ? SMOOTHING_GRID : [0];
+  SMOOTHING_GRID.forEach(alpha => {
+    SMOOTHING_GRID.forEach(beta => {
+      gammas.forEach(gamma => {
+        const run = runSmoothing(values, alpha, beta, gamma, season);
+        const sse = run.errors.reduce((sum, e) => sum + e * e, 0);
+        if (!best || sse < best.sse) {
+          best = { ...run, sse };
+        }
+      });
+    });
+  });
+
+  const sigma = residualStd(best.errors);
+  return Array.from({ length: horizon }, (_, idx) => {
+    const h = idx + 1;
+    const seasonal = season > 1 ? best.seasonals[(best.length + idx) % season] : 0;
+    const value = best.level + h * best.trend + seasonal;
+    // Неопределенность растет с горизонтом
+    const margin = z * sigma * Math.sqrt(h);
+    return { value, lower: value - margin, upper: value + margin };
+  });
+}
+
+/**
+ * Seasonal naive: value of the same period in the last season
+ */
+function forecastSeasonalNaive(values, horizon, z, season) {
+  const lag = Math.min(season, values.length);
+  const errors = values.slice(lag).map((v, idx) => v - values[idx]);
+  const sigma = residualStd(errors);
+  return Array.from({ length: horizon }, (_, idx) => {
+    const value = values[values.length - lag + (idx % lag)];
+    const margin = z * sigma * Math.sqrt(Math.floor(idx / lag) + 1);
+    return { value, lower: value - margin, upper: value + margin };
+  });
+}
+
+function resolveMethod(method, length, season) {
+  if (method !== 'auto') {
+    return method;
+  }
+  if (season > 1 && length >= 2 * season) {
+    return 'holt-winters';
+  }
+  return length >= 4 ? 'exponential' : 'linear';
+}
+
+/**
+ * Forecast numeric series
+ * @param {number[]} values - series by period, missing periods (null) are interpolated
+ * @param {Object} options - { horizon, method, season, confidence }
+ * @returns {{method: string, points: Array<{value, lower, upper}>}}
+ */
+export function forecastSeries(values, { horizon = 3, method = 'auto', season = 1, confidence = 0.95 } = {}) {
+  const series = interpolateGaps(values);
+  if (values.filter(Number.isFinite).length < 2) {
+    throw new Error('Для прогноза нужно хотя бы два периода с данными');
+  }
+
+  const steps = Math.min(Math.max(1, horizon), MAX_HORIZON);
+  const z = zScore(confidence);
+  let resolved = resolveMethod(method, series.length, season);
+  if (resolved === 'holt-winters' && (season < 2 || series.length < 2 * season)) {
+    // Недостаточно данных для сезонности
+    resolved = 'exponential';
+  }
+
+  let points;
+  if (resolved === 'linear') {
+    points = forecastLinear(series, steps, z);
+  } else if (resolved === 'seasonal-naive') {
+    points = forecastSeasonalNaive(series, steps, z, Math.max(1, season));
+  } else {
+    points = forecastSmoothing(series, steps, z, resolved === 'holt-winters' ? season : 1);
+  }
+
+  return {
+    method: resolved,
+    points: points.map(p => ({ value: round(p.value), lower: round(p.lower), upper: round(p.upper) }))
+  };
+}
+
+/**
+ * Forecast of aggregated time series from dataset rows
+ * @param {Object[]} data
+ * @param {Object} options - { timeColumn, valueColumn, aggregation, bucket, horizon, method, confidence }
+ * @returns {{bucket: string, method: string, rows: Array<{period, actual, forecast, lower, upper}>}}
+ */
+export function buildForecast(data, options) {
+  const { timeColumn, valueColumn, aggregation = 'sum', horizon = 3, method = 'auto', confidence = 0.95 } = options;
+  const series = buildTimeSeries(data, {
+    timeColumn,
+    valueColumn,
+    aggregation,
+    bucket: options.bucket,
+    fillGaps: true
+  });
+  if (series.rows.length === 0) {
+    throw new Error(`В колонке ${timeColumn} нет распознанных дат`);
+  }
+
+  const values = series.rows.map(row => row[valueColumn]);
+  const result = forecastSeries(values, {
+    horizon,
+    method,
+    season: SEASON_LENGTHS[series.bucket],
+    confidence
+  });
+
+  const rows = series.rows.map(row => ({
+    period: row.period,
+    actual: row[valueColumn],
+    forecast: null,
+    lower: null,
+    upper: null
+  }));
+  // Прогноз начинается из последней фактической точки, чтобы линии соединялись
+  const last = rows[rows.length - 1];
+  last.forecast = last.actual;
+  last.lower = last.actual;
+  last.upper = last.actual;
+
+  let cursor = new Date(series.lastStart);
+  result.points.forEach(point => {
+    cursor = nextBucket(cursor, series.bucket);
+    rows.push({
+      period: bucketLabel(cursor, series.bucket),
+      actual: null,
+      forecast: point.value,
+      lower: point.lower,
+      upper: point.upper
+    });
+  });
+
+  return { bucket: series.bucket, method: result.method, rows };
+}
@@ -1,119 +1,214 @@
-import { google } from '@ai-sdk/google';
-import { generateText } from 'ai';
-
-// Initialize Gemini client - проверка API ключа
-// @ai-sdk/google использует GOOGLE_GENERATIVE_AI_API_KEY, но мы поддерживаем GEMINI_API_KEY для совместимости
-function validateApiKey() {
-  // Проверяем обе переменные для совместимости
-  const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_GENERATIVE_AI_API_KEY;
-  console.log('[Gemini] Проверка API ключа:', apiKey ? `Установлен (${apiKey.substring(0, 10)}...)` : 'НЕ УСТАНОВЛЕН!');
-  console.log('[Gemini] GEMINI_API_KEY:', process.env.GEMINI_API_KEY ? 'установлен' : 'не установлен');
-  console.log('[Gemini] GOOGLE_GENERATIVE_AI_API_KEY:', process.env.GOOGLE_GENERATIVE_AI_API_KEY ? 'установлен' : 'не установлен');
-  
-  if (!apiKey) {
-    throw new Error('GEMINI_API_KEY или GOOGLE_GENERATIVE_AI_API_KEY не установлен. Добавьте ключ в Environment Variables на Vercel');
-  }
-  
-  if (apiKey.length < 20) {
-    throw new Error('API ключ выглядит неверным (слишком короткий)');
-  }
-  
-  // Устанавливаем GOOGLE_GENERATIVE_AI_API_KEY если используется GEMINI_API_KEY
-  if (!process.env.GOOGLE_GENERATIVE_AI_API_KEY && process.env.GEMINI_API_KEY) {
-    process.env.GOOGLE_GENERATIVE_AI_API_KEY = process.env.GEMINI_API_KEY;
-    console.log('[Gemini] Установлен GOOGLE_GENERATIVE_AI_API_KEY из GEMINI_API_KEY');
-  }
-  
-  return apiKey;
-}
+import { generateText, streamText } from 'ai';
+import { getLanguageModel } from './llmProvider.js';
+import {
+  parseQueryPlan,
+  collectTableColumns,
+  PLAN_TYPES,
+  CHART_TYPES,
+  AGGREGATIONS,
+  STATISTIC_METRICS,
+  ANOMALY_METHODS,
+  TIME_BUCKETS,
+  GROWTH_TYPES,
+  FORECAST_METHODS,
+  CORRELATION_METHODS,
+  PIVOT_AGGREGATIONS,
+  FILTER_OPERATORS,
+  SORT_DIRECTIONS,
+  RELATIVE_UNITS,
+  MAX_REPAIR_ATTEMPTS
+} from './queryPlan.js';
+import { formatHistoryForPrompt } from './conversation.js';
+import { formatProfileForPrompt, formatColumnProfile } from './profiler.js';
 
 /**
  * Process natural language query and generate SQL or analysis
+ * options.tables - схема таблиц SQLite базы или листов книги Excel (для запросов к нескольким таблицам)
+ * options.profile - профиль основной таблицы (типы, диапазоны, частые значения по всему датасету)
+ * options.history - предыдущие ходы диалога [{ query, plan, summary }]
+ * options.onTextDelta - (delta, text) => void, включает потоковую генерацию ответа
  */
-export async function processNLQuery(query, dataSchema, sampleData) {
+export async function processNLQuery(query, dataSchema, sampleData, options = {}) {
   try {
     console.log('[Gemini] Начало processNLQuery');
     console.log('[Gemini] Query:', query);
     console.log('[Gemini] Schema length:', dataSchema?.length);
     console.log('[Gemini] Sample data length:', sampleData?.length);
     
-    // Validate API key
-    validateApiKey();
-    console.log('[Gemini] API ключ валиден');
-    
-    // Use gemini-2.5-flash - latest stable model supported by @ai-sdk/google
-    const model = google('models/gemini-2.5-flash');
-    console.log('[Gemini] Model создан: gemini-2.5-flash (via @ai-sdk/google)');
+    // Model of configured provider (LLM_PROVIDER)
+    const { model, label, modelId } = getLanguageModel();
+    console.log(`[Gemini] Model создан: ${modelId} (${label})`);
+
+    const tables = options.tables;
+    const schemaDescription = generateSchemaDescription(dataSchema, sampleData, tables, options.profile);
+    const sqlTarget = tables
+      ? `данные в таблицах ${tables.map(t => `"${t.name}"`).join(', ')}; для связанных таблиц используй JOIN по внешним ключам, для сравнения таблиц (например, листов книги Excel) - UNION ALL или подзапросы`
+      : 'данные в таблице "data"';
+    // Анализ без SQL (статистика, графики, прогнозы и т.д.) выполняется только по первой таблице
+    const sqlColumns = tables ? collectTableColumns(tables) : dataSchema;
+    const tablesNote = tables && tables.length > 1
+      ? `\nВсе типы, кроме sql, применяются только к первой таблице "${tables[0].name}" и используют только ее колонки (для type = "sql" допустимы колонки всех таблиц: ${sqlColumns.join(', ')}); для вопросов о других таблицах или нескольких таблицах сразу используй type = "sql".\n`
+      : '';
+    const history = options.history || [];
+    const historySection = history.length > 0
+      ? `История диалога (предыдущие вопросы, планы и результаты):
+${formatHistoryForPrompt(history)}
 
-    const schemaDescription = generateSchemaDescription(dataSchema, sampleData);
+Если новый вопрос уточняет предыдущий анализ (например, "теперь только для ..." или "то же самое по месяцам"), возьми за основу последний план и измени его.
+
+`
+      : '';
     
     const prompt = `Ты - эксперт по анализу данных. Пользователь задал вопрос на естественном языке о данных.
 
 Схема данных:
 ${schemaDescription}
 
-Вопрос пользователя: "${query}"
+${historySection}Вопрос пользователя: "${query}"
 
 Твоя задача:
 1. Понять, что хочет пользователь
 2. Предложить способ анализа данных
-3. Если нужен SQL запрос - сгенерируй его (данные в таблице "data")
+3. Если нужен SQL запрос - сгенерируй SELECT на диалекте SQLite (${sqlTarget}, имена колонок в двойных кавычках)
 4. Если нужна статистика - опиши какие метрики вычислить
 5. Если нужна визуализация - опиши тип графика и данные
 
-Верни JSON в формате:
+Допустимые колонки для xAxis и yAxis: ${(dataSchema || []).join(', ')}
+${tablesNote}
+Верни ровно один JSON объект без пояснений в формате:
 {
-  "type": "sql" | "statistics" | "visualization" | "text",
+  "type": ${PLAN_TYPES.map(t => `"${t}"`).join(' | ')},
   "sql": "SELECT ..." (если type = "sql"),
-  "statistics": ["mean", "median", "count"] (если type = "statistics"),
+  "filters": [
+    {"column": "column_name", "operator": ${FILTER_OPERATORS.map(o => `"${o}"`).join(' | ')}, "value": "значение"}
+  ] (необязательно, отбор строк до анализа для всех type, кроме sql),
+  "statistics": {
+    "metrics": ["mean", "std", "q1", "q3"] (допустимо: ${STATISTIC_METRICS.join(', ')}),
+    "columns": ["column_name"] (пустой список - все числовые колонки),
+    "percentiles": [90, 95] (необязательно),
+    "bins": 10 (число интервалов для histogram, необязательно)
+  } (если type = "statistics"),
+  "anomalies": {
+    "method": ${ANOMALY_METHODS.map(m => `"${m}"`).join(' | ')},
+    "columns": ["column_name"] (пустой список - все числовые колонки),
+    "threshold": 3 (необязательно),
+    "groupBy": "column_name" (необязательно, аномалии внутри каждой группы),
+    "timeColumn": "column_name" (обязательно для rolling),
+    "window": 7 (размер окна для rolling, необязательно)
+  } (если type = "anomalies"),
+  "forecast": {
+    "timeColumn": "column_name" (колонка с датой),
+    "valueColumn": "column_name" (прогнозируемая числовая колонка),
+    "horizon": 3 (на сколько периодов вперед),
+    "timeBucket": ${TIME_BUCKETS.map(b => `"${b}"`).join(' | ')} (необязательно),
+    "aggregation": "sum" (агрегация значений за период, необязательно),
+    "method": ${FORECAST_METHODS.map(m => `"${m}"`).join(' | ')} (по умолчанию auto),
+    "confidence": 0.95 (уровень доверительного интервала, необязательно)
+  } (если type = "forecast"),
+  "correlation": {
+    "method": ${CORRELATION_METHODS.map(m => `"${m}"`).join(' | ')} (по умолчанию pearson),
+    "columns": ["column_name"] (пустой список - все числовые колонки),
+    "target": "column_name" (необязательно, показатель, для которого ищем связанные колонки)
+  } (если type = "correlation"),
+  "regression": {
+    "target": "column_name" (зависимая числовая колонка),
+    "features": ["column_name"] (числовые признаки, одна колонка - простая регрессия)
+  } (если type = "regression"),
+  "pivot": {
+    "rows": ["column_name"] (измерения по строкам; дата с периодом: {"column": "date", "timeBucket": "month"}),
+    "columns": ["column_name"] (измерения, разворачиваемые в колонки, необязательно),
+    "measures": [{"column": "column_name", "aggregation": ${PIVOT_AGGREGATIONS.map(a => `"${a}"`).join(' | ')}, "percentile": 90 (только для percentile)}],
+    "subtotals": false (промежуточные итоги по строкам),
+    "totals": true (общие итоги)
+  } (если type = "pivot"),
   "visualization": {
-    "chartType": "line" | "bar" | "pie" | "scatter",
-    "xAxis": "column_name",
-    "yAxis": "column_name"
+    "chartType": ${CHART_TYPES.map(t => `"${t}"`).join(' | ')},
+    "xAxis": "column_name" (для histogram - числовая колонка, для boxplot - необязательная группировка),
+    "yAxis": "column_name" или ["column_1", "column_2"] (несколько мер - несколько рядов; для histogram не нужна),
+    "seriesBy": "column_name" (необязательно, разбить одну меру на ряды по значениям колонки; для heatmap - строки карты, для treemap - вложенный уровень),
+    "bins": 10 (число интервалов histogram, необязательно),
+    "stacked": true (необязательно, столбцы или области с накоплением),
+    "dualAxis": true (необязательно, вторая мера на правой оси; по умолчанию - если масштабы мер различаются),
+    "aggregation": ${AGGREGATIONS.map(a => `"${a}"`).join(' | ')} (обязательно, кроме scatter, histogram и boxplot),
+    "sort": {"by": "value" | "label", "direction": ${SORT_DIRECTIONS.map(d => `"${d}"`).join(' | ')}} (необязательно, сортировка категорий),
+    "limit": 10 (необязательно, top-N категорий после сортировки),
+    "timeBucket": ${TIME_BUCKETS.map(b => `"${b}"`).join(' | ')} (если xAxis - дата, необязательно),
+    "movingAverage": 3 (окно скользящего среднего, необязательно),
+    "growth": ${GROWTH_TYPES.map(g => `"${g}"`).join(' | ')} (рост к предыдущему периоду или к тому же периоду прошлого года, необязательно),
+    "cumulative": true (накопленный итог, необязательно)
   },
-  Примечание: 
-  - "pie" - для категориальных данных (показывает распределение)
-  - "scatter" - для корреляций между двумя числовыми колонками
-  - "line" - для временных рядов
-  - "bar" - для сравнения категорий
   "description": "Описание что будет сделано",
   "message": "Ответ пользователю"
-}`;
+}
+
+Примечание:
+- "pie" - для категориальных данных (показывает распределение)
+- "scatter" - для связи между двумя числовыми колонками (на график добавляется линия тренда)
+- "line" - для временных рядов: xAxis - колонка с датой, timeBucket - период группировки (по месяцам - "month"), точки сортируются по времени, пропущенные периоды заполняются
+- "bar" - для сравнения категорий; несколько мер в yAxis - сгруппированные столбцы ("продажи и выручка по категориям")
+- "area" - для накопленной динамики; со "stacked": true и seriesBy - вклад каждой группы в общий итог
+- "histogram" - распределение значений одной числовой колонки ("распределение продаж"): xAxis - эта колонка, интервалы считает сервер; не используй bar со средними по значениям
+- "boxplot" - разброс yAxis (медиана, квартили, выбросы), xAxis - категории для сравнения разброса между группами
+- "heatmap" - мера по двум измерениям: xAxis - колонки карты (категория или дата с timeBucket), seriesBy - строки карты; матрица корреляций - type = "correlation"
+- "funnel" - этапы по убыванию меры (xAxis - этап), "treemap" - доли в иерархии (xAxis - верхний уровень, seriesBy - вложенный); для них aggregation sum или count
+- aggregation указывай всегда по смыслу вопроса: "всего", "итого", "сумма", "выручка по ..." - sum; "средний" - mean; "сколько", "количество", "число" - count; "максимальный" - max; "минимальный" - min
+- Для "топ-5 категорий по выручке" используй sort {"by": "value", "direction": "desc"} и limit 5
+- Для прогнозов ("спрогнозируй выручку на 3 месяца") используй type = "forecast": horizon - число периодов, timeBucket - период ("month" для месяцев)
+- Для связи между показателями используй type = "correlation" (матрица корреляций, spearman - для нелинейных монотонных связей и данных с выбросами); на вопрос "что влияет на выручку?" - correlation с target или regression
+- Для оценки влияния признаков (коэффициенты, R²) используй type = "regression": target - что объясняем, features - числовые колонки-факторы
+- Для разрезов по нескольким измерениям ("выручка по категориям и месяцам", "сводная таблица") используй type = "pivot": первое измерение - rows, второе (обычно период) - columns; count без column - число строк
+- Фильтры ("продажи Electronics в марте", "за последние 30 дней") указывай в filters, они применяются до агрегации:
+  between - {"from": ..., "to": ...} для чисел и дат (месяц целиком: "from": "2024-03-01", "to": "2024-03-31"); in / not_in - {"values": [...]}; is_null / not_null - без value; regex - регулярное выражение в value;
+  last - последние N периодов {"amount": 30, "unit": "day"}; current_period / previous_period - текущий или прошлый календарный период {"unit": ${RELATIVE_UNITS.map(u => `"${u}"`).join(' | ')}};
+  для относительных дат "anchor": "data" считает от последней даты в данных (если данные исторические), по умолчанию - от сегодняшней даты;
+  условия массива объединяются через И, для ИЛИ и НЕ используй группы {"or": [...]}, {"not": {...}}, {"and": [...]}
+- Для поиска аномалий/выбросов используй type = "anomalies": iqr - по умолчанию и для асимметричных данных (выручка, цены), zscore - для нормально распределенных, mad - устойчивый к выбросам, rolling - для временных рядов (скачки относительно предыдущих значений)
+- Для статистики указывай только метрики и колонки, о которых спросил пользователь (std - стандартное отклонение, q1/q3 - квартили, iqr - межквартильный размах, histogram - распределение по интервалам)
+- Типы колонок: числа (integer, float, currency, percent) хранятся как числа, даты (date, datetime) - строки ISO "YYYY-MM-DD", boolean - 1/0; для агрегаций используй числовые колонки
+- Для условий в WHERE бери значения из частых значений колонки, диапазоны чисел и дат указаны в описании колонок`;
 
     console.log('[Gemini] Отправка промпта в модель...');
     console.log('[Gemini] Промпт длина:', prompt.length);
-    
-    const { text } = await generateText({
-      model: model,
-      prompt: prompt,
-    });
-    
-    console.log('[Gemini] Ответ получен от модели');
-    console.log('[Gemini] Текст ответа длина:', text.length);
-    console.log('[Gemini] Текст ответа (первые 500 символов):', text.substring(0, 500));
-
-    // Parse JSON from response
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      console.log('[Gemini] JSON найден в ответе');
-      try {
-        const parsed = JSON.parse(jsonMatch[0]);
-        console.log('[Gemini] JSON успешно распарсен:', parsed);
-        return parsed;
-      } catch (parseError) {
-        console.error('[Gemini] Ошибка парсинга JSON:', parseError);
-        console.error('[Gemini] JSON текст:', jsonMatch[0]);
-        throw new Error(`Ошибка парсинга JSON ответа: ${parseError.message}`);
+
+    const messages = [{ role: 'user', content: prompt }];
+
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+      const text = await generateResponse(model, messages, options.onTextDelta);
+
+      console.log('[Gemini] Ответ получен от модели');
+      console.log('[Gemini] Текст ответа длина:', text.length);
+      console.log('[Gemini] Текст ответа (первые 500 символов):', text.substring(0, 500));
+
+      const parsed = parseQueryPlan(text, dataSchema, sqlColumns);
+      if (parsed.success) {
+        console.log('[Gemini] План запроса прошел проверку:', parsed.plan);
+        return parsed.plan;
+      }
+
+      if (!parsed.hasJSON) {
+        console.log('[Gemini] JSON не найден, возвращаем текстовый ответ');
+        // Fallback if no JSON found
+        return {
+          type: 'text',
+          message: text,
+          description: 'Анализ выполнен'
+        };
       }
-    }
 
-    console.log('[Gemini] JSON не найден, возвращаем текстовый ответ');
-    // Fallback if no JSON found
-    return {
-      type: 'text',
-      message: text,
-      description: 'Анализ выполнен'
-    };
+      console.warn(`[Gemini] План не прошел проверку (попытка ${attempt + 1}):`, parsed.errors);
+      if (attempt === MAX_REPAIR_ATTEMPTS) {
+        throw new Error(`План запроса не прошел проверку после ${MAX_REPAIR_ATTEMPTS + 1} попыток:\n${parsed.errors.join('\n')}`);
+      }
+
+      // Repair round-trip: возвращаем модели ошибки проверки
+      messages.push(
+        { role: 'assistant', content: text },
+        {
+          role: 'user',
+          content: `Ответ не прошел проверку:\n${parsed.errors.join('\n')}\n\nИсправь ошибки и верни ровно один JSON объект в том же формате, без пояснений.`
+        }
+      );
+    }
   } catch (error) {
     console.error('[Gemini] КРИТИЧЕСКАЯ ОШИБКА:', error);
     console.error('[Gemini] Error name:', error.name);
@@ -125,26 +220,55 @@ ${schemaDescription}
     
     if (error.message.includes('API_KEY') || error.message.includes('api key') || error.message.includes('GEMINI_API_KEY')) {
       errorMessage = `GEMINI_API_KEY не установлен или неверный. Добавьте ключ в Environment Variables на Vercel.`;
+    } else if (error.message.includes('План запроса не прошел проверку')) {
+      errorMessage = error.message;
     } else if (error.message.includes('quota') || error.message.includes('limit')) {
-      errorMessage = `Превышен лимит запросов к Gemini API. Проверьте квоту.`;
-    } else if (error.message.includes('network') || error.message.includes('fetch')) {
-      errorMessage = `Ошибка сети при обращении к Gemini API: ${error.message}`;
+      errorMessage = `Превышен лимит запросов к LLM API. Проверьте квоту.`;
+    } else if (error.message.includes('network') || error.message.includes('fetch') || error.message.includes('ECONNREFUSED')) {
+      errorMessage = `Ошибка сети при обращении к LLM API: ${error.message}`;
     } else if (error.message.includes('404') || error.message.includes('not found')) {
-      errorMessage = `Модель не найдена. Проверьте название модели. Используется: gemini-2.5-flash`;
+      errorMessage = `Модель не найдена. Проверьте название модели (GEMINI_MODEL, OLLAMA_MODEL или LLM_MODEL)`;
     }
     
     throw new Error(errorMessage);
   }
 }
 
+/**
+ * Generate model response, streaming text deltas to callback if provided
+ */
+async function generateResponse(model, messages, onTextDelta) {
+  if (!onTextDelta) {
+    const { text } = await generateText({
+      model: model,
+      messages: messages,
+    });
+    return text;
+  }
+
+  const result = streamText({
+    model: model,
+    messages: messages,
+  });
+
+  let text = '';
+  for await (const part of result.fullStream) {
+    if (part.type === 'text-delta') {
+      text += part.textDelta;
+      onTextDelta(part.textDelta, text);
+    } else if (part.type === 'error') {
+      throw part.error instanceof Error ? part.error : new Error(String(part.error));
+    }
+  }
+  return text;
+}
+
 /**
  * Generate data analysis summary
  */
 export async function generateDataSummary(data, columns) {
   try {
-    validateApiKey();
-    
-    const model = google('models/gemini-2.5-flash');
+    const { model } = getLanguageModel();
 
     const sampleRows = data.slice(0, 10).map(row => 
       Object.values(row).join(', ')
@@ -174,8 +298,17 @@ ${sampleRows}
 
 /**
  * Generate schema description for prompts
+ * With dataset profile columns are described by statistics over the full dataset
  */
-function generateSchemaDescription(schema, sampleData) {
+function generateSchemaDescription(schema, sampleData, tables = null, profile = null) {
+  if (tables) {
+    return generateTablesDescription(tables);
+  }
+
+  if (profile) {
+    return formatProfileForPrompt(profile);
+  }
+
   if (!schema || schema.length === 0) {
     return 'Нет данных';
   }
@@ -189,3 +322,37 @@ function generateSchemaDescription(schema, sampleData) {
   description += `\nВсего строк: ${sampleData.length}`;
   return description;
 }
+
+/**
+ * Generate multi-table schema description (SQLite database, Excel workbook) for prompts
+ */
+function generateTablesDescription(tables) {
+  if (!tables || tables.length === 0) {
+    return 'Нет данных';
+  }
+
+  let description = 'Таблицы:\n';
+  tables.forEach(table => {
+    description += `\nТаблица "${table.name}" (${table.profile?.rowCount ?? table.rows} строк):\n`;
+    const columnSchema = table.columnSchema || table.columnNames.map(name => ({ name }));
+    columnSchema.forEach(col => {
+      const flags = [
+        col.type ? `SQL ${col.type}` : null,
+        col.primaryKey ? 'PRIMARY KEY' : null,
+        col.notNull ? 'NOT NULL' : null
+      ].filter(Boolean).join(' ');
+      const columnProfile = table.profile?.columns[col.name];
+      if (columnProfile) {
+        description += `${formatColumnProfile(col.name, columnProfile)}${flags ? `; ${flags}` : ''}\n`;
+      } else {
+        const sampleValue = table.sample?.[0]?.[col.name] ?? 'N/A';
+        description += `- ${col.name}: ${flags || 'ANY'}, пример значения "${sampleValue}"\n`;
+      }
+    });
+    (table.foreignKeys || []).forEach(fk => {
+      description += `- Внешний ключ: "${table.name}"."${fk.column}" -> "${fk.refTable}"."${fk.refColumn}"\n`;
+    });
+  });
+
+  return description;
+}
@@ -0,0 +1,237 @@
+import { google } from '@ai-sdk/google';
+import { createOpenAICompatible } from '@ai-sdk/openai-compatible';
+import { simulateReadableStream } from 'ai';
+import llmResponses, { defaultLLMResponse, defaultLLMText } from '../mock-data/llmResponses.js';
+
+/**
+ * LLM provider layer
+ *
+ * Провайдер выбирается переменной окружения LLM_PROVIDER:
+ * - gemini (по умолчанию): GEMINI_API_KEY, GEMINI_MODEL
+ * - ollama: OLLAMA_BASE_URL, OLLAMA_MODEL
+ * - openai-compatible: LLM_BASE_URL, LLM_MODEL, LLM_API_KEY
+ * - mock: детерминированные ответы из src/mock-data/llmResponses.js
+ */
+
+export const DEFAULT_PROVIDER = 'gemini';
+
+// Canned responses for the mock provider (can be replaced in tests)
+let mockResponses = llmResponses;
+
+/**
+ * Replace canned responses of the mock provider
+ */
+export function setMockResponses(responses) {
+  mockResponses = responses || llmResponses;
+}
+
+// Initialize Gemini client - проверка API ключа
+// @ai-sdk/google использует GOOGLE_GENERATIVE_AI_API_KEY, но мы поддерживаем GEMINI_API_KEY для совместимости
+function validateGeminiApiKey() {
+  // Проверяем обе переменные для совместимости
+  const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_GENERATIVE_AI_API_KEY;
+  console.log('[LLM] Проверка API ключа:', apiKey ? 'Установлен' : 'НЕ УСТАНОВЛЕН!');
+  console.log('[LLM] GEMINI_API_KEY:', process.env.GEMINI_API_KEY ? 'установлен' : 'не установлен');
+  console.log('[LLM] GOOGLE_GENERATIVE_AI_API_KEY:', process.env.GOOGLE_GENERATIVE_AI_API_KEY ? 'установлен' : 'не установлен');
+
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY или GOOGLE_GENERATIVE_AI_API_KEY не установлен. Добавьте ключ в Environment Variables на Vercel');
+  }
+
+  if (apiKey.length < 20) {
+    throw new Error('API ключ выглядит неверным (слишком короткий)');
+  }
+
+  // Устанавливаем GOOGLE_GENERATIVE_AI_API_KEY если используется GEMINI_API_KEY
+  if (!process.env.GOOGLE_GENERATIVE_AI_API_KEY && process.env.GEMINI_API_KEY) {
+    process.env.GOOGLE_GENERATIVE_AI_API_KEY = process.env.GEMINI_API_KEY;
+    console.log('[LLM] Установлен GOOGLE_GENERATIVE_AI_API_KEY из GEMINI_API_KEY');
+  }
+
+  return apiKey;
+}
+
+/**
+ * Extract plain text from language model prompt (array of messages)
+ */
+function promptToText(prompt) {
+  return prompt
+    .map(message => (typeof message.content === 'string'
+      ? message.content
+      : message.content.filter(part => part.type === 'text').map(part => part.text).join('\n')))
+    .join('\n');
+}
+
+/**
+ * Pick canned response for prompt
+ */
+function getMockResponseText(prompt) {
+  const promptText = promptToText(prompt);
+  const questionMatch = promptText.match(/Вопрос пользователя: "([\s\S]*?)"\n/);
+  if (!questionMatch) {
+    return defaultLLMText;
+  }
+
+  const question = questionMatch[1];
+  const entry = mockResponses.find(item => item.pattern.test(question));
+  const response = entry ? entry.response : defaultLLMResponse;
+  return typeof response === 'string' ? response : JSON.stringify(response);
+}
+
+/**
+ * Create deterministic mock language model
+ * Plain object implementing LanguageModelV1, so test utilities of the SDK are not bundled into the server
+ */
+function createMockModel() {
+  const usage = { promptTokens: 0, completionTokens: 0 };
+
+  return {
+    specificationVersion: 'v1',
+    provider: 'mock',
+    modelId: 'mock-model',
+    defaultObjectGenerationMode: undefined,
+    doGenerate: async ({ prompt }) => ({
+      text: getMockResponseText(prompt),
+      finishReason: 'stop',
+      usage,
+      rawCall: { rawPrompt: prompt, rawSettings: {} }
+    }),
+    doStream: async ({ prompt }) => {
+      const text = getMockResponseText(prompt);
+      // Разбиваем ответ на слова, чтобы имитировать потоковую генерацию
+      const deltas = text.match(/\S+\s*/g) || [text];
+      return {
+        stream: simulateReadableStream({
+          chunks: [
+            ...deltas.map(textDelta => ({ type: 'text-delta', textDelta })),
+            { type: 'finish', finishReason: 'stop', usage }
+          ]
+        }),
+        rawCall: { rawPrompt: prompt, rawSettings: {} }
+      };
+    }
+  };
+}
+
+// Адреса loopback и частных сетей (RFC 1918, link-local, IPv6 ULA)
+const PRIVATE_HOST_PATTERNS = [
+  /^localhost$/,
+  /\.localhost$/,
+  /\.local$/,
+  /\.internal$/,
+  /^127\./,
+  /^10\./,
+  /^172\.(1[6-9]|2\d|3[01])\./,
+  /^192\.168\./,
+  /^169\.254\./,
+  /^::1$/,
+  /^f[cd][0-9a-f]{2}:/,
+  /^fe80:/
+];
+
+/**
+ * Whether base URL of LLM server points to this machine or private network
+ * Host without dots (docker service name, machine name in LAN) is treated as local
+ */
+export function isPrivateUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  } catch {
+    return false;
+  }
+  if (!hostname.includes('.') && !hostname.includes(':')) {
+    return true;
+  }
+  return PRIVATE_HOST_PATTERNS.some(pattern => pattern.test(hostname));
+}
+
+function getOllamaBaseUrl() {
+  return process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1';
+}
+
+const PROVIDERS = {
+  gemini: {
+    label: 'Gemini',
+    isLocal: () => false,
+    getModelId: () => process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+    createModel: (modelId) => {
+      validateGeminiApiKey();
+      return google(`models/${modelId}`);
+    }
+  },
+  ollama: {
+    label: 'Ollama',
+    isLocal: () => isPrivateUrl(getOllamaBaseUrl()),
+    getModelId: () => process.env.OLLAMA_MODEL || 'llama3.1',
+    createModel: (modelId) => {
+      // Ollama предоставляет OpenAI-совместимый API
+      const ollama = createOpenAICompatible({
+        name: 'ollama',
+        baseURL: getOllamaBaseUrl()
+      });
+      return ollama(modelId);
+    }
+  },
+  'openai-compatible': {
+    label: 'OpenAI-compatible',
+    // Сервер может быть как в локальной сети, так и внешним API - определяем по адресу
+    isLocal: () => Boolean(process.env.LLM_BASE_URL) && isPrivateUrl(process.env.LLM_BASE_URL),
+    getModelId: () => process.env.LLM_MODEL,
+    createModel: (modelId) => {
+      if (!process.env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL не установлен. Укажите адрес OpenAI-совместимого сервера');
+      }
+      if (!modelId) {
+        throw new Error('LLM_MODEL не установлен. Укажите название модели');
+      }
+      const provider = createOpenAICompatible({
+        name: 'openai-compatible',
+        baseURL: process.env.LLM_BASE_URL,
+        apiKey: process.env.LLM_API_KEY
+      });
+      return provider(modelId);
+    }
+  },
+  mock: {
+    label: 'Mock',
+    isLocal: () => true,
+    getModelId: () => 'mock-model',
+    createModel: () => createMockModel()
+  }
+};
+
+/**
+ * Get configured provider name
+ */
+export function getProviderName() {
+  return (process.env.LLM_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+}
+
+/**
+ * Get provider info without creating a model (for logs and UI)
+ */
+export function getProviderInfo() {
+  const name = getProviderName();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Неизвестный LLM провайдер: ${name}. Доступные: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return {
+    name,
+    label: provider.label,
+    modelId: provider.getModelId(),
+    isLocal: provider.isLocal()
+  };
+}
+
+/**
+ * Create language model of configured provider
+ * @returns {{name: string, label: string, modelId: string, isLocal: boolean, model: Object}}
+ */
+export function getLanguageModel() {
+  const info = getProviderInfo();
+  const model = PROVIDERS[info.name].createModel(info.modelId);
+  console.log(`[LLM] Провайдер: ${info.label}, модель: ${info.modelId}`);
+  return { ...info, model };
+}
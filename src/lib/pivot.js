@@ -0,0 +1,243 @@
+import { mean, percentile } from './statistics.js';
+import { parseLocaleDate } from './typeInference.js';
+import { bucketStart, bucketLabel } from './timeSeries.js';
+
+/**
+ * Pivot tables: several group-by keys on rows and columns, several measures,
+ * subtotals and grand totals
+ */
+
+export const PIVOT_AGGREGATIONS = ['sum', 'mean', 'count', 'count_distinct', 'min', 'max', 'median', 'percentile'];
+
+// Ограничение числа колонок сводной таблицы (комбинаций значений колонок-измерений)
+export const MAX_PIVOT_COLUMNS = 50;
+
+export const TOTAL_LABEL = 'Итого';
+const NULL_LABEL = 'null';
+
+const round = (value) => (Number.isFinite(value) ? Math.round(value * 100) / 100 : null);
+
+/**
+ * Dimension from plan: column name or { column, timeBucket }
+ */
+function normalizeDimension(dimension) {
+  const { column, timeBucket } = typeof dimension === 'string' ? { column: dimension } : dimension;
+  return { column, timeBucket, label: timeBucket ? `${column} (${timeBucket})` : column };
+}
+
+function dimensionValue(row, dimension) {
+  const value = row[dimension.column];
+  if (value === null || value === undefined || value === '') {
+    return NULL_LABEL;
+  }
+  if (dimension.timeBucket) {
+    const parsed = parseLocaleDate(value instanceof Date ? value : String(value));
+    return parsed ? bucketLabel(bucketStart(parsed.date, dimension.timeBucket), dimension.timeBucket) : NULL_LABEL;
+  }
+  return String(value);
+}
+
+/**
+ * Column header of measure: sum(revenue), p90(price), count
+ */
+export function measureLabel(measure) {
+  const name = measure.aggregation === 'percentile' ? `p${measure.percentile}` : measure.aggregation;
+  return measure.column ? `${name}(${measure.column})` : name;
+}
+
+/**
+ * Aggregate rows for one measure
+ */
+export function aggregateMeasure(rows, measure) {
+  if (measure.aggregation === 'count') {
+    // count без колонки - число строк, с колонкой - число непустых значений
+    return measure.column
+      ? rows.filter(row => row[measure.column] !== null && row[measure.column] !== undefined && row[measure.column] !== '').length
+      : rows.length;
+  }
+  if (measure.aggregation === 'count_distinct') {
+    return new Set(rows.map(row => row[measure.column]).filter(value => value !== null && value !== undefined && value !== '')).size;
+  }
+
+  const values = [];
+  rows.forEach(row => {
+    const value = typeof row[measure.column] === 'number' ? row[measure.column] : parseFloat(row[measure.column]);
+    if (Number.isFinite(value)) {
+      values.push(value);
+    }
+  });
+  if (values.length === 0) {
+    return null;
+  }
+
+  switch (measure.aggregation) {
+    case 'sum':
+      return round(values.reduce((a, b) => a + b, 0));
+    case 'mean':
+      return round(mean(values));
+    case 'min':
+      return values.reduce((a, b) => Math.min(a, b));
+    case 'max':
+      return values.reduce((a, b) => Math.max(a, b));
+    case 'median':
+      return round(percentile(values.sort((a, b) => a - b), 50));
+    case 'percentile':
+      return round(percentile(values.sort((a, b) => a - b), measure.percentile ?? 50));
+    default:
+      throw new Error(`Неизвестная агрегация: ${measure.aggregation}`);
+  }
+}
+
+/**
+ * Natural order of keys: numbers numerically, strings alphabetically, null last
+ */
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue;
+    if (a[i] === NULL_LABEL) return 1;
+    if (b[i] === NULL_LABEL) return -1;
+    const numA = Number(a[i]);
+    const numB = Number(b[i]);
+    if (a[i] !== '' && b[i] !== '' && Number.isFinite(numA) && Number.isFinite(numB)) {
+      return numA - numB;
+    }
+    return a[i].localeCompare(b[i]);
+  }
+  return 0;
+}
+
+/**
+ * Group rows by values of dimensions
+ * @returns {Map<string, {keys: string[], rows: Object[]}>}
+ */
+function groupByDimensions(data, dimensions) {
+  const groups = new Map();
+  data.forEach(row => {
+    const keys = dimensions.map(dimension => dimensionValue(row, dimension));
+    const id = JSON.stringify(keys);
+    if (!groups.has(id)) {
+      groups.set(id, { keys, rows: [] });
+    }
+    groups.get(id).rows.push(row);
+  });
+  return groups;
+}
+
+/**
+ * Build pivot table
+ * @param {Object[]} data - rows
+ * @param {Object} options
+ *   rows - dimensions on rows (column or { column, timeBucket }),
+ *   columns - dimensions pivoted into columns,
+ *   measures - [{ column, aggregation, percentile }],
+ *   subtotals - subtotal rows for each level of row dimensions except the last,
+ *   totals - grand total row and total columns (true by default)
+ * @returns {{table: Object[], pivot: Object}} table - flat rows for DataTable and export,
+ *   pivot - cross-tab layout: row dimensions, value columns with header path, row types (data | subtotal | total)
+ */
+export function buildPivot(data, { rows = [], columns = [], measures = [], subtotals = false, totals = true } = {}) {
+  if (rows.length === 0 && columns.length === 0) {
+    throw new Error('Для сводной таблицы нужно хотя бы одно измерение');
+  }
+  if (measures.length === 0) {
+    throw new Error('Для сводной таблицы нужна хотя бы одна мера');
+  }
+
+  const rowDimensions = rows.map(normalizeDimension);
+  const columnDimensions = columns.map(normalizeDimension);
+  const labels = measures.map(measureLabel);
+
+  // Комбинации значений колонок-измерений
+  let columnKeys = [...groupByDimensions(data, columnDimensions).values()]
+    .map(group => group.keys)
+    .sort(compareKeys);
+  const truncatedColumns = columnKeys.length > MAX_PIVOT_COLUMNS;
+  columnKeys = columnKeys.slice(0, MAX_PIVOT_COLUMNS);
+
+  // Колонки значений: путь заголовка [значения измерений..., мера]
+  const valueColumns = [];
+  columnKeys.forEach(keys => {
+    measures.forEach((measure, idx) => {
+      const path = [...keys, labels[idx]];
+      valueColumns.push({ key: path.join(' | '), path, columnKeys: keys, measure });
+    });
+  });
+  if (columnDimensions.length > 0 && totals) {
+    measures.forEach((measure, idx) => {
+      const path = [...columnDimensions.map((_, level) => (level === 0 ? TOTAL_LABEL : '')), labels[idx]];
+      valueColumns.push({ key: `${TOTAL_LABEL} | ${labels[idx]}`, path, columnKeys: null, measure });
+    });
+  }
+
+  const columnIndex = (row) => JSON.stringify(columnDimensions.map(dimension => dimensionValue(row, dimension)));
+
+  // Строка сводной таблицы для набора исходных строк
+  const buildRow = (rowKeys, sourceRows) => {
+    const result = {};
+    rowDimensions.forEach((dimension, idx) => {
+      result[dimension.label] = rowKeys[idx];
+    });
+    const byColumn = columnDimensions.length > 0 ? new Map() : null;
+    if (byColumn) {
+      sourceRows.forEach(row => {
+        const id = columnIndex(row);
+        if (!byColumn.has(id)) {
+          byColumn.set(id, []);
+        }
+        byColumn.get(id).push(row);
+      });
+    }
+    valueColumns.forEach(valueColumn => {
+      const cellRows = valueColumn.columnKeys && byColumn
+        ? byColumn.get(JSON.stringify(valueColumn.columnKeys)) || []
+        : sourceRows;
+      result[valueColumn.key] = cellRows.length > 0 ? aggregateMeasure(cellRows, valueColumn.measure) : null;
+    });
+    return result;
+  };
+
+  const table = [];
+  const rowTypes = [];
+  const rowGroups = [...groupByDimensions(data, rowDimensions).values()].sort((a, b) => compareKeys(a.keys, b.keys));
+
+  rowGroups.forEach((group, idx) => {
+    table.push(buildRow(group.keys, group.rows));
+    rowTypes.push('data');
+
+    if (subtotals && rowDimensions.length > 1) {
+      // Промежуточные итоги закрываются, когда меняется префикс ключей (от глубоких уровней к верхним)
+      const next = rowGroups[idx + 1];
+      for (let level = rowDimensions.length - 1; level >= 1; level--) {
+        const prefix = group.keys.slice(0, level);
+        if (next && JSON.stringify(next.keys.slice(0, level)) === JSON.stringify(prefix)) {
+          continue;
+        }
+        const prefixRows = rowGroups
+          .filter(other => JSON.stringify(other.keys.slice(0, level)) === JSON.stringify(prefix))
+          .flatMap(other => other.rows);
+        const keys = rowDimensions.map((_, dimIdx) => (
+          dimIdx < level ? prefix[dimIdx] : dimIdx === level ? TOTAL_LABEL : ''
+        ));
+        table.push(buildRow(keys, prefixRows));
+        rowTypes.push('subtotal');
+      }
+    }
+  });
+
+  if (totals && rowDimensions.length > 0) {
+    table.push(buildRow(rowDimensions.map((_, idx) => (idx === 0 ? TOTAL_LABEL : '')), data));
+    rowTypes.push('total');
+  }
+
+  return {
+    table,
+    pivot: {
+      rows: rowDimensions.map(dimension => dimension.label),
+      columns: columnDimensions.map(dimension => dimension.label),
+      measures: labels,
+      valueColumns: valueColumns.map(({ key, path, columnKeys }) => ({ key, path, total: columnKeys === null })),
+      rowTypes,
+      truncatedColumns
+    }
+  };
+}
@@ -0,0 +1,198 @@
+import { isEmptyValue, isNumericType, coerceValue, parseLocaleDate, TEMPORAL_TYPES } from './typeInference.js';
+import { histogram } from './statistics.js';
+
+/**
+ * Dataset profiling: per-column statistics over the full dataset for LLM prompts and data overview
+ *
+ * Профиль считается при загрузке, хранится вместе с датасетом и пересчитывается только
+ * для колонок, тип которых исправил пользователь
+ */
+
+// Сколько самых частых значений показываем для категорий
+const TOP_VALUES = 5;
+// Колонки с большим числом значений считаем свободным текстом, топ не показываем
+const MAX_TOP_DISTINCT_RATIO = 0.5;
+const MAX_VALUE_LENGTH = 40;
+// Столбиков в мини-гистограмме числовых колонок и дат
+export const PROFILE_BINS = 12;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function truncateValue(value) {
+  const str = String(value);
+  return str.length > MAX_VALUE_LENGTH ? `${str.substring(0, MAX_VALUE_LENGTH)}…` : str;
+}
+
+// Дата в виде значения колонки: 2024-01-31 или 2024-01-31 10:00:00
+function formatTimestamp(timestamp, type) {
+  const iso = new Date(timestamp).toISOString();
+  return type === 'date' ? iso.substring(0, 10) : iso.substring(0, 19).replace('T', ' ');
+}
+
+/**
+ * Equal-width bins of numeric values or dates (bounds of date bins in column format)
+ */
+function profileHistogram(values, type) {
+  const bins = histogram(values, PROFILE_BINS);
+  if (!TEMPORAL_TYPES.includes(type)) {
+    return bins;
+  }
+  return bins.map(bin => ({ from: formatTimestamp(bin.from, type), to: formatTimestamp(bin.to, type), count: bin.count }));
+}
+
+/**
+ * Profile one column (raw values are coerced to column type on the fly)
+ */
+export function profileColumn(data, column, type = 'text') {
+  const counts = new Map();
+  const distribution = [];
+  const numeric = isNumericType(type);
+  const temporal = TEMPORAL_TYPES.includes(type);
+  let nullCount = 0;
+  let min = null;
+  let max = null;
+  let sum = 0;
+
+  data.forEach(row => {
+    const value = coerceValue(row[column], type);
+    if (isEmptyValue(value)) {
+      nullCount++;
+      return;
+    }
+
+    const key = typeof value === 'string' ? value : String(value);
+    counts.set(key, (counts.get(key) || 0) + 1);
+
+    if (numeric) {
+      sum += value;
+      distribution.push(value);
+    } else if (temporal) {
+      distribution.push(parseLocaleDate(value).date.getTime());
+    }
+    if (min === null || value < min) {
+      min = value;
+    }
+    if (max === null || value > max) {
+      max = value;
+    }
+  });
+
+  const total = data.length;
+  const profile = {
+    type,
+    nullCount,
+    nullRate: total > 0 ? round(nullCount / total * 100) : 0,
+    distinct: counts.size
+  };
+
+  if (numeric) {
+    profile.min = min;
+    profile.max = max;
+    profile.mean = distribution.length > 0 ? round(sum / distribution.length) : null;
+  } else if (temporal) {
+    profile.dateRange = { min, max };
+  } else if (counts.size > 0 && counts.size <= Math.max(TOP_VALUES, (total - nullCount) * MAX_TOP_DISTINCT_RATIO)) {
+    profile.top = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_VALUES)
+      .map(([value, count]) => ({ value, count }));
+  } else if (counts.size > 0) {
+    profile.example = truncateValue(counts.keys().next().value);
+  }
+  if (distribution.length > 0) {
+    profile.histogram = profileHistogram(distribution, type);
+  }
+
+  return profile;
+}
+
+/**
+ * Count rows that repeat an earlier row in all columns
+ */
+export function countDuplicateRows(data, columns) {
+  const seen = new Set();
+  let duplicates = 0;
+  data.forEach(row => {
+    const key = JSON.stringify(columns.map(column => row[column] ?? null));
+    if (seen.has(key)) {
+      duplicates++;
+    } else {
+      seen.add(key);
+    }
+  });
+  return duplicates;
+}
+
+/**
+ * Profile dataset
+ * @param {Object[]} data - rows, raw or coerced to schema types
+ * @param {string[]} columns
+ * @param {Object} schema - { column: { type } } from type inference
+ * @returns {{rowCount: number, duplicateRows: number, columns: Object}}
+ */
+export function profileDataset(data, columns, schema = {}) {
+  const rows = data || [];
+  const profile = { rowCount: rows.length, duplicateRows: countDuplicateRows(rows, columns || []), columns: {} };
+  (columns || []).forEach(column => {
+    profile.columns[column] = profileColumn(rows, column, schema[column]?.type);
+  });
+  return profile;
+}
+
+/**
+ * Stored profile for schema with user overrides: columns whose type changed are profiled again
+ * Без сохраненного профиля (старые датасеты) профиль считается целиком
+ */
+export function refreshProfile(profile, data, columns, schema = {}) {
+  if (!profile?.columns) {
+    return profileDataset(data, columns, schema);
+  }
+  const refreshed = { ...profile, columns: { ...profile.columns } };
+  (columns || []).forEach(column => {
+    const type = schema[column]?.type || 'text';
+    if (refreshed.columns[column]?.type !== type) {
+      refreshed.columns[column] = profileColumn(data || [], column, type);
+    }
+  });
+  return refreshed;
+}
+
+/**
+ * Compact one-line description of column profile for prompts
+ */
+export function formatColumnProfile(column, profile) {
+  const parts = [`${profile.type}`];
+
+  if (profile.min !== undefined && profile.min !== null) {
+    parts.push(`min ${profile.min}, max ${profile.max}, среднее ${profile.mean}`);
+  }
+  if (profile.dateRange?.min) {
+    parts.push(`с ${profile.dateRange.min} по ${profile.dateRange.max}`);
+  }
+  parts.push(`уникальных ${profile.distinct}`);
+  if (profile.top) {
+    parts.push(`частые: ${profile.top.map(item => `"${truncateValue(item.value)}" (${item.count})`).join(', ')}`);
+  } else if (profile.example !== undefined) {
+    parts.push(`пример "${profile.example}"`);
+  }
+  if (profile.nullCount > 0) {
+    parts.push(`пропуски ${profile.nullRate}%`);
+  }
+
+  return `- ${column}: ${parts.join('; ')}`;
+}
+
+/**
+ * Dataset profile as compact text block for prompts
+ */
+export function formatProfileForPrompt(profile) {
+  if (!profile || Object.keys(profile.columns).length === 0) {
+    return 'Нет данных';
+  }
+
+  const lines = Object.entries(profile.columns).map(([column, columnProfile]) => (
+    formatColumnProfile(column, columnProfile)
+  ));
+  const duplicates = profile.duplicateRows > 0 ? `, из них полных дубликатов: ${profile.duplicateRows}` : '';
+  return `Колонки:\n${lines.join('\n')}\n\nВсего строк: ${profile.rowCount}${duplicates}`;
+}
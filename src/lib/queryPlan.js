@@ -0,0 +1,403 @@
+import { z } from 'zod';
+import { STATISTIC_METRICS } from './statistics.js';
+import { ANOMALY_METHODS } from './anomalies.js';
+import { TIME_BUCKETS, GROWTH_TYPES } from './timeSeries.js';
+import { FORECAST_METHODS, MAX_HORIZON } from './forecasting.js';
+import { CORRELATION_METHODS } from './correlation.js';
+import { PIVOT_AGGREGATIONS } from './pivot.js';
+import { SORT_DIRECTIONS } from './dataProcessor.js';
+import { FILTER_OPERATORS, RELATIVE_UNITS, DATE_ANCHORS, validateCondition } from './filters.js';
+
+/**
+ * Query plan returned by LLM: schema, extraction and validation
+ */
+
+export const PLAN_TYPES = ['sql', 'statistics', 'anomalies', 'forecast', 'correlation', 'regression', 'pivot', 'visualization', 'text'];
+export const CHART_TYPES = ['line', 'bar', 'area', 'pie', 'scatter', 'histogram', 'boxplot', 'heatmap', 'funnel', 'treemap'];
+export const AGGREGATIONS = ['sum', 'mean', 'count', 'min', 'max'];
+// Графики распределения строятся по исходным значениям, без агрегации
+const RAW_VALUE_CHARTS = ['scatter', 'histogram', 'boxplot'];
+export { STATISTIC_METRICS, ANOMALY_METHODS, TIME_BUCKETS, GROWTH_TYPES, FORECAST_METHODS, CORRELATION_METHODS, PIVOT_AGGREGATIONS, FILTER_OPERATORS, RELATIVE_UNITS, SORT_DIRECTIONS };
+
+// Сколько раз просим модель исправить невалидный план
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Enum with readable error message listing allowed values
+ */
+function enumOf(values, label) {
+  return z.enum(values, {
+    errorMap: () => ({ message: `${label}, допустимые значения: ${values.join(', ')}` })
+  });
+}
+
+/**
+ * Build query plan schema with column references constrained to dataset columns
+ * @param {string[]} columns - columns of uploaded dataset
+ */
+export function createQueryPlanSchema(columns = []) {
+  const column = columns.length > 0
+    ? enumOf(columns, 'Неизвестная колонка')
+    : z.string();
+
+  // Измерение сводной таблицы: колонка или дата с периодом группировки
+  const dimension = z.union([
+    column,
+    z.object({
+      column,
+      timeBucket: enumOf(TIME_BUCKETS, 'Неизвестный период группировки').optional()
+    })
+  ]);
+
+  // Условие фильтра и группы and/or/not; массив условий объединяется через and
+  const scalar = z.union([z.string(), z.number(), z.boolean()]);
+  const filterCondition = z.object({
+    column,
+    operator: enumOf(FILTER_OPERATORS, 'Неизвестный оператор фильтра'),
+    value: z.union([scalar, z.array(scalar)]).optional(),
+    values: z.array(scalar).optional(),
+    from: scalar.optional(),
+    to: scalar.optional(),
+    amount: z.number().int().positive().optional(),
+    unit: enumOf(RELATIVE_UNITS, 'Неизвестная единица периода').optional(),
+    anchor: enumOf(DATE_ANCHORS, 'Неизвестная точка отсчета').optional(),
+    caseSensitive: z.boolean().optional()
+  }).superRefine((condition, ctx) => {
+    const error = validateCondition(condition);
+    if (error) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: error });
+    }
+  });
+  const filterExpression = z.lazy(() => z.union([
+    z.object({ and: z.array(filterExpression).min(1) }).strict(),
+    z.object({ or: z.array(filterExpression).min(1) }).strict(),
+    z.object({ not: filterExpression }).strict(),
+    filterCondition
+  ]));
+  const filters = z.union([z.array(filterExpression), filterExpression]);
+
+  return z.object({
+    type: enumOf(PLAN_TYPES, 'Неизвестный тип ответа'),
+    sql: z.string().optional(),
+    // Отбор строк до анализа (для всех типов, кроме sql)
+    filters: filters.optional(),
+    // Старый формат - просто список метрик: ["mean", "median"]
+    statistics: z.preprocess(
+      value => (Array.isArray(value) ? { metrics: value } : value),
+      z.object({
+        metrics: z.array(enumOf(STATISTIC_METRICS, 'Неизвестная метрика')).default([]),
+        columns: z.array(column).default([]),
+        percentiles: z.array(z.number().min(0).max(100)).default([]),
+        bins: z.number().int().min(1).max(50).optional()
+      })
+    ).optional(),
+    anomalies: z.object({
+      method: enumOf(ANOMALY_METHODS, 'Неизвестный метод поиска аномалий').default('iqr'),
+      columns: z.array(column).default([]),
+      threshold: z.number().positive().optional(),
+      groupBy: column.optional(),
+      timeColumn: column.optional(),
+      window: z.number().int().min(2).max(365).optional()
+    }).optional(),
+    forecast: z.object({
+      timeColumn: column,
+      valueColumn: column,
+      horizon: z.number().int().min(1).max(MAX_HORIZON).default(3),
+      timeBucket: enumOf(TIME_BUCKETS, 'Неизвестный период группировки').optional(),
+      aggregation: enumOf(AGGREGATIONS, 'Неизвестная агрегация').optional(),
+      method: enumOf(FORECAST_METHODS, 'Неизвестный метод прогноза').default('auto'),
+      confidence: z.number().min(0.5).max(0.999).default(0.95)
+    }).optional(),
+    correlation: z.object({
+      method: enumOf(CORRELATION_METHODS, 'Неизвестный метод корреляции').default('pearson'),
+      columns: z.array(column).default([]),
+      // Колонка, для которой ищем связанные показатели ("что влияет на выручку")
+      target: column.optional()
+    }).optional(),
+    regression: z.object({
+      target: column,
+      features: z.array(column).min(1, 'Нужен хотя бы один признак')
+    }).optional(),
+    pivot: z.object({
+      rows: z.array(dimension).default([]),
+      columns: z.array(dimension).default([]),
+      measures: z.array(z.object({
+        column: column.optional(),
+        aggregation: enumOf(PIVOT_AGGREGATIONS, 'Неизвестная агрегация').default('sum'),
+        percentile: z.number().min(0).max(100).optional()
+      })).min(1, 'Нужна хотя бы одна мера'),
+      subtotals: z.boolean().default(false),
+      totals: z.boolean().default(true)
+    }).optional(),
+    visualization: z.object({
+      chartType: enumOf(CHART_TYPES, 'Неизвестный тип графика'),
+      // histogram - числовая колонка распределения, boxplot - необязательная группировка
+      xAxis: column.optional(),
+      // Одна мера или список мер (несколько рядов); для histogram не нужна
+      yAxis: z.union([column, z.array(column).min(1, 'Нужна хотя бы одна мера')]).optional(),
+      // Измерение, по значениям которого мера разбивается на ряды (цвета);
+      // для heatmap - строки карты, для treemap - вложенный уровень
+      seriesBy: column.optional(),
+      bins: z.number().int().min(1).max(50).optional(),
+      stacked: z.boolean().optional(),
+      // Вторая и следующие меры на правой оси (по умолчанию - автоматически при разных масштабах)
+      dualAxis: z.boolean().optional(),
+      aggregation: enumOf(AGGREGATIONS, 'Неизвестная агрегация').optional(),
+      // Сортировка и top-N для категорий (временные ряды всегда по времени)
+      sort: z.object({
+        by: enumOf(['value', 'label'], 'Сортировка возможна по value или label').default('value'),
+        direction: enumOf(SORT_DIRECTIONS, 'Неизвестное направление сортировки').default('desc')
+      }).optional(),
+      limit: z.number().int().min(1).max(1000).optional(),
+      // Временной ряд: xAxis - колонка с датой
+      timeBucket: enumOf(TIME_BUCKETS, 'Неизвестный период группировки').optional(),
+      movingAverage: z.number().int().min(2).max(365).optional(),
+      growth: enumOf(GROWTH_TYPES, 'Неизвестный тип роста').optional(),
+      cumulative: z.boolean().optional()
+    }).optional(),
+    description: z.string().default(''),
+    message: z.string().default('')
+  }).superRefine((plan, ctx) => {
+    if (plan.type === 'sql' && !plan.sql?.trim()) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['sql'], message: 'Для type = "sql" нужен SQL запрос' });
+    }
+    if (plan.anomalies?.method === 'rolling' && !plan.anomalies.timeColumn) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['anomalies', 'timeColumn'], message: 'Для метода "rolling" нужна колонка времени' });
+    }
+    if (plan.type === 'forecast' && !plan.forecast) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['forecast'], message: 'Для type = "forecast" нужно описание прогноза' });
+    }
+    if (plan.type === 'regression' && !plan.regression) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['regression'], message: 'Для type = "regression" нужны целевая колонка и признаки' });
+    }
+    if (plan.regression?.features.includes(plan.regression.target)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['regression', 'features'], message: 'Целевая колонка не может быть признаком' });
+    }
+    if (plan.type === 'pivot' && !plan.pivot) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['pivot'], message: 'Для type = "pivot" нужно описание сводной таблицы' });
+    }
+    if (plan.pivot && plan.pivot.rows.length === 0 && plan.pivot.columns.length === 0) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['pivot', 'rows'], message: 'Нужно хотя бы одно измерение в rows или columns' });
+    }
+    plan.pivot?.measures.forEach((measure, idx) => {
+      if (!measure.column && measure.aggregation !== 'count') {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['pivot', 'measures', idx, 'column'], message: `Для агрегации "${measure.aggregation}" нужна колонка` });
+      }
+      if (measure.aggregation === 'percentile' && measure.percentile === undefined) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['pivot', 'measures', idx, 'percentile'], message: 'Для агрегации "percentile" нужен percentile (0-100)' });
+      }
+    });
+    if (plan.type === 'visualization' && !plan.visualization) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['visualization'], message: 'Для type = "visualization" нужно описание графика' });
+    }
+    if (plan.visualization?.seriesBy && Array.isArray(plan.visualization.yAxis) && plan.visualization.yAxis.length > 1) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['visualization', 'seriesBy'], message: 'seriesBy используется с одной мерой в yAxis' });
+    }
+    if (plan.visualization && !plan.visualization.xAxis && plan.visualization.chartType !== 'boxplot') {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['visualization', 'xAxis'], message: `Для графика "${plan.visualization.chartType}" нужна колонка xAxis` });
+    }
+    if (plan.visualization && !plan.visualization.yAxis && plan.visualization.chartType !== 'histogram') {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['visualization', 'yAxis'], message: `Для графика "${plan.visualization.chartType}" нужна мера yAxis` });
+    }
+    if (plan.visualization?.chartType === 'heatmap' && !plan.visualization.seriesBy) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['visualization', 'seriesBy'], message: 'Для heatmap нужно второе измерение seriesBy (строки карты)' });
+    }
+    if (plan.visualization && !RAW_VALUE_CHARTS.includes(plan.visualization.chartType) && !plan.visualization.aggregation) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['visualization', 'aggregation'],
+        message: `Укажите агрегацию явно, допустимые значения: ${AGGREGATIONS.join(', ')}`
+      });
+    }
+  });
+}
+
+/**
+ * Find all top-level JSON objects in text (balanced braces, strings respected)
+ */
+function findJSONCandidates(text) {
+  const candidates = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"' && depth > 0) {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) {
+        start = i;
+      }
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        candidates.push(text.substring(start, i + 1));
+      }
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Extract JSON objects from model response (prose, code fences and several objects are allowed)
+ * @returns {Object[]} parsed objects in order of appearance
+ */
+export function extractJSONObjects(text) {
+  if (!text) {
+    return [];
+  }
+
+  return findJSONCandidates(text)
+    .map(candidate => {
+      try {
+        return JSON.parse(candidate);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(parsed => parsed && typeof parsed === 'object' && !Array.isArray(parsed));
+}
+
+/**
+ * Most specific issues of union (e.g. filter expression): the branch with fewest issues,
+ * branches where the value has wrong type altogether are the least relevant
+ */
+function unwrapUnionIssues(issue) {
+  if (issue.code !== z.ZodIssueCode.invalid_union) {
+    return [issue];
+  }
+  const depth = issue.path.length;
+  const score = (issues) => issues.reduce((sum, item) => (
+    sum + (item.code === z.ZodIssueCode.invalid_type && item.path.length === depth ? 10 : 1)
+  ), 0);
+  const best = issue.unionErrors
+    .map(error => error.issues)
+    .reduce((a, b) => (score(b) < score(a) ? b : a));
+  return best.flatMap(unwrapUnionIssues);
+}
+
+/**
+ * Format zod issues as a readable list
+ */
+export function formatValidationErrors(issues) {
+  return issues
+    .flatMap(unwrapUnionIssues)
+    .map(issue => `- ${issue.path.join('.') || 'plan'}: ${issue.message}`);
+}
+
+/**
+ * Union of columns of several tables (SQLite database, Excel workbook), in table order
+ */
+export function collectTableColumns(tables) {
+  return [...new Set((tables || []).flatMap(table => table.columnNames || []))];
+}
+
+/**
+ * Schema for plan type: SQL plans may reference columns of any table,
+ * other plans run on the first table only
+ */
+function schemaForPlan(candidate, schema, sqlSchema) {
+  return candidate?.type === 'sql' ? sqlSchema : schema;
+}
+
+/**
+ * Parse and validate query plan from model response
+ * @param {string} text - raw model response
+ * @param {string[]} columns - columns of uploaded dataset (first table in multi-table mode)
+ * @param {string[]} [sqlColumns] - columns allowed in SQL plans (union of all tables)
+ * @returns {{success: boolean, plan?: Object, errors?: string[], hasJSON: boolean}}
+ */
+export function parseQueryPlan(text, columns, sqlColumns = columns) {
+  const objects = extractJSONObjects(text);
+  if (objects.length === 0) {
+    return { success: false, hasJSON: false, errors: ['- plan: в ответе нет JSON объекта'] };
+  }
+
+  const schema = createQueryPlanSchema(columns);
+  const sqlSchema = sqlColumns === columns ? schema : createQueryPlanSchema(sqlColumns);
+  let firstErrors = null;
+
+  // Берем первый объект, прошедший проверку
+  for (const candidate of objects) {
+    const result = schemaForPlan(candidate, schema, sqlSchema).safeParse(candidate);
+    if (result.success) {
+      return { success: true, hasJSON: true, plan: result.data };
+    }
+    if (!firstErrors) {
+      firstErrors = formatValidationErrors(result.error.issues);
+    }
+  }
+
+  return { success: false, hasJSON: true, errors: firstErrors };
+}
+
+/**
+ * Validate ready plan object (plan of previous answer sent back by client)
+ * columns / sqlColumns - as in parseQueryPlan
+ * @returns {{success: boolean, plan?: Object, errors?: string[]}}
+ */
+export function validateQueryPlan(plan, columns, sqlColumns = columns) {
+  const result = createQueryPlanSchema(plan?.type === 'sql' ? sqlColumns : columns).safeParse(plan);
+  return result.success
+    ? { success: true, plan: result.data }
+    : { success: false, errors: formatValidationErrors(result.error.issues) };
+}
+
+const JSON_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+
+/**
+ * Extract "message" field from incomplete JSON while the model is still generating it
+ * @returns {string|null} decoded message prefix or null if the field hasn't started yet
+ */
+export function extractPartialMessage(text) {
+  const match = text.match(/"message"\s*:\s*"/);
+  if (!match) {
+    return null;
+  }
+
+  let message = '';
+  let i = match.index + match[0].length;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '"') {
+      break;
+    }
+    if (char === '\\') {
+      const next = text[i + 1];
+      if (next === undefined) {
+        break;
+      }
+      if (next === 'u') {
+        const hex = text.substring(i + 2, i + 6);
+        if (hex.length < 4) {
+          break;
+        }
+        message += String.fromCharCode(parseInt(hex, 16));
+        i += 6;
+        continue;
+      }
+      message += JSON_ESCAPES[next] ?? next;
+      i += 2;
+      continue;
+    }
+    message += char;
+    i++;
+  }
+
+  return message;
+}
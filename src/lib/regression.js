@@ -0,0 +1,165 @@
+/**
+ * Linear regression (ordinary least squares) with one or several features
+ */
+
+// Ограничение числа точек на графике регрессии
+export const MAX_REGRESSION_POINTS = 1000;
+
+const round = (value, digits = 4) => {
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+function toNumber(value) {
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Inverse of square matrix by Gauss-Jordan elimination with partial pivoting
+ * @returns {number[][]|null} null for singular matrix
+ */
+function invertMatrix(matrix) {
+  const size = matrix.length;
+  const augmented = matrix.map((row, i) => [
+    ...row,
+    ...Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))
+  ]);
+
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(augmented[row][col]) > Math.abs(augmented[pivot][col])) {
+        pivot = row;
+      }
+    }
+    // Вырожденная матрица: признаки линейно зависимы
+    if (Math.abs(augmented[pivot][col]) < 1e-10) {
+      return null;
+    }
+    [augmented[col], augmented[pivot]] = [augmented[pivot], augmented[col]];
+
+    const divisor = augmented[col][col];
+    for (let j = 0; j < 2 * size; j++) {
+      augmented[col][j] /= divisor;
+    }
+    for (let row = 0; row < size; row++) {
+      if (row !== col && augmented[row][col] !== 0) {
+        const factor = augmented[row][col];
+        for (let j = 0; j < 2 * size; j++) {
+          augmented[row][j] -= factor * augmented[col][j];
+        }
+      }
+    }
+  }
+
+  return augmented.map(row => row.slice(size));
+}
+
+/**
+ * Fit y = b0 + b1*x1 + ... + bk*xk
+ * @param {Object[]} data - rows (rows with missing values in target or features are skipped)
+ * @param {Object} options - { target, features }
+ * @returns {{target, features, n, intercept, coefficients: Array<{name, value, stdError, tStat}>, terms,
+ *   rSquared, adjustedRSquared, rmse, points: Array<{actual, predicted, values}>}}
+ *   terms - intercept и коэффициенты одним списком
+ */
+export function linearRegression(data, { target, features }) {
+  if (!features || features.length === 0) {
+    throw new Error('Для регрессии нужен хотя бы один признак');
+  }
+  if (features.includes(target)) {
+    throw new Error(`Колонка ${target} не может быть одновременно целевой и признаком`);
+  }
+
+  const xs = [];
+  const ys = [];
+  data.forEach(row => {
+    const y = toNumber(row[target]);
+    const values = features.map(feature => toNumber(row[feature]));
+    if (y !== null && values.every(value => value !== null)) {
+      xs.push([1, ...values]);
+      ys.push(y);
+    }
+  });
+
+  const n = ys.length;
+  const p = features.length + 1;
+  if (n <= p) {
+    throw new Error(`Недостаточно строк для регрессии: ${n}, нужно больше ${p}`);
+  }
+
+  // Нормальные уравнения: b = (X'X)^-1 X'y
+  const xtx = Array.from({ length: p }, () => new Array(p).fill(0));
+  const xty = new Array(p).fill(0);
+  xs.forEach((row, idx) => {
+    for (let i = 0; i < p; i++) {
+      xty[i] += row[i] * ys[idx];
+      for (let j = 0; j < p; j++) {
+        xtx[i][j] += row[i] * row[j];
+      }
+    }
+  });
+
+  const inverse = invertMatrix(xtx);
+  if (!inverse) {
+    throw new Error('Признаки линейно зависимы или постоянны, регрессию построить нельзя');
+  }
+  const beta = inverse.map(row => row.reduce((sum, value, j) => sum + value * xty[j], 0));
+
+  const predicted = xs.map(row => row.reduce((sum, value, j) => sum + value * beta[j], 0));
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  const sse = ys.reduce((sum, y, idx) => sum + Math.pow(y - predicted[idx], 2), 0);
+  const sst = ys.reduce((sum, y) => sum + Math.pow(y - meanY, 2), 0);
+  const rSquared = sst ? 1 - sse / sst : null;
+  const sigma2 = sse / (n - p);
+
+  const terms = beta.map((value, idx) => {
+    const stdError = Math.sqrt(sigma2 * inverse[idx][idx]);
+    return {
+      name: idx === 0 ? '(intercept)' : features[idx - 1],
+      value: round(value),
+      stdError: round(stdError),
+      tStat: stdError ? round(value / stdError, 2) : null
+    };
+  });
+
+  return {
+    target,
+    features,
+    n,
+    intercept: terms[0].value,
+    coefficients: terms.slice(1),
+    terms,
+    rSquared: round(rSquared),
+    adjustedRSquared: rSquared === null ? null : round(1 - (1 - rSquared) * (n - 1) / (n - p)),
+    rmse: round(Math.sqrt(sse / n)),
+    points: xs.map((row, idx) => ({
+      actual: ys[idx],
+      predicted: round(predicted[idx]),
+      values: row.slice(1)
+    }))
+  };
+}
+
+/**
+ * Regression result without points for API responses and conversation history
+ */
+export function regressionSummary(model) {
+  const { points, terms, ...summary } = model;
+  return summary;
+}
+
+/**
+ * Evenly spaced sample of array for charts
+ */
+export function samplePoints(points, limit = MAX_REGRESSION_POINTS) {
+  if (points.length <= limit) {
+    return points;
+  }
+  const step = points.length / limit;
+  return Array.from({ length: limit }, (_, idx) => points[Math.floor(idx * step)]);
+}
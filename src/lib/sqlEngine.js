@@ -0,0 +1,227 @@
+import initSqlJs from 'sql.js';
+import { detectColumnTypes } from './dataProcessor.js';
+import { parseLocaleNumber } from './typeInference.js';
+
+/**
+ * In-process SQL engine (SQLite compiled to WebAssembly via sql.js)
+ */
+
+// Максимальное количество строк в результате SQL запроса
+export const MAX_RESULT_ROWS = 1000;
+// Ограничение при выгрузке полного результата в файл
+export const MAX_EXPORT_ROWS = 1000000;
+
+// Инициализация WASM модуля выполняется один раз на процесс
+let sqlModulePromise = null;
+
+function getSqlModule() {
+  if (!sqlModulePromise) {
+    sqlModulePromise = initSqlJs().catch(error => {
+      sqlModulePromise = null;
+      throw error;
+    });
+  }
+  return sqlModulePromise;
+}
+
+/**
+ * Quote identifier for SQLite (table or column name)
+ */
+export function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Make sure the query is a single read-only SELECT statement
+ */
+export function validateSelectQuery(sql) {
+  if (!sql || typeof sql !== 'string' || !sql.trim()) {
+    throw new Error('SQL запрос пуст');
+  }
+
+  // Убираем строковые литералы, идентификаторы в кавычках и комментарии перед проверкой
+  const stripped = sql
+    .replace(/'(?:[^']|'')*'/g, "''")
+    .replace(/"(?:[^"]|"")*"/g, '""')
+    .replace(/`[^`]*`/g, '``')
+    .replace(/\[[^\]]*\]/g, '[]')
+    .replace(/--[^\n]*/g, ' ')
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .trim()
+    .replace(/;\s*$/, '');
+
+  if (stripped.includes(';')) {
+    throw new Error('Разрешен только один SQL запрос');
+  }
+
+  if (!/^(select|with)\b/i.test(stripped)) {
+    throw new Error('Разрешены только SELECT запросы');
+  }
+
+  return sql.trim().replace(/;\s*$/, '');
+}
+
+/**
+ * Convert SQLite value to JSON-friendly value
+ */
+function normalizeValue(value) {
+  if (value instanceof Uint8Array) {
+    return `<BLOB ${value.length} байт>`;
+  }
+  return value;
+}
+
+/**
+ * Convert row value to SQLite value according to detected column type
+ */
+function toSqlValue(value, type) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (type === 'number') {
+    const parsed = parseLocaleNumber(value);
+    return parsed ? parsed.value : null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return typeof value === 'number' ? value : String(value);
+}
+
+/**
+ * Create table and insert rows into database
+ */
+function loadTable(db, tableName, { rows, columns, columnTypes }) {
+  const types = columnTypes || detectColumnTypes(rows, columns);
+  const columnDefs = columns
+    .map(col => `${quoteIdentifier(col)} ${types[col] === 'number' ? 'REAL' : 'TEXT'}`)
+    .join(', ');
+
+  db.run(`CREATE TABLE ${quoteIdentifier(tableName)} (${columnDefs})`);
+
+  const placeholders = columns.map(() => '?').join(', ');
+  const insert = db.prepare(`INSERT INTO ${quoteIdentifier(tableName)} VALUES (${placeholders})`);
+  db.run('BEGIN TRANSACTION');
+  try {
+    rows.forEach(row => {
+      insert.run(columns.map(col => toSqlValue(row[col], types[col])));
+    });
+    db.run('COMMIT');
+  } catch (error) {
+    db.run('ROLLBACK');
+    throw error;
+  } finally {
+    insert.free();
+  }
+}
+
+/**
+ * Run SELECT statement on database and collect result rows
+ */
+function runSelect(db, sql, maxRows) {
+  const stmt = db.prepare(sql);
+  try {
+    const columns = stmt.getColumnNames();
+    const rows = [];
+    let truncated = false;
+    while (stmt.step()) {
+      if (rows.length >= maxRows) {
+        truncated = true;
+        break;
+      }
+      const values = stmt.get();
+      const row = {};
+      columns.forEach((col, idx) => {
+        row[col] = normalizeValue(values[idx]);
+      });
+      rows.push(row);
+    }
+    return { columns, rows, truncated };
+  } finally {
+    stmt.free();
+  }
+}
+
+/**
+ * Execute SQL query against in-memory tables
+ * @param {string} sql - SELECT statement
+ * @param {Object} tables - { tableName: { rows, columns, columnTypes? } }
+ * @param {Object} options - { maxRows }
+ * @returns {Promise<{columns: string[], rows: Object[], truncated: boolean}>}
+ */
+export async function executeSQL(sql, tables, options = {}) {
+  const query = validateSelectQuery(sql);
+  const maxRows = options.maxRows || MAX_RESULT_ROWS;
+
+  const SQL = await getSqlModule();
+  const db = new SQL.Database();
+  try {
+    Object.entries(tables).forEach(([tableName, table]) => {
+      loadTable(db, tableName, table);
+    });
+    return runSelect(db, query, maxRows);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Read all user tables from SQLite database file
+ * @param {Buffer|Uint8Array} fileBuffer - contents of .sqlite/.db file
+ * @returns {Promise<Array<{name, columnSchema, foreignKeys, columnNames, data}>>}
+ */
+export async function readSQLiteDatabase(fileBuffer) {
+  const SQL = await getSqlModule();
+  const db = new SQL.Database(new Uint8Array(fileBuffer));
+  try {
+    const tableNames = runSelect(
+      db,
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name",
+      Infinity
+    ).rows.map(row => row.name);
+
+    const tables = tableNames.map(name => {
+      const columnSchema = runSelect(db, `PRAGMA table_info(${quoteIdentifier(name)})`, Infinity).rows
+        .map(col => ({
+          name: col.name,
+          type: col.type || 'ANY',
+          notNull: col.notnull === 1,
+          primaryKey: col.pk > 0
+        }));
+
+      const foreignKeys = runSelect(db, `PRAGMA foreign_key_list(${quoteIdentifier(name)})`, Infinity).rows
+        .map(fk => ({
+          column: fk.from,
+          refTable: fk.table,
+          refColumn: fk.to
+        }));
+
+      const { rows } = runSelect(db, `SELECT * FROM ${quoteIdentifier(name)}`, Infinity);
+
+      return {
+        name,
+        columnSchema,
+        foreignKeys,
+        columnNames: columnSchema.map(col => col.name),
+        data: rows
+      };
+    });
+
+    // Внешний ключ без явной колонки ссылается на первичный ключ таблицы
+    tables.forEach(table => {
+      table.foreignKeys.forEach(fk => {
+        if (!fk.refColumn) {
+          const refTable = tables.find(t => t.name === fk.refTable);
+          fk.refColumn = refTable?.columnSchema.find(col => col.primaryKey)?.name || null;
+        }
+      });
+    });
+
+    return tables;
+  } finally {
+    db.close();
+  }
+}
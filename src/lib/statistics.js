@@ -0,0 +1,265 @@
+/**
+ * Descriptive statistics for numeric columns
+ */
+
+export const STATISTIC_METRICS = [
+  'count', 'mean', 'median', 'min', 'max', 'sum', 'range',
+  'variance', 'std', 'q1', 'q3', 'iqr', 'skewness', 'kurtosis', 'mode', 'histogram'
+];
+
+// Метрики, если план не указал конкретные
+export const DEFAULT_METRICS = ['count', 'mean', 'median', 'min', 'max', 'std'];
+
+// Для нечисловых колонок имеют смысл только эти метрики
+const CATEGORICAL_METRICS = ['count', 'mode'];
+
+const MAX_HISTOGRAM_BINS = 50;
+// Сколько выбросов возвращать для точек на box plot
+const MAX_BOX_OUTLIERS = 50;
+
+const round = (value, digits = 2) => {
+  if (value === null || !Number.isFinite(value)) {
+    return null;
+  }
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Numeric values of column (non-numbers skipped)
+ */
+export function numericValues(data, column) {
+  const values = [];
+  data.forEach(row => {
+    const value = typeof row[column] === 'number' ? row[column] : parseFloat(row[column]);
+    if (Number.isFinite(value)) {
+      values.push(value);
+    }
+  });
+  return values;
+}
+
+export function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Sample variance (n - 1 in denominator)
+ */
+export function variance(values) {
+  if (values.length < 2) {
+    return null;
+  }
+  const avg = mean(values);
+  return values.reduce((sum, val) => sum + Math.pow(val - avg, 2), 0) / (values.length - 1);
+}
+
+export function standardDeviation(values) {
+  const v = variance(values);
+  return v === null ? null : Math.sqrt(v);
+}
+
+/**
+ * Percentile with linear interpolation between closest ranks
+ * @param {number[]} sorted - values sorted ascending
+ * @param {number} p - percentile 0..100
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const position = (sorted.length - 1) * Math.min(Math.max(p, 0), 100) / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Sample skewness (adjusted Fisher-Pearson coefficient)
+ */
+export function skewness(values) {
+  const n = values.length;
+  const std = standardDeviation(values);
+  if (n < 3 || !std) {
+    return null;
+  }
+  const avg = mean(values);
+  const sum = values.reduce((acc, val) => acc + Math.pow((val - avg) / std, 3), 0);
+  return n / ((n - 1) * (n - 2)) * sum;
+}
+
+/**
+ * Sample excess kurtosis (0 for normal distribution)
+ */
+export function kurtosis(values) {
+  const n = values.length;
+  const std = standardDeviation(values);
+  if (n < 4 || !std) {
+    return null;
+  }
+  const avg = mean(values);
+  const sum = values.reduce((acc, val) => acc + Math.pow((val - avg) / std, 4), 0);
+  return (n * (n + 1)) / ((n - 1) * (n - 2) * (n - 3)) * sum
+    - (3 * Math.pow(n - 1, 2)) / ((n - 2) * (n - 3));
+}
+
+/**
+ * Most frequent values (several when tied)
+ */
+export function mode(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let maxCount = 0;
+  counts.forEach(count => {
+    maxCount = Math.max(maxCount, count);
+  });
+  // Все значения уникальны - моды нет
+  if (maxCount <= 1 && values.length > 1) {
+    return [];
+  }
+  return [...counts.entries()].filter(([, count]) => count === maxCount).map(([value]) => value);
+}
+
+/**
+ * Split values into equal-width bins
+ * @param {number[]} values
+ * @param {number} [bins] - number of bins, Sturges' rule by default
+ * @returns {Array<{from: number, to: number, count: number}>}
+ */
+export function histogram(values, bins) {
+  if (values.length === 0) {
+    return [];
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(value => {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+
+  const binCount = Math.min(
+    MAX_HISTOGRAM_BINS,
+    Math.max(1, Math.round(bins) || Math.ceil(Math.log2(values.length) + 1))
+  );
+  if (min === max) {
+    return [{ from: min, to: max, count: values.length }];
+  }
+
+  const width = (max - min) / binCount;
+  const result = Array.from({ length: binCount }, (_, idx) => ({
+    from: round(min + idx * width, 4),
+    to: round(idx === binCount - 1 ? max : min + (idx + 1) * width, 4),
+    count: 0
+  }));
+  values.forEach(value => {
+    const idx = Math.min(binCount - 1, Math.floor((value - min) / width));
+    result[idx].count++;
+  });
+  return result;
+}
+
+/**
+ * Five-number summary for box plot: whiskers end at the last values within 1.5 IQR of quartiles
+ * @param {number[]} values
+ * @returns {{count, min, q1, median, q3, max, mean, lowerWhisker, upperWhisker, outliers: number[]}|null}
+ */
+export function boxPlot(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const q1 = percentile(sorted, 25);
+  const q3 = percentile(sorted, 75);
+  const lowFence = q1 - 1.5 * (q3 - q1);
+  const highFence = q3 + 1.5 * (q3 - q1);
+  const inside = sorted.filter(value => value >= lowFence && value <= highFence);
+
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    q1: round(q1),
+    median: round(percentile(sorted, 50)),
+    q3: round(q3),
+    max: sorted[sorted.length - 1],
+    mean: round(mean(sorted)),
+    lowerWhisker: inside[0],
+    upperWhisker: inside[inside.length - 1],
+    outliers: sorted.filter(value => value < lowFence || value > highFence).slice(0, MAX_BOX_OUTLIERS)
+  };
+}
+
+/**
+ * Compute requested metrics for values of one column
+ * @param {Array} values - column values (numbers for numeric columns)
+ * @param {Object} options - { metrics, percentiles: [90, 95], bins, numeric }
+ * @returns {Object} { metric: value }, percentiles as p90, p95
+ */
+export function describe(values, { metrics = DEFAULT_METRICS, percentiles = [], bins, numeric = true } = {}) {
+  const requested = numeric ? metrics : metrics.filter(metric => CATEGORICAL_METRICS.includes(metric));
+  const sorted = numeric ? [...values].sort((a, b) => a - b) : values;
+  const result = {};
+
+  requested.forEach(metric => {
+    switch (metric) {
+      case 'count':
+        result.count = values.length;
+        break;
+      case 'mean':
+        result.mean = round(mean(values));
+        break;
+      case 'median':
+        result.median = round(percentile(sorted, 50));
+        break;
+      case 'min':
+        result.min = sorted.length > 0 ? sorted[0] : null;
+        break;
+      case 'max':
+        result.max = sorted.length > 0 ? sorted[sorted.length - 1] : null;
+        break;
+      case 'sum':
+        result.sum = round(values.reduce((a, b) => a + b, 0));
+        break;
+      case 'range':
+        result.range = sorted.length > 0 ? round(sorted[sorted.length - 1] - sorted[0]) : null;
+        break;
+      case 'variance':
+        result.variance = round(variance(values));
+        break;
+      case 'std':
+        result.std = round(standardDeviation(values));
+        break;
+      case 'q1':
+        result.q1 = round(percentile(sorted, 25));
+        break;
+      case 'q3':
+        result.q3 = round(percentile(sorted, 75));
+        break;
+      case 'iqr':
+        result.iqr = sorted.length > 0 ? round(percentile(sorted, 75) - percentile(sorted, 25)) : null;
+        break;
+      case 'skewness':
+        result.skewness = round(skewness(values), 3);
+        break;
+      case 'kurtosis':
+        result.kurtosis = round(kurtosis(values), 3);
+        break;
+      case 'mode':
+        result.mode = mode(values).slice(0, 5);
+        break;
+      case 'histogram':
+        result.histogram = histogram(values, bins);
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (numeric) {
+    percentiles.forEach(p => {
+      result[`p${p}`] = round(percentile(sorted, p));
+    });
+  }
+
+  return result;
+}
@@ -0,0 +1,64 @@
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+
+/**
+ * Serialization of result tables to CSV, XLSX and JSON (browser and server)
+ */
+
+export const TABLE_EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const MIME_TYPES = {
+  csv: 'text/csv;charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json;charset=utf-8'
+};
+
+// Excel открывает CSV без BOM в системной кодировке, и кириллица ломается
+const UTF8_BOM = '\uFEFF';
+// Имя листа Excel ограничено 31 символом
+const SHEET_NAME = 'Результат';
+
+/**
+ * Columns of all rows in order of first appearance (rows of SQL results may differ in keys)
+ */
+export function tableColumns(rows) {
+  const columns = [];
+  const seen = new Set();
+  rows.forEach(row => {
+    Object.keys(row || {}).forEach(key => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    });
+  });
+  return columns;
+}
+
+/**
+ * Serialize rows into file contents
+ * @param {Object[]} rows
+ * @param {string} format - csv | xlsx | json
+ * @param {string[]} [columns] - columns to export in this order (hidden columns of table are left out), all by default
+ * @returns {{content: string|Uint8Array, mimeType: string, extension: string}}
+ */
+export function serializeTable(rows, format, columns = tableColumns(rows)) {
+  if (!TABLE_EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Неизвестный формат экспорта: ${format}, допустимые: ${TABLE_EXPORT_FORMATS.join(', ')}`);
+  }
+  // Только выбранные колонки: json_to_sheet и JSON иначе добавят остальные ключи строк
+  const projected = rows.map(row => Object.fromEntries(columns.filter(col => row && col in row).map(col => [col, row[col]])));
+  let content;
+
+  if (format === 'csv') {
+    content = UTF8_BOM + Papa.unparse({ fields: columns, data: projected.map(row => columns.map(col => row[col] ?? '')) });
+  } else if (format === 'xlsx') {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(projected, { header: columns }), SHEET_NAME);
+    content = new Uint8Array(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }));
+  } else {
+    content = JSON.stringify(projected, null, 2);
+  }
+
+  return { content, mimeType: MIME_TYPES[format], extension: format };
+}
@@ -0,0 +1,177 @@
+import { isNumericType, isEmptyValue, parseLocaleDate, TEMPORAL_TYPES } from './typeInference.js';
+import { compareValues } from './filters.js';
+
+/**
+ * Client-side view of result table: global search, column filters by column type, multi-column sort
+ *
+ * Фильтр колонки зависит от вида: number - { min, max }, date - { from, to },
+ * boolean - { value: 'true' | 'false' }, category - { value }, text - { text }
+ */
+
+// 0 - все строки на одной странице (прокрутка виртуализирована)
+export const PAGE_SIZES = [25, 50, 100, 500, 0];
+// Сколько значений категории показывать в выпадающем списке фильтра
+export const MAX_FILTER_OPTIONS = 50;
+
+/**
+ * Kind of filter control for inferred column type
+ */
+export function filterKind(type) {
+  if (isNumericType(type)) return 'number';
+  if (TEMPORAL_TYPES.includes(type)) return 'date';
+  if (type === 'boolean') return 'boolean';
+  if (type === 'category') return 'category';
+  return 'text';
+}
+
+const normalizeText = (value) => String(value).toLowerCase();
+
+/**
+ * Check that column filter has a condition set
+ */
+export function isFilterActive(filter) {
+  return Boolean(filter) && Object.values(filter).some(value => value !== undefined && value !== null && value !== '');
+}
+
+function matchesFilter(value, filter, kind) {
+  switch (kind) {
+    case 'number':
+    case 'date': {
+      const [low, high] = kind === 'number' ? [filter.min, filter.max] : [filter.from, filter.to];
+      if (low !== undefined && low !== '') {
+        const cmp = compareValues(value, kind === 'number' ? Number(low) : low);
+        if (cmp === null || cmp < 0) return false;
+      }
+      if (high !== undefined && high !== '') {
+        // Дата без времени в to включает весь день
+        const cmp = compareValues(value, kind === 'number' ? Number(high) : high);
+        const sameDay = kind === 'date' && typeof value === 'string' && value.startsWith(high);
+        if (cmp === null || (cmp > 0 && !sameDay)) return false;
+      }
+      return true;
+    }
+    case 'boolean':
+      // Логические значения в результатах хранятся как 1/0 или true/false
+      return !filter.value || (filter.value === 'true') === (value === true || value === 1 || value === '1' || value === 'true');
+    case 'category':
+      return !filter.value || (!isEmptyValue(value) && String(value) === filter.value);
+    default:
+      return !filter.text || (!isEmptyValue(value) && normalizeText(value).includes(normalizeText(filter.text)));
+  }
+}
+
+/**
+ * Sort key of cell: numbers and dates as numbers, text in lower case, empty as null
+ */
+function sortKey(value) {
+  if (isEmptyValue(value)) return null;
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+  if (Number.isFinite(Number(text))) return Number(text);
+  const date = parseLocaleDate(text);
+  return date ? date.date.getTime() : text.toLowerCase();
+}
+
+// Пустые значения в конце при любом направлении, числа перед текстом
+function compareKeys(a, b, factor) {
+  if (a === null || b === null) {
+    return a === b ? 0 : a === null ? 1 : -1;
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return factor * (a - b);
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    return typeof a === 'number' ? -1 : 1;
+  }
+  return factor * a.localeCompare(b);
+}
+
+/**
+ * Rows after search, column filters and sort
+ * @param {Object[]} rows
+ * @param {Object} options
+ *   columns - visible columns (search looks only at them),
+ *   kinds - { column: filter kind }, filters - { column: filter },
+ *   search - text to find in any visible column,
+ *   sort - [{ key, direction }] in priority order
+ * @returns {Object[]} new array, source rows are not modified
+ */
+export function buildTableView(rows, { columns, kinds = {}, filters = {}, search = '', sort = [] }) {
+  const query = search.trim().toLowerCase();
+  const activeFilters = Object.entries(filters).filter(([column, filter]) => kinds[column] && isFilterActive(filter));
+
+  const result = rows.filter(row => {
+    if (query && !columns.some(column => !isEmptyValue(row[column]) && normalizeText(row[column]).includes(query))) {
+      return false;
+    }
+    return activeFilters.every(([column, filter]) => matchesFilter(row[column], filter, kinds[column]));
+  });
+
+  if (sort.length > 0) {
+    // Ключи сортировки считаются один раз на строку, а не в каждом сравнении
+    const factors = sort.map(({ direction }) => (direction === 'desc' ? -1 : 1));
+    return result
+      .map(row => ({ row, keys: sort.map(({ key }) => sortKey(row[key])) }))
+      .sort((a, b) => {
+        for (let i = 0; i < sort.length; i++) {
+          const cmp = compareKeys(a.keys[i], b.keys[i], factors[i]);
+          if (cmp !== 0) return cmp;
+        }
+        return 0;
+      })
+      .map(item => item.row);
+  }
+  return result;
+}
+
+const FILTER_KINDS = ['number', 'date', 'boolean', 'category', 'text'];
+const FILTER_FIELDS = ['min', 'max', 'from', 'to', 'value', 'text'];
+
+/**
+ * Options of buildTableView from request body: unknown columns, kinds and fields are dropped
+ * Состояние таблицы приходит от клиента при выгрузке полного результата и применяется на сервере
+ * @param {Object} view - { columns, kinds, filters, search, sort } as in buildTableView
+ * @param {string[]} columns - columns of result table
+ */
+export function parseTableView(view, columns) {
+  const source = view && typeof view === 'object' ? view : {};
+  const known = (column) => typeof column === 'string' && columns.includes(column);
+  const pick = (object, test) => Object.fromEntries(
+    Object.entries(object && typeof object === 'object' ? object : {}).filter(([key, value]) => known(key) && test(value))
+  );
+
+  const kinds = pick(source.kinds, kind => FILTER_KINDS.includes(kind));
+  const filters = Object.fromEntries(Object.entries(pick(source.filters, filter => filter && typeof filter === 'object'))
+    .map(([column, filter]) => [column, Object.fromEntries(
+      FILTER_FIELDS.filter(field => ['string', 'number'].includes(typeof filter[field])).map(field => [field, String(filter[field])])
+    )]));
+
+  return {
+    columns: Array.isArray(source.columns) ? source.columns.filter(known) : columns,
+    kinds,
+    filters,
+    search: typeof source.search === 'string' ? source.search : '',
+    sort: (Array.isArray(source.sort) ? source.sort : [])
+      .filter(item => item && known(item.key))
+      .map(item => ({ key: item.key, direction: item.direction === 'desc' ? 'desc' : 'asc' }))
+  };
+}
+
+/**
+ * Distinct values of category column for filter dropdown, most frequent first
+ */
+export function categoryOptions(rows, column) {
+  const counts = new Map();
+  rows.forEach(row => {
+    const value = row[column];
+    if (!isEmptyValue(value)) {
+      const key = String(value);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  });
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_FILTER_OPTIONS)
+    .map(([value]) => value)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
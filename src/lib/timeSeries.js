@@ -0,0 +1,221 @@
+import { groupBy, aggregateGroups } from './dataProcessor.js';
+import { parseLocaleDate } from './typeInference.js';
+
+/**
+ * Time series: date bucketing, gap filling, moving averages, growth and cumulative sums
+ */
+
+export const TIME_BUCKETS = ['day', 'week', 'month', 'quarter', 'year'];
+// period - к предыдущему периоду (MoM для месяцев), year - к тому же периоду год назад (YoY)
+export const GROWTH_TYPES = ['period', 'year'];
+
+const PERIODS_PER_YEAR = { day: 365, week: 52, month: 12, quarter: 4, year: 1 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Защита от огромного числа пустых периодов при заполнении пропусков
+const MAX_PERIODS = 5000;
+
+const pad = (value) => String(value).padStart(2, '0');
+const round = (value) => (Number.isFinite(value) ? Math.round(value * 100) / 100 : null);
+
+/**
+ * Start of bucket containing date (UTC)
+ */
+export function bucketStart(date, bucket) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (bucket) {
+    case 'day':
+      return new Date(Date.UTC(year, month, date.getUTCDate()));
+    case 'week': {
+      // Неделя начинается с понедельника
+      const day = new Date(Date.UTC(year, month, date.getUTCDate()));
+      const weekday = (day.getUTCDay() + 6) % 7;
+      return new Date(day.getTime() - weekday * DAY_MS);
+    }
+    case 'month':
+      return new Date(Date.UTC(year, month, 1));
+    case 'quarter':
+      return new Date(Date.UTC(year, Math.floor(month / 3) * 3, 1));
+    case 'year':
+      return new Date(Date.UTC(year, 0, 1));
+    default:
+      throw new Error(`Неизвестный период группировки: ${bucket}`);
+  }
+}
+
+/**
+ * Start of the following bucket
+ */
+export function nextBucket(start, bucket) {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+  switch (bucket) {
+    case 'day':
+      return new Date(start.getTime() + DAY_MS);
+    case 'week':
+      return new Date(start.getTime() + 7 * DAY_MS);
+    case 'month':
+      return new Date(Date.UTC(year, month + 1, 1));
+    case 'quarter':
+      return new Date(Date.UTC(year, month + 3, 1));
+    default:
+      return new Date(Date.UTC(year + 1, 0, 1));
+  }
+}
+
+/**
+ * Sortable label of bucket: 2024-01-15 (day, week start), 2024-01, 2024-Q1, 2024
+ */
+export function bucketLabel(start, bucket) {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+  switch (bucket) {
+    case 'day':
+    case 'week':
+      return `${year}-${pad(month + 1)}-${pad(start.getUTCDate())}`;
+    case 'month':
+      return `${year}-${pad(month + 1)}`;
+    case 'quarter':
+      return `${year}-Q${Math.floor(month / 3) + 1}`;
+    default:
+      return String(year);
+  }
+}
+
+/**
+ * Bucket size for date range when plan doesn't specify it
+ */
+export function chooseBucket(minDate, maxDate) {
+  const days = (maxDate - minDate) / DAY_MS;
+  if (days <= 62) return 'day';
+  if (days <= 366) return 'week';
+  if (days <= 5 * 366) return 'month';
+  return 'year';
+}
+
+/**
+ * Average of previous `window` values including current (null values skipped)
+ */
+export function movingAverage(values, window) {
+  return values.map((_, idx) => {
+    if (idx < window - 1) {
+      return null;
+    }
+    const slice = values.slice(idx - window + 1, idx + 1).filter(v => v !== null);
+    return slice.length > 0 ? round(slice.reduce((a, b) => a + b, 0) / slice.length) : null;
+  });
+}
+
+/**
+ * Growth in percent relative to value `lag` periods earlier
+ */
+export function growthRate(values, lag) {
+  return values.map((value, idx) => {
+    const base = idx >= lag ? values[idx - lag] : null;
+    if (value === null || base === null || base === 0) {
+      return null;
+    }
+    return round((value - base) / Math.abs(base) * 100);
+  });
+}
+
+export function cumulativeSum(values) {
+  let total = 0;
+  return values.map(value => {
+    total += value || 0;
+    return round(total);
+  });
+}
+
+/**
+ * Aggregate values by date buckets
+ * @param {Object[]} data - rows
+ * @param {Object} options
+ *   timeColumn, valueColumn, aggregation (sum | mean | count | min | max),
+ *   bucket (auto if omitted), fillGaps (true), movingAverage (window), growth (period | year), cumulative
+ * @returns {{bucket: string, rows: Object[], keys: Object, lastStart: string}} rows sorted chronologically,
+ *   keys - names of computed columns { period, value, movingAverage?, growth?, cumulative? }
+ */
+export function buildTimeSeries(data, options) {
+  const {
+    timeColumn,
+    valueColumn,
+    aggregation = 'sum',
+    fillGaps = true
+  } = options;
+
+  // Строки с распознанной датой
+  const dated = [];
+  data.forEach(row => {
+    const parsed = parseLocaleDate(row[timeColumn] instanceof Date ? row[timeColumn] : String(row[timeColumn] ?? ''));
+    if (parsed) {
+      dated.push({ row, date: parsed.date });
+    }
+  });
+
+  const keys = { period: 'period', value: valueColumn };
+  if (dated.length === 0) {
+    return { bucket: options.bucket || 'month', rows: [], keys, lastStart: null };
+  }
+
+  let minDate = dated[0].date;
+  let maxDate = dated[0].date;
+  dated.forEach(({ date }) => {
+    if (date < minDate) minDate = date;
+    if (date > maxDate) maxDate = date;
+  });
+  const bucket = options.bucket || chooseBucket(minDate, maxDate);
+
+  // Группировка по началу периода (ISO строка сортируется хронологически)
+  const withBucket = dated.map(({ row, date }) => ({
+    ...row,
+    __bucket: bucketStart(date, bucket).toISOString()
+  }));
+  const aggregated = new Map(
+    aggregateGroups(groupBy(withBucket, '__bucket'), valueColumn, aggregation)
+      .map(item => [item.group, Number.isFinite(item.value) ? item.value : null])
+  );
+
+  // Все периоды от первого до последнего (пропуски заполняются) или только встреченные
+  let starts;
+  if (fillGaps) {
+    starts = [];
+    const last = bucketStart(maxDate, bucket);
+    for (let cursor = bucketStart(minDate, bucket); cursor <= last && starts.length < MAX_PERIODS; cursor = nextBucket(cursor, bucket)) {
+      starts.push(cursor.toISOString());
+    }
+  } else {
+    starts = [...aggregated.keys()].sort();
+  }
+
+  // Пустой период: 0 для сумм и количества, иначе пропуск
+  const emptyValue = ['sum', 'count'].includes(aggregation) ? 0 : null;
+  const values = starts.map(start => (aggregated.has(start) ? aggregated.get(start) : emptyValue));
+
+  const rows = starts.map((start, idx) => ({
+    period: bucketLabel(new Date(start), bucket),
+    [valueColumn]: values[idx]
+  }));
+
+  if (options.movingAverage) {
+    keys.movingAverage = `${valueColumn}_ma${options.movingAverage}`;
+    movingAverage(values, options.movingAverage).forEach((value, idx) => {
+      rows[idx][keys.movingAverage] = value;
+    });
+  }
+  if (options.growth) {
+    const lag = options.growth === 'year' ? PERIODS_PER_YEAR[bucket] : 1;
+    keys.growth = `${valueColumn}_${options.growth === 'year' ? 'yoy' : 'growth'}_pct`;
+    growthRate(values, lag).forEach((value, idx) => {
+      rows[idx][keys.growth] = value;
+    });
+  }
+  if (options.cumulative) {
+    keys.cumulative = `${valueColumn}_cumulative`;
+    cumulativeSum(values).forEach((value, idx) => {
+      rows[idx][keys.cumulative] = value;
+    });
+  }
+
+  return { bucket, rows, keys, lastStart: starts[starts.length - 1] };
+}
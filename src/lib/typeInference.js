@@ -0,0 +1,325 @@
+/**
+ * Column type inference with locale-aware value parsing
+ *
+ * Понимает форматы русскоязычных выгрузок: запятую как десятичный разделитель,
+ * пробелы как разделитель тысяч, символы валют, проценты и даты ДД.ММ.ГГГГ.
+ */
+
+export const COLUMN_TYPES = ['integer', 'float', 'currency', 'percent', 'date', 'datetime', 'boolean', 'category', 'text', 'id'];
+export const NUMERIC_TYPES = ['integer', 'float', 'currency', 'percent'];
+export const TEMPORAL_TYPES = ['date', 'datetime'];
+
+export const COLUMN_TYPE_LABELS = {
+  integer: 'Целое число',
+  float: 'Дробное число',
+  currency: 'Денежная сумма',
+  percent: 'Процент',
+  date: 'Дата',
+  datetime: 'Дата и время',
+  boolean: 'Логический',
+  category: 'Категория',
+  text: 'Текст',
+  id: 'Идентификатор'
+};
+
+// Сколько значений колонки проверяем (равномерно по всему датасету)
+const MAX_SAMPLE_SIZE = 2000;
+// Доля значений, которые должны подходить под тип
+const MATCH_THRESHOLD = 0.9;
+const MAX_CATEGORIES = 50;
+
+const CURRENCY_PATTERN = /(₽|руб\.?|р\.|\$|€|£|¥|₸|RUB|USD|EUR)/i;
+const TRUE_VALUES = ['true', 'yes', 'да', 'истина', 'y', 'д'];
+const FALSE_VALUES = ['false', 'no', 'нет', 'ложь', 'n', 'н'];
+const ID_NAME_PATTERN = /(^id$|_id$|^id_|Id$|uuid|guid|^код|^номер|^№)/i;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Группы по три цифры: 1,234,567 и 1.234.567 (но не 31.01.2024)
+const THOUSANDS_COMMA = /^[+-]?\d{1,3}(,\d{3}){2,}$/;
+const THOUSANDS_DOT = /^[+-]?\d{1,3}(\.\d{3}){2,}$/;
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+// Месяц без дня (2024-01) - первое число месяца
+const ISO_MONTH = /^(\d{4})-(\d{2})$/;
+const RU_DATE = /^(\d{1,2})[./](\d{1,2})[./](\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+
+export function isNumericType(type) {
+  return NUMERIC_TYPES.includes(type);
+}
+
+export function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' || value === 'N/A';
+}
+
+/**
+ * Parse number written in any common locale format
+ * "1 234,56 ₽", "12,5%", "1,234.56", "(100)", "−5"
+ * @returns {{value: number, currency: boolean, percent: boolean}|null}
+ */
+export function parseLocaleNumber(raw) {
+  if (typeof raw === 'number') {
+    return Number.isFinite(raw) ? { value: raw, currency: false, percent: false } : null;
+  }
+  if (typeof raw !== 'string') {
+    return null;
+  }
+
+  let str = raw.trim();
+  if (!str) {
+    return null;
+  }
+
+  const currency = CURRENCY_PATTERN.test(str);
+  // В англоязычной записи сумм ($1,000) запятая отделяет тысячи
+  const englishCurrency = /(\$|£|USD)/i.test(str);
+  const percent = str.endsWith('%');
+  str = str.replace(CURRENCY_PATTERN, '').replace(/%$/, '').trim();
+
+  // Бухгалтерская запись отрицательных чисел и типографский минус
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) {
+    negative = true;
+    str = str.slice(1, -1).trim();
+  }
+  str = str.replace(/^[−–]/, '-');
+
+  // Разделители тысяч: пробелы (в т.ч. неразрывные) и апострофы
+  str = str.replace(/[\s']/g, '');
+
+  const lastComma = str.lastIndexOf(',');
+  const lastDot = str.lastIndexOf('.');
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Десятичный разделитель - тот, что встречается последним
+    str = lastComma > lastDot
+      ? str.replace(/\./g, '').replace(',', '.')
+      : str.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    // Несколько запятых - разделители тысяч, одна - десятичная запятая
+    const isThousands = THOUSANDS_COMMA.test(str) || (englishCurrency && /^[+-]?\d{1,3},\d{3}$/.test(str));
+    str = isThousands ? str.replace(/,/g, '') : str.replace(',', '.');
+  } else if (THOUSANDS_DOT.test(str)) {
+    str = str.replace(/\./g, '');
+  }
+
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(str)) {
+    return null;
+  }
+
+  const value = parseFloat(str) * (negative ? -1 : 1);
+  return Number.isFinite(value) ? { value, currency, percent } : null;
+}
+
+/**
+ * Parse date in ISO (2024-01-31, 2024-01-31 10:00, 2024-01) or Russian (31.01.2024) format
+ * @returns {{date: Date, hasTime: boolean}|null}
+ */
+export function parseLocaleDate(raw) {
+  if (raw instanceof Date) {
+    return isNaN(raw.getTime()) ? null : { date: raw, hasTime: raw.getUTCHours() + raw.getUTCMinutes() > 0 };
+  }
+  if (typeof raw !== 'string') {
+    return null;
+  }
+
+  const str = raw.trim();
+  let parts = null;
+  let match = str.match(ISO_DATE);
+  if (match) {
+    parts = { year: +match[1], month: +match[2], day: +match[3], hour: match[4], minute: match[5], second: match[6] };
+  } else if ((match = str.match(ISO_MONTH))) {
+    parts = { year: +match[1], month: +match[2], day: 1 };
+  } else if ((match = str.match(RU_DATE))) {
+    parts = { year: +match[3], month: +match[2], day: +match[1], hour: match[4], minute: match[5], second: match[6] };
+  }
+  if (!parts || parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > 31) {
+    return null;
+  }
+
+  // Полночь (например, даты из Excel) не считаем временем
+  const hasTime = parts.hour !== undefined && (+parts.hour || +parts.minute || +(parts.second || 0)) > 0;
+  const date = new Date(Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    +(parts.hour || 0),
+    +(parts.minute || 0),
+    +(parts.second || 0)
+  ));
+  // 31.02.2024 и подобные несуществующие даты
+  if (date.getUTCDate() !== parts.day) {
+    return null;
+  }
+  return { date, hasTime };
+}
+
+export function parseBoolean(raw) {
+  if (typeof raw === 'boolean') {
+    return raw;
+  }
+  const str = String(raw).trim().toLowerCase();
+  if (TRUE_VALUES.includes(str)) {
+    return true;
+  }
+  if (FALSE_VALUES.includes(str)) {
+    return false;
+  }
+  return null;
+}
+
+/**
+ * Values of column spread evenly over the whole dataset (not only first rows)
+ */
+function sampleColumn(data, column) {
+  const step = Math.max(1, Math.floor(data.length / MAX_SAMPLE_SIZE));
+  const values = [];
+  for (let i = 0; i < data.length && values.length < MAX_SAMPLE_SIZE; i += step) {
+    const value = data[i][column];
+    if (!isEmptyValue(value)) {
+      values.push(value);
+    }
+  }
+  return values;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Infer type of one column
+ * @returns {{type: string, confidence: number, sampleSize: number}}
+ */
+export function inferColumnType(values, columnName = '') {
+  const count = values.length;
+  if (count === 0) {
+    return { type: 'text', confidence: 0, sampleSize: 0 };
+  }
+
+  const ratio = (matched) => matched / count;
+  const distinct = new Set(values.map(v => String(v).trim().toLowerCase())).size;
+  const allUnique = distinct === count;
+
+  const booleans = values.filter(v => typeof v === 'boolean' || parseBoolean(v) !== null).length;
+  const hasWordBooleans = values.some(v => typeof v === 'boolean' || !/^[01]$/.test(String(v).trim()));
+  if (hasWordBooleans && ratio(booleans) >= MATCH_THRESHOLD) {
+    return { type: 'boolean', confidence: round(ratio(booleans)), sampleSize: count };
+  }
+
+  const numbers = values.map(parseLocaleNumber).filter(Boolean);
+  if (ratio(numbers.length) >= MATCH_THRESHOLD) {
+    const confidence = round(ratio(numbers.length));
+    const isInteger = numbers.every(n => Number.isInteger(n.value));
+    let type = isInteger ? 'integer' : 'float';
+    if (numbers.filter(n => n.percent).length / numbers.length >= 0.5) {
+      type = 'percent';
+    } else if (numbers.filter(n => n.currency).length / numbers.length >= 0.5) {
+      type = 'currency';
+    } else if (isInteger && allUnique && ID_NAME_PATTERN.test(columnName)) {
+      type = 'id';
+    }
+    return { type, confidence, sampleSize: count };
+  }
+
+  const dates = values.map(parseLocaleDate).filter(Boolean);
+  if (ratio(dates.length) >= MATCH_THRESHOLD) {
+    return {
+      type: dates.some(d => d.hasTime) ? 'datetime' : 'date',
+      confidence: round(ratio(dates.length)),
+      sampleSize: count
+    };
+  }
+
+  const uuids = values.filter(v => UUID_PATTERN.test(String(v).trim())).length;
+  if (ratio(uuids) >= MATCH_THRESHOLD || (allUnique && count > 1 && ID_NAME_PATTERN.test(columnName))) {
+    return { type: 'id', confidence: round(Math.max(ratio(uuids), 0.8)), sampleSize: count };
+  }
+
+  // Немного повторяющихся значений - категория, иначе свободный текст
+  const maxCategories = Math.min(MAX_CATEGORIES, Math.max(2, Math.floor(count / 2)));
+  if (distinct <= maxCategories) {
+    return { type: 'category', confidence: round(1 - distinct / count), sampleSize: count };
+  }
+
+  // Уверенность текста ниже, если часть значений похожа на числа или даты
+  const partialMatch = Math.max(ratio(numbers.length), ratio(dates.length));
+  return { type: 'text', confidence: round(1 - partialMatch), sampleSize: count };
+}
+
+/**
+ * Infer schema of dataset
+ * @returns {Object} { column: { type, confidence, sampleSize } }
+ */
+export function inferSchema(data, columns) {
+  const schema = {};
+  (columns || []).forEach(column => {
+    schema[column] = inferColumnType(sampleColumn(data || [], column), column);
+  });
+  return schema;
+}
+
+/**
+ * Apply user overrides to inferred schema
+ * @param {Object} schema - inferred schema
+ * @param {Object} overrides - { column: type }, unknown columns and types are ignored
+ */
+export function applySchemaOverrides(schema, overrides) {
+  if (!overrides || typeof overrides !== 'object') {
+    return schema;
+  }
+
+  const result = { ...schema };
+  Object.entries(overrides).forEach(([column, type]) => {
+    if (result[column] && COLUMN_TYPES.includes(type)) {
+      result[column] = { ...result[column], type, confidence: 1, overridden: true };
+    }
+  });
+  return result;
+}
+
+/**
+ * Convert raw value to value of column type
+ * Numbers become numbers, dates - ISO strings (sortable and understood by SQLite)
+ */
+export function coerceValue(value, type) {
+  if (isEmptyValue(value)) {
+    return null;
+  }
+
+  if (isNumericType(type)) {
+    const parsed = parseLocaleNumber(value);
+    return parsed ? parsed.value : null;
+  }
+  if (TEMPORAL_TYPES.includes(type)) {
+    const parsed = typeof value === 'number' ? null : parseLocaleDate(value);
+    if (!parsed) {
+      return null;
+    }
+    const iso = parsed.date.toISOString();
+    return type === 'date' ? iso.substring(0, 10) : iso.substring(0, 19).replace('T', ' ');
+  }
+  if (type === 'boolean') {
+    return parseBoolean(value);
+  }
+  return typeof value === 'string' ? value : String(value);
+}
+
+/**
+ * Convert all rows to schema types (used before any computation)
+ */
+export function coerceRows(data, schema) {
+  const columns = Object.keys(schema);
+  return data.map(row => {
+    const typed = { ...row };
+    columns.forEach(column => {
+      typed[column] = coerceValue(row[column], schema[column].type);
+    });
+    return typed;
+  });
+}
+
+/**
+ * Storage type for SQL engine: 'number' for numeric columns
+ */
+export function toStorageTypes(schema) {
+  return Object.fromEntries(Object.entries(schema).map(([column, info]) => [
+    column,
+    isNumericType(info.type) ? 'number' : info.type
+  ]));
+}
@@ -0,0 +1,212 @@
+// Canned LLM responses for the mock provider (LLM_PROVIDER=mock)
+// Ключевые слова сопоставляются с вопросом пользователя, ответы рассчитаны на демо-данные из sample.js
+const llmResponses = [
+  {
+    pattern: /продаж\S* и выручк|sales (and|vs\.?) revenue/i,
+    response: {
+      type: 'visualization',
+      visualization: { chartType: 'bar', xAxis: 'category', yAxis: ['sales', 'revenue'], aggregation: 'sum' },
+      description: 'Продажи и выручка по категориям',
+      message: 'Сравнил суммарные продажи и выручку по категориям; выручка показана на правой оси.'
+    }
+  },
+  {
+    pattern: /накоплени|stacked|вклад/i,
+    response: {
+      type: 'visualization',
+      visualization: {
+        chartType: 'area',
+        xAxis: 'date',
+        yAxis: 'revenue',
+        aggregation: 'sum',
+        seriesBy: 'category',
+        stacked: true,
+        timeBucket: 'month'
+      },
+      description: 'Вклад категорий в выручку по месяцам',
+      message: 'Показал выручку по месяцам с накоплением по категориям.'
+    }
+  },
+  {
+    pattern: /распределени\S* (продаж|выручк)|distribution of (sales|revenue)/i,
+    response: {
+      type: 'visualization',
+      visualization: { chartType: 'histogram', xAxis: 'sales', bins: 5 },
+      description: 'Распределение продаж',
+      message: 'Построил гистограмму продаж: сколько записей попадает в каждый интервал.'
+    }
+  },
+  {
+    pattern: /ящик|box ?plot|разброс\S* .*по категори/i,
+    response: {
+      type: 'visualization',
+      visualization: { chartType: 'boxplot', xAxis: 'category', yAxis: 'revenue' },
+      description: 'Разброс выручки по категориям',
+      message: 'Сравнил медиану, квартили и выбросы выручки в каждой категории.'
+    }
+  },
+  {
+    pattern: /теплов\S* карт|heatmap/i,
+    response: {
+      type: 'visualization',
+      visualization: { chartType: 'heatmap', xAxis: 'date', seriesBy: 'category', yAxis: 'revenue', aggregation: 'sum', timeBucket: 'month' },
+      description: 'Выручка по категориям и месяцам',
+      message: 'Построил тепловую карту выручки: строки - категории, колонки - месяцы.'
+    }
+  },
+  {
+    pattern: /воронк|funnel/i,
+    response: {
+      type: 'visualization',
+      visualization: { chartType: 'funnel', xAxis: 'category', yAxis: 'sales', aggregation: 'sum' },
+      description: 'Воронка продаж по категориям',
+      message: 'Показал категории воронкой по убыванию продаж.'
+    }
+  },
+  {
+    pattern: /treemap|структур|иерарх/i,
+    response: {
+      type: 'visualization',
+      visualization: { chartType: 'treemap', xAxis: 'category', seriesBy: 'name', yAxis: 'revenue', aggregation: 'sum' },
+      description: 'Структура выручки по категориям и товарам',
+      message: 'Показал вклад категорий и товаров в выручку.'
+    }
+  },
+  {
+    pattern: /аномал|anomal|outlier|выброс/i,
+    response: {
+      type: 'anomalies',
+      anomalies: { method: 'iqr', columns: ['sales', 'revenue'], groupBy: 'category' },
+      description: 'Поиск аномальных значений внутри категорий',
+      message: 'Проверил значения продаж и выручки на аномалии внутри каждой категории.'
+    }
+  },
+  {
+    pattern: /в марте|за март|march/i,
+    response: {
+      type: 'statistics',
+      filters: [
+        { column: 'category', operator: 'equals', value: 'Electronics' },
+        { column: 'date', operator: 'between', from: '2024-03-01', to: '2024-03-31' }
+      ],
+      statistics: { metrics: ['count', 'sum', 'mean'], columns: ['sales', 'revenue'] },
+      description: 'Продажи категории Electronics в марте',
+      message: 'Посчитал продажи и выручку Electronics за март.'
+    }
+  },
+  {
+    pattern: /сводн|pivot|по категориям и месяцам|в разрезе/i,
+    response: {
+      type: 'pivot',
+      pivot: {
+        rows: ['category'],
+        columns: [{ column: 'date', timeBucket: 'quarter' }],
+        measures: [{ column: 'revenue', aggregation: 'sum' }],
+        totals: true
+      },
+      description: 'Сводная таблица выручки по категориям и кварталам',
+      message: 'Построил сводную таблицу выручки по категориям и кварталам с итогами.'
+    }
+  },
+  {
+    pattern: /коррел|correlat|взаимосвяз/i,
+    response: {
+      type: 'correlation',
+      correlation: { method: 'pearson', columns: ['sales', 'revenue'] },
+      description: 'Матрица корреляций числовых колонок',
+      message: 'Рассчитал корреляции между числовыми показателями.'
+    }
+  },
+  {
+    pattern: /регресс|regression|влия|drives/i,
+    response: {
+      type: 'regression',
+      regression: { target: 'revenue', features: ['sales'] },
+      description: 'Линейная регрессия выручки по продажам',
+      message: 'Оценил, как выручка зависит от количества продаж.'
+    }
+  },
+  {
+    pattern: /прогноз|forecast|предскаж|спрогнозир/i,
+    response: {
+      type: 'forecast',
+      forecast: { timeColumn: 'date', valueColumn: 'revenue', horizon: 3, timeBucket: 'month' },
+      description: 'Прогноз выручки на 3 месяца',
+      message: 'Построил прогноз выручки на три месяца вперед с доверительным интервалом.'
+    }
+  },
+  {
+    pattern: /гистограмм|histogram|разброс|отклонени|квартил|перцентил/i,
+    response: {
+      type: 'statistics',
+      statistics: { metrics: ['count', 'mean', 'std', 'q1', 'q3', 'iqr', 'histogram'], columns: ['revenue'], percentiles: [90], bins: 5 },
+      description: 'Распределение выручки',
+      message: 'Рассчитал разброс выручки и построил гистограмму.'
+    }
+  },
+  {
+    pattern: /статистик|statistic|средн.*все|summary/i,
+    response: {
+      type: 'statistics',
+      statistics: ['mean', 'median', 'count'],
+      description: 'Расчет описательной статистики',
+      message: 'Рассчитал основные статистики по числовым колонкам.'
+    }
+  },
+  {
+    pattern: /категори|category|распределени|distribution/i,
+    response: {
+      type: 'visualization',
+      visualization: { chartType: 'pie', xAxis: 'category', yAxis: 'sales', aggregation: 'sum' },
+      description: 'Распределение продаж по категориям',
+      message: 'Построил круговую диаграмму продаж по категориям.'
+    }
+  },
+  {
+    pattern: /столбч|сравни|compare|bar chart/i,
+    response: {
+      type: 'visualization',
+      visualization: {
+        chartType: 'bar',
+        xAxis: 'name',
+        yAxis: 'revenue',
+        aggregation: 'sum',
+        filters: [{ column: 'category', operator: 'equals', value: 'Electronics' }],
+        sort: { by: 'value', direction: 'desc' },
+        limit: 3
+      },
+      description: 'Топ-3 товара категории Electronics по выручке',
+      message: 'Сравнил суммарную выручку трех лучших товаров категории Electronics.'
+    }
+  },
+  {
+    pattern: /тренд|месяц|trend|month|динамик/i,
+    response: {
+      type: 'visualization',
+      visualization: { chartType: 'line', xAxis: 'date', yAxis: 'sales', aggregation: 'mean', timeBucket: 'month', movingAverage: 2 },
+      description: 'Динамика продаж по месяцам',
+      message: 'Построил график продаж по месяцам.'
+    }
+  },
+  {
+    pattern: /топ|top|лучш|больше всего/i,
+    response: {
+      type: 'sql',
+      sql: 'SELECT "name", "revenue" FROM data ORDER BY "revenue" DESC LIMIT 5',
+      description: 'Топ-5 товаров по выручке',
+      message: 'Вот пять товаров с наибольшей выручкой.'
+    }
+  }
+];
+
+// Ответ по умолчанию, если ни одно ключевое слово не подошло
+export const defaultLLMResponse = {
+  type: 'text',
+  description: 'Ответ mock-провайдера',
+  message: 'Mock LLM провайдер: для этого вопроса нет заготовленного ответа.'
+};
+
+// Ответ на запросы без вопроса пользователя (например, саммари данных)
+export const defaultLLMText = 'Mock LLM провайдер: данные содержат продажи и выручку товаров по категориям и месяцам.';
+
+export default llmResponses;
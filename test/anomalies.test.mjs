@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectAnomalies, buildAnomalyTable, MAX_ANOMALIES } from '../src/lib/anomalies.js';
+import { findAnomalies } from '../src/lib/dataProcessor.js';
+
+const rows = (values) => values.map((value, idx) => ({ id: idx, value }));
+
+describe('detectAnomalies', () => {
+  it('finds outliers with iqr, zscore and mad', () => {
+    const data = rows([10, 11, 9, 10, 12, 11, 10, 100]);
+    for (const method of ['iqr', 'mad']) {
+      const anomalies = detectAnomalies(data, { column: 'value', method });
+      assert.deepEqual(anomalies.map(a => a.index), [7], method);
+    }
+    const zscore = detectAnomalies(data, { column: 'value', method: 'zscore', threshold: 2 });
+    assert.deepEqual(zscore.map(a => a.index), [7]);
+  });
+
+  it('returns nothing for constant or too short columns', () => {
+    assert.deepEqual(detectAnomalies(rows([5, 5, 5, 5]), { column: 'value', method: 'zscore' }), []);
+    assert.deepEqual(detectAnomalies(rows([1, 100]), { column: 'value' }), []);
+    assert.deepEqual(detectAnomalies([], { column: 'value' }), []);
+  });
+
+  it('skips non-numeric values', () => {
+    const data = rows([10, 'x', 11, null, 9, 10, 100]);
+    assert.deepEqual(detectAnomalies(data, { column: 'value' }).map(a => a.index), [6]);
+  });
+
+  it('searches within groups', () => {
+    const data = [
+      ...[10, 11, 9, 10, 30].map(value => ({ group: 'a', value })),
+      ...[100, 101, 99, 100, 102].map(value => ({ group: 'b', value }))
+    ];
+    const anomalies = detectAnomalies(data, { column: 'value', method: 'iqr', groupBy: 'group' });
+    assert.deepEqual(anomalies.map(a => [a.index, a.group]), [[4, 'a']]);
+  });
+
+  it('requires time column for rolling', () => {
+    assert.throws(() => detectAnomalies(rows([1, 2, 3]), { column: 'value', method: 'rolling' }), /timeColumn/);
+  });
+
+  it('orders infinite rolling scores consistently', () => {
+    // Две постоянные базовые линии (score = ±Infinity) и обычный выброс
+    const values = [5, 5, 5, 9, 7, 8, 7, 8, 7, 8, 30, 1, 1, 1, 0];
+    const data = values.map((value, idx) => ({ value, day: `2024-01-${String(idx + 1).padStart(2, '0')}` }));
+    const anomalies = detectAnomalies(data, { column: 'value', method: 'rolling', timeColumn: 'day', window: 3 });
+    const infinite = anomalies.filter(a => !Number.isFinite(a.score));
+    assert.deepEqual(infinite.map(a => a.index), [3, 14]);
+    assert.deepEqual(anomalies.slice(0, 2).map(a => a.index), [3, 14]);
+    const finite = anomalies.slice(2).map(a => Math.abs(a.score));
+    assert.deepEqual(finite, [...finite].sort((a, b) => b - a));
+  });
+});
+
+describe('buildAnomalyTable', () => {
+  it('keeps anomaly fields over source columns with the same name', () => {
+    const data = [10, 11, 9, 10, 12, 11, 10, 100].map(value => ({ value, anomaly_value: 'source' }));
+    const [row] = buildAnomalyTable(data, ['value'], { method: 'iqr' });
+    assert.equal(row.anomaly_value, 100);
+    assert.equal(row.anomaly_column, 'value');
+    assert.equal(row.row_index, 7);
+  });
+
+  it('reports row position among source rows before filtering', () => {
+    const sourceRows = rows([10, 11, 9, 10, 12, 11, 10, 100, 10]);
+    const filtered = sourceRows.slice(2);
+    const [row] = buildAnomalyTable(filtered, ['value'], { method: 'iqr', sourceRows });
+    assert.equal(row.row_index, 7);
+    assert.equal(row.id, 7);
+  });
+
+  it('keeps score column numeric for constant baseline', () => {
+    const data = [5, 5, 5, 9].map((value, idx) => ({ value, day: idx }));
+    const [row] = buildAnomalyTable(data, ['value'], { method: 'rolling', timeColumn: 'day', window: 3 });
+    assert.equal(row.anomaly_score, null);
+    assert.equal(row.constant_baseline, true);
+  });
+
+  it('limits number of rows', () => {
+    const data = Array.from({ length: MAX_ANOMALIES * 20 }, (_, idx) => ({ value: idx % 10 === 0 ? 1000 + idx : 1 }));
+    const table = buildAnomalyTable(data, ['value'], { method: 'iqr' });
+    assert.equal(table.length, MAX_ANOMALIES);
+  });
+});
+
+describe('findAnomalies', () => {
+  it('uses population standard deviation and keeps data order', () => {
+    // По выборочному стандартному отклонению (n - 1) 9 не выброс: 4.67 / 2.42 < 2, по генеральному - 4.67 / 2.21 > 2
+    const data = rows([3, 9, 3, 3, 5, 3]);
+    assert.deepEqual(findAnomalies(data, 'value'), [{ index: 1, value: 9, deviation: 2.11 }]);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFilter, validateCondition, relativeRange, describeFilter, compareValues } from '../src/lib/filters.js';
+import { filterData } from '../src/lib/dataProcessor.js';
+
+const regex = (value) => ({ column: 'name', operator: 'regex', value });
+
+describe('regex filter safety', () => {
+  it('rejects quantified alternation without running it', () => {
+    const rows = [{ name: 'a'.repeat(40) + 'b' }];
+    const started = Date.now();
+    assert.match(validateCondition(regex('^(a|a)*$')), /альтернатив/);
+    assert.throws(() => filterData(rows, [regex('^(a|a)*$')]), /Фильтр по name/);
+    assert.ok(Date.now() - started < 100);
+  });
+
+  it('rejects alternation inside nested quantified group', () => {
+    assert.ok(validateCondition(regex('(x(a|b))+')));
+    assert.ok(validateCondition(regex('(?:ab|cd){2,}')));
+  });
+
+  it('rejects nested quantifiers and backreferences', () => {
+    assert.ok(validateCondition(regex('(a+)+$')));
+    assert.ok(validateCondition(regex('((ab)+c){2,}')));
+    assert.ok(validateCondition(regex('(a)\\1')));
+    assert.ok(validateCondition(regex('(?<x>a)\\k<x>')));
+  });
+
+  it('accepts plain alternation and quantifiers outside groups', () => {
+    assert.equal(validateCondition(regex('^(Electronics|Books)$')), null);
+    assert.equal(validateCondition(regex('^[a|b]+$')), null);
+    assert.equal(validateCondition(regex('^\\d+-\\w*$')), null);
+    const rows = [{ name: 'Books' }, { name: 'Toys' }];
+    assert.deepEqual(filterData(rows, [regex('^(electronics|books)$')]), [{ name: 'Books' }]);
+  });
+
+  it('reports invalid and too long patterns', () => {
+    assert.match(validateCondition(regex('(')), /Некорректное/);
+    assert.match(validateCondition(regex('a'.repeat(201))), /длиннее/);
+  });
+});
+
+describe('between', () => {
+  it('compares numeric strings as numbers', () => {
+    const rows = [{ v: '9' }, { v: '10' }, { v: '100' }, { v: '' }];
+    const predicate = compileFilter({ column: 'v', operator: 'between', from: '9', to: '20' });
+    assert.deepEqual(rows.filter(predicate), [{ v: '9' }, { v: '10' }]);
+    assert.ok(compareValues('9', '10') < 0);
+  });
+
+  it('includes the whole last day and month of date range', () => {
+    const rows = ['2024-03-01', '2024-03-31 18:00', '2024-04-01', '2024-02-29T23:00'].map(date => ({ date }));
+    const march = compileFilter({ column: 'date', operator: 'between', from: '2024-03-01', to: '2024-03-31' });
+    assert.deepEqual(rows.filter(march).map(r => r.date), ['2024-03-01', '2024-03-31 18:00']);
+    const byMonth = compileFilter({ column: 'date', operator: 'between', from: '2024-02', to: '2024-03' });
+    assert.deepEqual(rows.filter(byMonth).map(r => r.date), ['2024-03-01', '2024-03-31 18:00', '2024-02-29T23:00']);
+  });
+
+  it('accepts values pair and requires at least one bound', () => {
+    const predicate = compileFilter({ column: 'v', operator: 'between', values: [1, 3] });
+    assert.deepEqual([{ v: 0 }, { v: 2 }, { v: 4 }].filter(predicate), [{ v: 2 }]);
+    assert.match(validateCondition({ column: 'v', operator: 'between', from: null, to: null }), /from и to/);
+  });
+});
+
+describe('relative dates', () => {
+  const anchor = new Date(Date.UTC(2024, 2, 31));
+
+  it('computes last, current and previous periods', () => {
+    assert.deepEqual(relativeRange({ operator: 'last', amount: 7, unit: 'day' }, anchor), {
+      from: new Date(Date.UTC(2024, 2, 25)), to: new Date(Date.UTC(2024, 3, 1))
+    });
+    assert.deepEqual(relativeRange({ operator: 'current_period', unit: 'quarter' }, anchor), {
+      from: new Date(Date.UTC(2024, 0, 1)), to: new Date(Date.UTC(2024, 3, 1))
+    });
+    assert.deepEqual(relativeRange({ operator: 'previous_period', unit: 'month' }, anchor), {
+      from: new Date(Date.UTC(2024, 1, 1)), to: new Date(Date.UTC(2024, 2, 1))
+    });
+  });
+
+  it('anchors to the latest date in data', () => {
+    const rows = ['2023-12-15', '2024-01-10', '2024-02-05', '2024-02-20'].map(date => ({ date }));
+    const predicate = compileFilter({ column: 'date', operator: 'current_period', unit: 'month', anchor: 'data' }, rows);
+    assert.deepEqual(rows.filter(predicate).map(r => r.date), ['2024-02-05', '2024-02-20']);
+    const previous = compileFilter({ column: 'date', operator: 'previous_period', unit: 'month', amount: 2, anchor: 'data' }, rows);
+    assert.deepEqual(rows.filter(previous).map(r => r.date), ['2023-12-15', '2024-01-10']);
+  });
+
+  it('requires unit and positive amount', () => {
+    assert.match(validateCondition({ column: 'date', operator: 'last', amount: 3 }), /unit/);
+    assert.match(validateCondition({ column: 'date', operator: 'last', amount: 0, unit: 'day' }), /amount/);
+  });
+});
+
+describe('filter groups', () => {
+  const rows = [
+    { category: 'Books', price: 10 },
+    { category: 'Toys', price: 50 },
+    { category: 'Books', price: 70 },
+    { category: null, price: 5 }
+  ];
+
+  it('combines conditions with and, or and not', () => {
+    const expression = {
+      or: [
+        { and: [{ column: 'category', operator: 'equals', value: 'books' }, { column: 'price', operator: 'greater', value: 20 }] },
+        { not: { column: 'category', operator: 'not_null' } }
+      ]
+    };
+    assert.deepEqual(rows.filter(compileFilter(expression)), [rows[2], rows[3]]);
+    assert.equal(describeFilter(expression), '(category equals books И price greater 20 ИЛИ НЕ (category not_null))');
+  });
+
+  it('treats empty values as not matching comparisons and in lists', () => {
+    assert.equal(rows.filter(compileFilter({ column: 'category', operator: 'in', values: ['Toys', 'Books'] })).length, 3);
+    assert.deepEqual(rows.filter(compileFilter({ column: 'category', operator: 'not_in', values: ['Toys', 'Books'] })), [rows[3]]);
+  });
+});
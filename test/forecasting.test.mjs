@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalQuantile, interpolateGaps, forecastSeries, buildForecast, MAX_HORIZON } from '../src/lib/forecasting.js';
+
+const close = (actual, expected, tolerance = 1e-4) => {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+};
+
+describe('normalQuantile', () => {
+  it('matches known quantiles in the center and tails', () => {
+    close(normalQuantile(0.5), 0);
+    close(normalQuantile(0.975), 1.959964);
+    close(normalQuantile(0.75), 0.674490);
+    close(normalQuantile(0.995), 2.575829);
+    close(normalQuantile(0.001), -3.090232);
+  });
+
+  it('rejects probabilities outside (0, 1)', () => {
+    assert.throws(() => normalQuantile(0));
+    assert.throws(() => normalQuantile(1));
+  });
+});
+
+describe('interpolateGaps', () => {
+  it('interpolates inside and extends edges', () => {
+    assert.deepEqual(interpolateGaps([null, 2, null, null, 8, null]), [2, 2, 4, 6, 8, 8]);
+  });
+
+  it('returns empty series without known values', () => {
+    assert.deepEqual(interpolateGaps([null, null]), []);
+  });
+});
+
+describe('forecastSeries', () => {
+  it('extends exact linear trend with zero-width interval', () => {
+    const result = forecastSeries([1, 2, 3, 4, 5], { horizon: 2, method: 'linear' });
+    assert.equal(result.method, 'linear');
+    assert.deepEqual(result.points, [
+      { value: 6, lower: 6, upper: 6 },
+      { value: 7, lower: 7, upper: 7 }
+    ]);
+  });
+
+  it('widens interval with confidence level', () => {
+    const values = [10, 12, 9, 14, 11, 15, 12, 16];
+    const narrow = forecastSeries(values, { horizon: 1, method: 'linear', confidence: 0.5 }).points[0];
+    const wide = forecastSeries(values, { horizon: 1, method: 'linear', confidence: 0.99 }).points[0];
+    assert.equal(narrow.value, wide.value);
+    assert.ok(wide.upper - wide.lower > narrow.upper - narrow.lower);
+    // 0.99 / 0.5: 2.5758 / 0.6745
+    close((wide.upper - wide.lower) / (narrow.upper - narrow.lower), 3.819, 0.01);
+  });
+
+  it('repeats last season with seasonal naive', () => {
+    const result = forecastSeries([1, 5, 3, 2, 6, 4], { horizon: 4, method: 'seasonal-naive', season: 3 });
+    assert.deepEqual(result.points.map(p => p.value), [2, 6, 4, 2]);
+  });
+
+  it('falls back from holt-winters without two full seasons', () => {
+    const result = forecastSeries([1, 2, 3, 4, 5], { method: 'holt-winters', season: 4 });
+    assert.equal(result.method, 'exponential');
+  });
+
+  it('chooses method automatically by length and season', () => {
+    assert.equal(forecastSeries([1, 2, 3]).method, 'linear');
+    assert.equal(forecastSeries([1, 2, 3, 4]).method, 'exponential');
+    const seasonal = [1, 5, 3, 2, 6, 4, 3, 7, 5];
+    assert.equal(forecastSeries(seasonal, { season: 3 }).method, 'holt-winters');
+  });
+
+  it('interpolates missing periods instead of treating them as zero', () => {
+    const result = forecastSeries([10, null, 30, 40], { horizon: 1, method: 'linear' });
+    assert.equal(result.points[0].value, 50);
+  });
+
+  it('limits horizon and requires two known values', () => {
+    assert.equal(forecastSeries([1, 2, 3], { horizon: 1000, method: 'linear' }).points.length, MAX_HORIZON);
+    assert.throws(() => forecastSeries([5, null, null]), /два периода/);
+  });
+});
+
+describe('buildForecast', () => {
+  it('continues monthly series from the last actual point', () => {
+    const data = ['2024-01', '2024-02', '2024-03', '2024-04'].map((month, idx) => ({ date: `${month}-10`, amount: (idx + 1) * 10 }));
+    const result = buildForecast(data, { timeColumn: 'date', valueColumn: 'amount', bucket: 'month', horizon: 2, method: 'linear' });
+    assert.equal(result.bucket, 'month');
+    assert.deepEqual(result.rows.slice(3), [
+      { period: '2024-04', actual: 40, forecast: 40, lower: 40, upper: 40 },
+      { period: '2024-05', actual: null, forecast: 50, lower: 50, upper: 50 },
+      { period: '2024-06', actual: null, forecast: 60, lower: 60, upper: 60 }
+    ]);
+  });
+
+  it('fails without recognizable dates', () => {
+    assert.throws(() => buildForecast([{ date: 'x', amount: 1 }], { timeColumn: 'date', valueColumn: 'amount' }), /нет распознанных дат/);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { linearRegression, regressionSummary, samplePoints } from '../src/lib/regression.js';
+
+describe('linearRegression', () => {
+  it('recovers exact coefficients of two features', () => {
+    const data = [[1, 0], [2, 1], [3, 5], [4, 2], [5, 7], [6, 3]].map(([x1, x2]) => ({ x1, x2, y: 3 + 2 * x1 - 0.5 * x2 }));
+    const model = linearRegression(data, { target: 'y', features: ['x1', 'x2'] });
+    assert.equal(model.n, 6);
+    assert.equal(model.intercept, 3);
+    assert.deepEqual(model.coefficients.map(c => [c.name, c.value]), [['x1', 2], ['x2', -0.5]]);
+    assert.equal(model.rSquared, 1);
+    assert.equal(model.rmse, 0);
+    assert.equal(model.terms[0].name, '(intercept)');
+  });
+
+  it('computes fit statistics for noisy data', () => {
+    const data = [{ x: 1, y: 1 }, { x: 2, y: 3 }, { x: 3, y: 2 }, { x: 4, y: 5 }];
+    const model = linearRegression(data, { target: 'y', features: ['x'] });
+    // y = 0 + 1.1x, SSE = 2.7, SST = 8.75
+    assert.equal(Math.abs(model.intercept), 0);
+    assert.equal(model.coefficients[0].value, 1.1);
+    assert.equal(model.rSquared, 0.6914);
+    assert.equal(model.adjustedRSquared, 0.5371);
+    assert.equal(model.rmse, 0.8216);
+    assert.equal(model.coefficients[0].stdError, 0.5196);
+    assert.equal(model.coefficients[0].tStat, 2.12);
+  });
+
+  it('skips rows with missing or non-numeric values', () => {
+    const data = [
+      { x: '1', y: '2' }, { x: 2, y: 4 }, { x: null, y: 5 }, { x: 3, y: 'н/д' }, { x: 4, y: 8 }
+    ];
+    const model = linearRegression(data, { target: 'y', features: ['x'] });
+    assert.equal(model.n, 3);
+    assert.deepEqual(model.points.map(p => p.actual), [2, 4, 8]);
+    assert.equal(model.coefficients[0].value, 2);
+  });
+
+  it('rejects invalid setups', () => {
+    const data = [{ x: 1, z: 2, y: 1 }, { x: 2, z: 4, y: 3 }, { x: 3, z: 6, y: 2 }, { x: 4, z: 8, y: 5 }];
+    assert.throws(() => linearRegression(data, { target: 'y', features: [] }), /хотя бы один признак/);
+    assert.throws(() => linearRegression(data, { target: 'y', features: ['y'] }), /одновременно целевой/);
+    assert.throws(() => linearRegression(data.slice(0, 2), { target: 'y', features: ['x'] }), /Недостаточно строк/);
+    assert.throws(() => linearRegression(data, { target: 'y', features: ['x', 'z'] }), /линейно зависимы/);
+  });
+});
+
+describe('regressionSummary', () => {
+  it('drops points and terms', () => {
+    const model = linearRegression([{ x: 1, y: 1 }, { x: 2, y: 3 }, { x: 3, y: 2 }], { target: 'y', features: ['x'] });
+    const summary = regressionSummary(model);
+    assert.equal(summary.points, undefined);
+    assert.equal(summary.terms, undefined);
+    assert.equal(summary.n, 3);
+  });
+});
+
+describe('samplePoints', () => {
+  it('keeps short arrays and samples long ones evenly', () => {
+    assert.deepEqual(samplePoints([1, 2, 3], 5), [1, 2, 3]);
+    const points = Array.from({ length: 10 }, (_, idx) => idx);
+    assert.deepEqual(samplePoints(points, 4), [0, 2, 5, 7]);
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+import { serializeTable, tableColumns } from '../src/lib/tableExport.js';
+
+const rows = [
+  { name: 'Товар 1', revenue: 100, secret: 'x' },
+  { name: 'Товар 2', secret: 'y', extra: 1 }
+];
+
+describe('serializeTable', () => {
+  it('exports all columns in order of first appearance by default', () => {
+    assert.deepEqual(tableColumns(rows), ['name', 'revenue', 'secret', 'extra']);
+    const { content } = serializeTable(rows, 'csv');
+    assert.equal(content, '﻿name,revenue,secret,extra\r\nТовар 1,100,x,\r\nТовар 2,,y,1');
+  });
+
+  it('leaves out columns that are not selected in every format', () => {
+    const columns = ['revenue', 'name'];
+    assert.equal(serializeTable(rows, 'csv', columns).content, '﻿revenue,name\r\n100,Товар 1\r\n,Товар 2');
+    assert.deepEqual(JSON.parse(serializeTable(rows, 'json', columns).content), [
+      { revenue: 100, name: 'Товар 1' },
+      { name: 'Товар 2' }
+    ]);
+    const workbook = XLSX.read(serializeTable(rows, 'xlsx', columns).content, { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    assert.deepEqual(XLSX.utils.sheet_to_json(sheet, { header: 1, defval: null }), [['revenue', 'name'], [100, 'Товар 1'], [null, 'Товар 2']]);
+  });
+
+  it('rejects unknown format', () => {
+    assert.throws(() => serializeTable(rows, 'pdf'), /Неизвестный формат/);
+  });
+});
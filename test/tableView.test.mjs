@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTableView, parseTableView } from '../src/lib/tableView.js';
+
+const rows = [
+  { city: 'Москва', revenue: 300, date: '2024-03-31 18:00' },
+  { city: 'Казань', revenue: 100, date: '2024-03-01' },
+  { city: 'Москва', revenue: 200, date: '2024-04-01' },
+  { city: 'Пермь', revenue: null, date: '2024-03-15' }
+];
+const columns = ['city', 'revenue', 'date'];
+const kinds = { city: 'category', revenue: 'number', date: 'date' };
+
+describe('buildTableView', () => {
+  it('applies column filters and multi-column sort', () => {
+    const view = buildTableView(rows, {
+      columns,
+      kinds,
+      filters: { date: { from: '2024-03-01', to: '2024-03-31' } },
+      sort: [{ key: 'revenue', direction: 'desc' }]
+    });
+    assert.deepEqual(view.map(row => row.revenue), [300, 100, null]);
+  });
+
+  it('searches only in given columns', () => {
+    assert.equal(buildTableView(rows, { columns, search: 'моск' }).length, 2);
+    assert.equal(buildTableView(rows, { columns: ['revenue'], search: 'моск' }).length, 0);
+  });
+});
+
+describe('parseTableView', () => {
+  it('keeps valid state from request body', () => {
+    const options = parseTableView({
+      columns: ['city', 'revenue'],
+      kinds,
+      filters: { revenue: { min: 150 }, city: { value: 'Москва' } },
+      search: '',
+      sort: [{ key: 'date', direction: 'desc' }]
+    }, columns);
+    assert.deepEqual(options.filters, { revenue: { min: '150' }, city: { value: 'Москва' } });
+    assert.deepEqual(buildTableView(rows, options).map(row => row.revenue), [200, 300]);
+  });
+
+  it('drops unknown columns, kinds, fields and malformed values', () => {
+    const options = parseTableView({
+      columns: ['city', 'secret', 1],
+      kinds: { city: 'category', revenue: 'script', other: 'text' },
+      filters: { city: { value: 'Москва', extra: 'x', text: { nested: true } }, other: { text: 'a' }, revenue: 'bad' },
+      search: 42,
+      sort: [{ key: 'other' }, null, { key: 'revenue', direction: 'sideways' }]
+    }, columns);
+    assert.deepEqual(options, {
+      columns: ['city'],
+      kinds: { city: 'category' },
+      filters: { city: { value: 'Москва' } },
+      search: '',
+      sort: [{ key: 'revenue', direction: 'asc' }]
+    });
+  });
+
+  it('defaults to all columns without state', () => {
+    assert.deepEqual(parseTableView(null, columns), { columns, kinds: {}, filters: {}, search: '', sort: [] });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  bucketStart,
+  nextBucket,
+  bucketLabel,
+  chooseBucket,
+  movingAverage,
+  growthRate,
+  cumulativeSum,
+  buildTimeSeries
+} from '../src/lib/timeSeries.js';
+
+const utc = (iso) => new Date(`${iso}T00:00:00Z`);
+
+describe('buckets', () => {
+  it('starts week on Monday and quarter on its first month', () => {
+    // 2024-01-07 - воскресенье
+    assert.equal(bucketStart(utc('2024-01-07'), 'week').toISOString(), '2024-01-01T00:00:00.000Z');
+    assert.equal(bucketStart(utc('2024-05-20'), 'quarter').toISOString(), '2024-04-01T00:00:00.000Z');
+  });
+
+  it('moves to next month across year end', () => {
+    assert.equal(nextBucket(utc('2024-12-01'), 'month').toISOString(), '2025-01-01T00:00:00.000Z');
+    assert.equal(nextBucket(utc('2024-10-01'), 'quarter').toISOString(), '2025-01-01T00:00:00.000Z');
+  });
+
+  it('labels buckets sortably', () => {
+    assert.equal(bucketLabel(utc('2024-03-01'), 'month'), '2024-03');
+    assert.equal(bucketLabel(utc('2024-04-01'), 'quarter'), '2024-Q2');
+    assert.equal(bucketLabel(utc('2024-01-01'), 'year'), '2024');
+  });
+
+  it('chooses bucket by range length', () => {
+    assert.equal(chooseBucket(utc('2024-01-01'), utc('2024-02-15')), 'day');
+    assert.equal(chooseBucket(utc('2024-01-01'), utc('2024-10-01')), 'week');
+    assert.equal(chooseBucket(utc('2020-01-01'), utc('2023-01-01')), 'month');
+    assert.equal(chooseBucket(utc('2000-01-01'), utc('2024-01-01')), 'year');
+  });
+});
+
+describe('series helpers', () => {
+  it('computes moving average with warm-up and skips nulls', () => {
+    assert.deepEqual(movingAverage([1, 2, 3, null, 5], 3), [null, null, 2, 2.5, 4]);
+  });
+
+  it('returns null growth for zero or missing base', () => {
+    assert.deepEqual(growthRate([100, 150, 0, 10, null], 1), [null, 50, -100, null, null]);
+    assert.deepEqual(growthRate([-100, -50], 1), [null, 50]);
+  });
+
+  it('treats null as zero in cumulative sum', () => {
+    assert.deepEqual(cumulativeSum([1, null, 2.5]), [1, 1, 3.5]);
+  });
+});
+
+describe('buildTimeSeries', () => {
+  const data = [
+    { date: '2024-01-15', amount: 10 },
+    { date: '2024-01-20', amount: 5 },
+    { date: '15.03.2024', amount: 7 },
+    { date: 'not a date', amount: 100 },
+    { date: null, amount: 100 }
+  ];
+
+  it('fills missing periods with zero for sums', () => {
+    const series = buildTimeSeries(data, { timeColumn: 'date', valueColumn: 'amount', bucket: 'month' });
+    assert.deepEqual(series.rows, [
+      { period: '2024-01', amount: 15 },
+      { period: '2024-02', amount: 0 },
+      { period: '2024-03', amount: 7 }
+    ]);
+    assert.equal(series.lastStart, '2024-03-01T00:00:00.000Z');
+  });
+
+  it('leaves missing periods empty for means', () => {
+    const series = buildTimeSeries(data, { timeColumn: 'date', valueColumn: 'amount', bucket: 'month', aggregation: 'mean' });
+    assert.deepEqual(series.rows.map(row => row.amount), [7.5, null, 7]);
+  });
+
+  it('keeps only present periods without gap filling', () => {
+    const series = buildTimeSeries(data, { timeColumn: 'date', valueColumn: 'amount', bucket: 'month', fillGaps: false });
+    assert.deepEqual(series.rows.map(row => row.period), ['2024-01', '2024-03']);
+  });
+
+  it('adds derived columns', () => {
+    const series = buildTimeSeries(data, {
+      timeColumn: 'date',
+      valueColumn: 'amount',
+      bucket: 'month',
+      movingAverage: 2,
+      growth: 'period',
+      cumulative: true
+    });
+    assert.deepEqual(series.keys, {
+      period: 'period',
+      value: 'amount',
+      movingAverage: 'amount_ma2',
+      growth: 'amount_growth_pct',
+      cumulative: 'amount_cumulative'
+    });
+    assert.deepEqual(series.rows[2], { period: '2024-03', amount: 7, amount_ma2: 3.5, amount_growth_pct: null, amount_cumulative: 22 });
+  });
+
+  it('returns empty series without dates', () => {
+    const series = buildTimeSeries([{ date: 'x', amount: 1 }], { timeColumn: 'date', valueColumn: 'amount' });
+    assert.deepEqual(series.rows, []);
+    assert.equal(series.lastStart, null);
+  });
+});
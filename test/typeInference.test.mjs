@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseLocaleNumber,
+  parseLocaleDate,
+  parseBoolean,
+  inferColumnType,
+  inferSchema,
+  applySchemaOverrides,
+  coerceValue,
+  coerceRows,
+  toStorageTypes
+} from '../src/lib/typeInference.js';
+
+describe('parseLocaleNumber', () => {
+  it('parses Russian and English number formats', () => {
+    assert.equal(parseLocaleNumber('1 234,56').value, 1234.56);
+    assert.equal(parseLocaleNumber('1,234.56').value, 1234.56);
+    assert.equal(parseLocaleNumber('1.234.567').value, 1234567);
+    assert.equal(parseLocaleNumber('12,5').value, 12.5);
+    assert.equal(parseLocaleNumber('1 000').value, 1000);
+  });
+
+  it('recognizes currency, percent and negative notations', () => {
+    assert.deepEqual(parseLocaleNumber('1 000 ₽'), { value: 1000, currency: true, percent: false });
+    assert.deepEqual(parseLocaleNumber('$1,000'), { value: 1000, currency: true, percent: false });
+    assert.deepEqual(parseLocaleNumber('12,5%'), { value: 12.5, currency: false, percent: true });
+    assert.equal(parseLocaleNumber('(100)').value, -100);
+    assert.equal(parseLocaleNumber('−5').value, -5);
+  });
+
+  it('rejects non-numbers', () => {
+    assert.equal(parseLocaleNumber('abc'), null);
+    assert.equal(parseLocaleNumber('12abc'), null);
+    assert.equal(parseLocaleNumber(''), null);
+    assert.equal(parseLocaleNumber(NaN), null);
+    assert.equal(parseLocaleNumber(Infinity), null);
+    assert.equal(parseLocaleNumber(null), null);
+  });
+});
+
+describe('parseLocaleDate', () => {
+  it('parses ISO, month-only and Russian dates', () => {
+    assert.equal(parseLocaleDate('2024-01-31').date.toISOString(), '2024-01-31T00:00:00.000Z');
+    assert.equal(parseLocaleDate('2024-03').date.toISOString(), '2024-03-01T00:00:00.000Z');
+    assert.equal(parseLocaleDate('31.01.2024').date.toISOString(), '2024-01-31T00:00:00.000Z');
+  });
+
+  it('treats midnight as date without time', () => {
+    assert.equal(parseLocaleDate('2024-01-31 00:00').hasTime, false);
+    assert.equal(parseLocaleDate('2024-01-31 10:30').hasTime, true);
+  });
+
+  it('rejects impossible dates', () => {
+    assert.equal(parseLocaleDate('31.02.2024'), null);
+    assert.equal(parseLocaleDate('2024-13-01'), null);
+    assert.equal(parseLocaleDate('2024-00'), null);
+    assert.equal(parseLocaleDate('not a date'), null);
+  });
+});
+
+describe('parseBoolean', () => {
+  it('parses words and keeps unknown values as null', () => {
+    assert.equal(parseBoolean(true), true);
+    assert.equal(parseBoolean('да'), true);
+    assert.equal(parseBoolean('No'), false);
+    assert.equal(parseBoolean('maybe'), null);
+  });
+});
+
+describe('inferColumnType', () => {
+  it('detects numeric subtypes', () => {
+    assert.equal(inferColumnType(['1', '2', '3']).type, 'integer');
+    assert.equal(inferColumnType(['1,5', '2,25', '3']).type, 'float');
+    assert.equal(inferColumnType(['10%', '20%', '5%']).type, 'percent');
+    assert.equal(inferColumnType(['100 ₽', '200 ₽', '300 ₽']).type, 'currency');
+    assert.equal(inferColumnType(['1', '2', '3'], 'user_id').type, 'id');
+  });
+
+  it('keeps 0/1 columns numeric, but words are boolean', () => {
+    assert.equal(inferColumnType(['0', '1', '1', '0']).type, 'integer');
+    assert.equal(inferColumnType(['да', 'нет', 'да']).type, 'boolean');
+  });
+
+  it('detects dates and datetimes', () => {
+    assert.equal(inferColumnType(['2024-01-01', '2024-02-01']).type, 'date');
+    assert.equal(inferColumnType(['2024-01-01 10:00', '2024-02-01 12:30']).type, 'datetime');
+  });
+
+  it('separates categories from free text', () => {
+    assert.equal(inferColumnType(['a', 'b', 'a', 'b', 'a', 'b']).type, 'category');
+    assert.equal(inferColumnType(['alpha', 'beta', 'gamma', 'delta', 'epsilon']).type, 'text');
+  });
+
+  it('returns text with zero confidence for empty column', () => {
+    assert.deepEqual(inferColumnType([]), { type: 'text', confidence: 0, sampleSize: 0 });
+  });
+});
+
+describe('inferSchema and overrides', () => {
+  const data = [
+    { amount: '1 000,5', date: '01.02.2024', flag: 'да' },
+    { amount: '', date: '02.02.2024', flag: 'нет' },
+    { amount: '2 000', date: 'N/A', flag: 'да' }
+  ];
+
+  it('skips empty values when inferring', () => {
+    const schema = inferSchema(data, ['amount', 'date', 'flag']);
+    assert.equal(schema.amount.type, 'float');
+    assert.equal(schema.date.type, 'date');
+    assert.equal(schema.flag.type, 'boolean');
+  });
+
+  it('applies only known columns and types', () => {
+    const schema = inferSchema(data, ['amount']);
+    const result = applySchemaOverrides(schema, { amount: 'text', missing: 'integer' });
+    assert.equal(result.amount.type, 'text');
+    assert.equal(result.amount.overridden, true);
+    assert.equal(result.missing, undefined);
+    assert.equal(applySchemaOverrides(schema, { amount: 'unknown' }).amount.type, 'float');
+  });
+
+  it('coerces rows to schema types', () => {
+    const schema = inferSchema(data, ['amount', 'date', 'flag']);
+    assert.deepEqual(coerceRows(data, schema), [
+      { amount: 1000.5, date: '2024-02-01', flag: true },
+      { amount: null, date: '2024-02-02', flag: false },
+      { amount: 2000, date: null, flag: true }
+    ]);
+    assert.deepEqual(toStorageTypes(schema), { amount: 'number', date: 'date', flag: 'boolean' });
+  });
+});
+
+describe('coerceValue', () => {
+  it('formats temporal values as ISO strings', () => {
+    assert.equal(coerceValue('31.01.2024 10:30', 'datetime'), '2024-01-31 10:30:00');
+    assert.equal(coerceValue('31.01.2024 10:30', 'date'), '2024-01-31');
+    assert.equal(coerceValue(45000, 'date'), null);
+  });
+
+  it('turns unparsable values into null and others into strings', () => {
+    assert.equal(coerceValue('abc', 'integer'), null);
+    assert.equal(coerceValue(42, 'text'), '42');
+    assert.equal(coerceValue('N/A', 'text'), null);
+  });
+});